@@ -17,6 +17,11 @@ import orderRoutes from './routes/orderRoutes.js';
 import deliverRoutes from './routes/deliverRoutes.js';
 import userRoutes from './routes/userRoutes.js';
 import ratingRoutes from './routes/ratingRoutes.js';
+import cartRoutes from './routes/cartRoutes.js';
+import promotionRoutes from './routes/promotionRoutes.js';
+import paymentRoutes from './routes/paymentRoutes.js';
+import settlementRoutes from './routes/settlementRoutes.js';
+import searchRoutes from './routes/searchRoutes.js';
 
 const app = express();
 
@@ -56,7 +61,15 @@ const limiter = rateLimit({
 app.use('/api', limiter);
 
 // 6️⃣ Body parser
-app.use(express.json({ limit: '10kb' }));
+app.use(
+  express.json({
+    limit: '10kb',
+    // Keep the raw bytes for webhook signature checks
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 app.use(cookieParser());
 
@@ -90,6 +103,11 @@ app.use('/api/v1/food-menus', foodMenuRoutes);
 app.use('/api/v1/orders', orderRoutes);
 app.use('/api/v1/deliveries', deliverRoutes);
 app.use('/api/v1/reviews', ratingRoutes);
+app.use('/api/v1/cart', cartRoutes);
+app.use('/api/v1/promotions', promotionRoutes);
+app.use('/api/v1/payments', paymentRoutes);
+app.use('/api/v1/settlements', settlementRoutes);
+app.use('/api/v1/search', searchRoutes);
 
 // 🌍 Root route
 app.get('/', (req, res) => {
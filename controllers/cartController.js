@@ -0,0 +1,229 @@
+import mongoose from 'mongoose';
+import Cart from '../models/Cart.js';
+import Food from '../models/Food.js';
+import User from '../models/userModel.js';
+import catchAsync from '../utils/catchAsync.js';
+import AppError from '../utils/appError.js';
+import { createCheckout } from './orderController.js';
+
+// Shape the cart for the app: items grouped by restaurant with subtotals
+const formatCart = async (cart) => {
+  await cart.populate([
+    { path: 'items.foodId', select: 'foodName price imageCover status optionGroups' },
+    { path: 'items.restaurantId', select: 'name' }
+  ]);
+
+  const restaurants = new Map();
+  cart.items.forEach((item) => {
+    if (!item.foodId || !item.restaurantId) return;
+
+    const key = item.restaurantId._id.toString();
+    if (!restaurants.has(key)) {
+      restaurants.set(key, {
+        restaurantId: item.restaurantId._id,
+        restaurantName: item.restaurantId.name,
+        items: [],
+        subtotal: 0
+      });
+    }
+
+    const group = restaurants.get(key);
+
+    // Re-price against the current menu; a changed menu flags the line instead of failing
+    let price = Number(item.foodId.price);
+    let options = [];
+    let optionsValid = true;
+    try {
+      ({ unitPrice: price, options } = item.foodId.priceSelection(item.selectedOptions));
+    } catch (err) {
+      optionsValid = false;
+    }
+
+    group.items.push({
+      itemId: item._id,
+      foodId: item.foodId._id,
+      foodName: item.foodId.foodName,
+      imageCover: item.foodId.imageCover,
+      available: item.foodId.status === 'Available' && optionsValid,
+      selectedOptions: options,
+      price,
+      quantity: item.quantity
+    });
+    group.subtotal += price * item.quantity;
+  });
+
+  const groups = [...restaurants.values()];
+  return {
+    restaurants: groups,
+    totalItems: groups.reduce((acc, g) => acc + g.items.length, 0),
+    foodTotal: groups.reduce((acc, g) => acc + g.subtotal, 0)
+  };
+};
+
+const validateQuantity = (quantity) => {
+  const parsed = Number(quantity);
+  if (!Number.isInteger(parsed) || parsed < 1 || parsed > 50) {
+    throw new AppError('Quantity must be a whole number between 1 and 50.', 400);
+  }
+  return parsed;
+};
+
+// GET /api/v1/cart
+export const getMyCart = catchAsync(async (req, res, next) => {
+  const cart = await Cart.findOrCreateForUser(req.user._id);
+
+  res.status(200).json({
+    status: 'success',
+    data: await formatCart(cart)
+  });
+});
+
+// POST /api/v1/cart/items
+export const addItemToCart = catchAsync(async (req, res, next) => {
+  const { foodId, selectedOptions = [] } = req.body;
+  const quantity = validateQuantity(req.body.quantity ?? 1);
+
+  if (!foodId || !mongoose.isValidObjectId(foodId)) {
+    return next(new AppError('A valid foodId is required.', 400));
+  }
+
+  const food = await Food.findById(foodId).populate('menuId');
+  if (!food || food.status !== 'Available') {
+    return next(new AppError('Food not found or currently unavailable.', 404));
+  }
+  if (!food.menuId?.restaurantId) {
+    return next(new AppError('Invalid menu data for this food item.', 400));
+  }
+
+  // Reject option combinations the menu doesn't allow
+  try {
+    food.priceSelection(selectedOptions);
+  } catch (err) {
+    return next(new AppError(err.message, 400));
+  }
+
+  const cart = await Cart.findOrCreateForUser(req.user._id);
+  const key = Cart.selectionKey(food._id, selectedOptions);
+  const existing = cart.items.find(
+    (item) => Cart.selectionKey(item.foodId, item.selectedOptions) === key
+  );
+
+  if (existing) {
+    existing.quantity = validateQuantity(existing.quantity + quantity);
+  } else {
+    cart.items.push({
+      foodId: food._id,
+      restaurantId: food.menuId.restaurantId,
+      quantity,
+      selectedOptions: selectedOptions.map(({ groupId, optionId }) => ({ groupId, optionId }))
+    });
+  }
+  await cart.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: await formatCart(cart)
+  });
+});
+
+// PATCH /api/v1/cart/items/:itemId
+export const updateCartItem = catchAsync(async (req, res, next) => {
+  const quantity = validateQuantity(req.body.quantity);
+
+  const cart = await Cart.findOrCreateForUser(req.user._id);
+  const item = cart.items.id(req.params.itemId);
+  if (!item) return next(new AppError('Item not found in cart.', 404));
+
+  item.quantity = quantity;
+  await cart.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: await formatCart(cart)
+  });
+});
+
+// DELETE /api/v1/cart/items/:itemId
+export const removeCartItem = catchAsync(async (req, res, next) => {
+  const cart = await Cart.findOrCreateForUser(req.user._id);
+  const index = cart.items.findIndex((i) => i._id.toString() === req.params.itemId);
+  if (index === -1) return next(new AppError('Item not found in cart.', 404));
+
+  cart.items.splice(index, 1);
+  await cart.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: await formatCart(cart)
+  });
+});
+
+// DELETE /api/v1/cart
+export const clearCart = catchAsync(async (req, res, next) => {
+  await Cart.findOneAndUpdate({ userId: req.user._id }, { items: [] });
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// POST /api/v1/cart/checkout
+export const checkoutCart = catchAsync(async (req, res, next) => {
+  const {
+    typeOfOrder,
+    vehicleType,
+    destinationLocation,
+    tip,
+    description,
+    promoCode,
+    scheduledFor,
+    paymentMethod,
+    walletAmount,
+    useWallet
+  } = req.body;
+
+  const cart = await Cart.findOne({ userId: req.user._id });
+  if (!cart || cart.items.length === 0) {
+    return next(new AppError('Your cart is empty.', 400));
+  }
+
+  // 1️⃣ Split into one order per restaurant and open one combined payment
+  // (invalid input comes back as 400, a payment provider failure as 502)
+  const user = await User.findById(req.user._id);
+  const result = await createCheckout({
+    user,
+    paymentMethod,
+    walletAmount,
+    useWallet: useWallet === true,
+    orderItems: cart.items.map((item) => ({
+      foodId: item.foodId,
+      quantity: item.quantity,
+      selectedOptions: item.selectedOptions
+    })),
+    typeOfOrder,
+    deliveryVehicle: vehicleType,
+    destinationLocation,
+    tip,
+    description,
+    promoCode,
+    scheduledFor
+  });
+
+  // 2️⃣ Items now live on the checkout's orders
+  cart.items = [];
+  await cart.save();
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      checkoutId: result.checkout._id,
+      discount: Number(result.checkout.discount),
+      totalPrice: Number(result.checkout.totalPrice),
+      walletAmount: result.payment.walletAmount,
+      amountDue: result.payment.amountDue,
+      orders: result.orders,
+      payment: result.payment
+    }
+  });
+});
@@ -1,4 +1,9 @@
+import mongoose from 'mongoose';
+import { getDistance } from 'geolib';
 import FoodCategory from '../models/FoodCategory.js';
+import Food from '../models/Food.js';
+import FoodMenu from '../models/FoodMenu.js';
+import Restaurant from '../models/restaurantModel.js';
 import catchAsync from '../utils/catchAsync.js';
 import AppError from '../utils/appError.js';
 
@@ -33,6 +38,86 @@ export const getCategory = catchAsync(async (req, res, next) => {
   });
 });
 
+const DEFAULT_RADIUS_KM = 5;
+const MAX_RADIUS_KM = 50;
+
+// GET /api/v1/food-categories/:id/foods?lng=&lat=&radius= — dishes of a category at open restaurants nearby
+export const getCategoryFoods = catchAsync(async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return next(new AppError('Invalid category ID', 400));
+
+  const lng = parseFloat(req.query.lng);
+  const lat = parseFloat(req.query.lat);
+  const radiusKm = req.query.radius === undefined ? DEFAULT_RADIUS_KM : parseFloat(req.query.radius);
+  if (!Number.isFinite(lng) || !Number.isFinite(lat)) {
+    return next(new AppError('Please provide longitude (lng) and latitude (lat) in query.', 400));
+  }
+  if (!(radiusKm > 0 && radiusKm <= MAX_RADIUS_KM)) {
+    return next(new AppError(`radius must be between 0 and ${MAX_RADIUS_KM} kilometers.`, 400));
+  }
+
+  const category = await FoodCategory.findOne({ _id: req.params.id, isActive: true });
+  if (!category) return next(new AppError('Category not found', 404));
+
+  // 1️⃣ Open restaurants within the radius
+  const nearby = await Restaurant.find({
+    location: { $geoWithin: { $centerSphere: [[lng, lat], (radiusKm * 1000) / 6378137] } }
+  }).select('name imageCover location ratingAverage openHours holidays ordersPausedUntil');
+  const distanceTo = new Map(
+    nearby
+      .filter((restaurant) => restaurant.isOpenNow)
+      .map((restaurant) => [
+        restaurant._id.toString(),
+        {
+          restaurant,
+          distanceMeters: getDistance(
+            { latitude: lat, longitude: lng },
+            { latitude: restaurant.location.coordinates[1], longitude: restaurant.location.coordinates[0] }
+          )
+        }
+      ])
+  );
+
+  // 2️⃣ Available dishes in this category on their active menus
+  const menus = await FoodMenu.find({ restaurantId: { $in: [...distanceTo.keys()] }, active: true }).select(
+    'restaurantId'
+  );
+  const restaurantOfMenu = new Map(menus.map((menu) => [menu._id.toString(), menu.restaurantId.toString()]));
+  const foods = await Food.find({
+    categories: category._id,
+    status: 'Available',
+    menuId: { $in: [...restaurantOfMenu.keys()] }
+  }).select('foodName price imageCover rating cookingTimeMinutes isFeatured menuId');
+
+  // 3️⃣ Nearest restaurant first
+  const results = foods
+    .map((food) => {
+      const { restaurant, distanceMeters } = distanceTo.get(restaurantOfMenu.get(food.menuId.toString()));
+      return {
+        _id: food._id,
+        foodName: food.foodName,
+        price: food.price,
+        imageCover: food.imageCover,
+        rating: food.rating,
+        cookingTimeMinutes: food.cookingTimeMinutes,
+        isFeatured: food.isFeatured,
+        restaurant: {
+          id: restaurant._id,
+          name: restaurant.name,
+          imageCover: restaurant.imageCover,
+          ratingAverage: restaurant.ratingAverage
+        },
+        distanceMeters
+      };
+    })
+    .sort((a, b) => a.distanceMeters - b.distanceMeters || a.foodName.localeCompare(b.foodName));
+
+  res.status(200).json({
+    status: 'success',
+    results: results.length,
+    data: { category, foods: results }
+  });
+});
+
 // Update a category
 export const updateCategory = catchAsync(async (req, res, next) => {
   const category = await FoodCategory.findByIdAndUpdate(req.params.id, req.body, {
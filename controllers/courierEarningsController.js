@@ -0,0 +1,468 @@
+import mongoose from 'mongoose';
+import CourierEarning from '../models/CourierEarning.js';
+import CourierPayoutRequest from '../models/CourierPayoutRequest.js';
+import CourierShift from '../models/CourierShift.js';
+import Order from '../models/Order.js';
+import User from '../models/userModel.js';
+import catchAsync from '../utils/catchAsync.js';
+import AppError from '../utils/appError.js';
+import { RESTAURANT_TIMEZONE } from '../utils/openHours.js';
+
+const PAYOUT_MIN = parseFloat(process.env.COURIER_PAYOUT_MIN || '100');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toNumber = (value) => parseFloat(value?.toString() || '0');
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const formatRequest = (request) => ({
+  id: request._id,
+  courierId: request.courierId,
+  amount: toNumber(request.amount),
+  entryCount: request.entryCount,
+  payoutMethod: request.payoutMethod,
+  accountNumber: request.accountNumber,
+  status: request.status,
+  paymentReference: request.paymentReference,
+  rejectionReason: request.rejectionReason,
+  reviewedAt: request.reviewedAt,
+  createdAt: request.createdAt
+});
+
+const parseRange = (query, defaultDays) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - defaultDays * DAY_MS);
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+    throw new AppError('from/to must be valid dates with from before to.', 400);
+  }
+  return { from, to };
+};
+
+// Period key on the local (Addis Ababa) calendar
+const periodBucket = (period, field) => ({
+  $dateToString: {
+    format: period === 'daily' ? '%Y-%m-%d' : '%G-W%V',
+    date: field,
+    timezone: RESTAURANT_TIMEZONE
+  }
+});
+
+// Online hours per period, bucketed by shift start. Closed shifts carry their
+// totals; the open one (if any) is measured up to now.
+const shiftHoursByPeriod = async (courierId, period, from, to) => {
+  const [rows, openShift] = await Promise.all([
+    CourierShift.aggregate([
+      { $match: { courierId, startedAt: { $gte: from, $lt: to } } },
+      {
+        $group: {
+          _id: periodBucket(period, '$startedAt'),
+          shifts: { $sum: 1 },
+          onlineMinutes: { $sum: '$onlineMinutes' },
+          openShiftIds: { $push: { $cond: [{ $eq: ['$status', 'Open'] }, '$_id', '$$REMOVE'] } }
+        }
+      }
+    ]),
+    CourierShift.findOpen(courierId)
+  ]);
+
+  const openMinutes = openShift ? openShift.durations().onlineMinutes : 0;
+  return new Map(
+    rows.map((row) => {
+      const includesOpen = openShift && row.openShiftIds.some((id) => id.equals(openShift._id));
+      const minutes = row.onlineMinutes + (includesOpen ? openMinutes : 0);
+      return [row._id, { shifts: row.shifts, onlineHours: round2(minutes / 60) }];
+    })
+  );
+};
+
+// Sum of one entry type inside a $group
+const sumOfType = (type) => ({ $sum: { $cond: [{ $eq: ['$type', type] }, '$amount', 0] } });
+
+// GET /api/v1/deliveries/earnings
+export const getMyEarnings = catchAsync(async (req, res, next) => {
+  const { from, to } = parseRange(req.query, 30);
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const filter = { courierId: req.user._id, earnedAt: { $gte: from, $lt: to } };
+
+  const [entries, total, available] = await Promise.all([
+    CourierEarning.find(filter)
+      .populate('orderId', 'orderCode')
+      .sort({ earnedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    CourierEarning.countDocuments(filter),
+    CourierEarning.availableBalance(req.user._id)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: entries.length,
+    total,
+    page,
+    data: {
+      available,
+      entries: entries.map((entry) => ({
+        id: entry._id,
+        type: entry.type,
+        amount: toNumber(entry.amount),
+        orderId: entry.orderId?._id,
+        orderCode: entry.orderId?.orderCode,
+        note: entry.note,
+        earnedAt: entry.earnedAt,
+        inPayoutRequest: Boolean(entry.payoutRequestId)
+      }))
+    }
+  });
+});
+
+// GET /api/v1/deliveries/earnings/summary?period=daily|weekly
+export const getMyEarningsSummary = catchAsync(async (req, res, next) => {
+  const period = req.query.period || 'daily';
+  if (!['daily', 'weekly'].includes(period)) {
+    return next(new AppError("period must be 'daily' or 'weekly'.", 400));
+  }
+  const { from, to } = parseRange(req.query, period === 'daily' ? 7 : 56);
+
+  const [rows, shiftHours] = await Promise.all([
+    CourierEarning.aggregate([
+      { $match: { courierId: req.user._id, earnedAt: { $gte: from, $lt: to } } },
+      {
+        $group: {
+          _id: periodBucket(period, '$earnedAt'),
+          deliveries: { $sum: { $cond: [{ $eq: ['$type', 'DeliveryFee'] }, 1, 0] } },
+          deliveryFees: sumOfType('DeliveryFee'),
+          tips: sumOfType('Tip'),
+          bonuses: sumOfType('Bonus'),
+          adjustments: sumOfType('Adjustment'),
+          cashCollected: sumOfType('CashCollected'),
+          net: { $sum: '$amount' }
+        }
+      }
+    ]),
+    shiftHoursByPeriod(req.user._id, period, from, to)
+  ]);
+
+  // Periods with shifts but no earnings still show up
+  const rowsByPeriod = new Map(rows.map((row) => [row._id, row]));
+  const periods = [...new Set([...rowsByPeriod.keys(), ...shiftHours.keys()])].sort();
+
+  const summary = periods.map((key) => {
+    const row = rowsByPeriod.get(key) || { deliveries: 0 };
+    const { shifts = 0, onlineHours = 0 } = shiftHours.get(key) || {};
+    const earned = round2(toNumber(row.deliveryFees) + toNumber(row.tips) + toNumber(row.bonuses));
+    return {
+      period: key,
+      shifts,
+      onlineHours,
+      deliveries: row.deliveries,
+      deliveryFees: toNumber(row.deliveryFees),
+      tips: toNumber(row.tips),
+      bonuses: toNumber(row.bonuses),
+      adjustments: toNumber(row.adjustments),
+      cashCollected: -toNumber(row.cashCollected),
+      earned,
+      earnedPerOnlineHour: onlineHours > 0 ? round2(earned / onlineHours) : null,
+      net: toNumber(row.net)
+    };
+  });
+  const totals = summary.reduce(
+    (acc, row) => ({
+      shifts: acc.shifts + row.shifts,
+      onlineHours: round2(acc.onlineHours + row.onlineHours),
+      deliveries: acc.deliveries + row.deliveries,
+      earned: round2(acc.earned + row.earned),
+      net: round2(acc.net + row.net)
+    }),
+    { shifts: 0, onlineHours: 0, deliveries: 0, earned: 0, net: 0 }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      period,
+      from,
+      to,
+      totals,
+      available: await CourierEarning.availableBalance(req.user._id),
+      summary
+    }
+  });
+});
+
+// GET /api/v1/deliveries/performance (admin): shifts, deliveries and offer responses per courier
+export const getCourierPerformance = catchAsync(async (req, res, next) => {
+  const { from, to } = parseRange(req.query, 7);
+  const courierFilter = {};
+  if (req.query.courierId) {
+    if (!mongoose.isValidObjectId(req.query.courierId)) {
+      return next(new AppError('Invalid courier ID format.', 400));
+    }
+    courierFilter.courierId = new mongoose.Types.ObjectId(req.query.courierId);
+  }
+
+  const [shifts, earnings, offers] = await Promise.all([
+    CourierShift.find({ ...courierFilter, startedAt: { $gte: from, $lt: to } }),
+    CourierEarning.aggregate([
+      { $match: { ...courierFilter, earnedAt: { $gte: from, $lt: to } } },
+      {
+        $group: {
+          _id: '$courierId',
+          deliveries: { $sum: { $cond: [{ $eq: ['$type', 'DeliveryFee'] }, 1, 0] } },
+          deliveryFees: sumOfType('DeliveryFee'),
+          tips: sumOfType('Tip'),
+          bonuses: sumOfType('Bonus')
+        }
+      }
+    ]),
+    Order.aggregate([
+      { $match: { 'dispatch.offers.offeredAt': { $gte: from, $lt: to } } },
+      { $unwind: '$dispatch.offers' },
+      {
+        $match: {
+          'dispatch.offers.offeredAt': { $gte: from, $lt: to },
+          ...(courierFilter.courierId ? { 'dispatch.offers.courierId': courierFilter.courierId } : {})
+        }
+      },
+      {
+        $group: {
+          _id: '$dispatch.offers.courierId',
+          offered: { $sum: 1 },
+          accepted: { $sum: { $cond: [{ $eq: ['$dispatch.offers.outcome', 'Accepted'] }, 1, 0] } },
+          rejected: { $sum: { $cond: [{ $eq: ['$dispatch.offers.outcome', 'Rejected'] }, 1, 0] } },
+          timedOut: { $sum: { $cond: [{ $eq: ['$dispatch.offers.outcome', 'TimedOut'] }, 1, 0] } }
+        }
+      }
+    ])
+  ]);
+
+  const report = new Map();
+  const rowFor = (courierId) => {
+    const key = courierId.toString();
+    if (!report.has(key)) {
+      report.set(key, {
+        courierId: key,
+        shifts: 0,
+        onlineMinutes: 0,
+        pausedMinutes: 0,
+        deliveries: 0,
+        earned: 0,
+        offers: { offered: 0, accepted: 0, rejected: 0, timedOut: 0 }
+      });
+    }
+    return report.get(key);
+  };
+
+  const now = new Date();
+  shifts.forEach((shift) => {
+    const row = rowFor(shift.courierId);
+    const { onlineMinutes, pausedMinutes } = shift.durations(now);
+    row.shifts += 1;
+    row.onlineMinutes += onlineMinutes;
+    row.pausedMinutes += pausedMinutes;
+  });
+  earnings.forEach((entry) => {
+    const row = rowFor(entry._id);
+    row.deliveries = entry.deliveries;
+    row.earned = round2(toNumber(entry.deliveryFees) + toNumber(entry.tips) + toNumber(entry.bonuses));
+  });
+  offers.forEach(({ _id, ...counts }) => {
+    rowFor(_id).offers = counts;
+  });
+
+  const couriers = await User.find({ _id: { $in: [...report.keys()] } }).select(
+    'firstName lastName phone deliveryMethod courierStatus'
+  );
+  const couriersById = new Map(couriers.map((courier) => [courier._id.toString(), courier]));
+
+  const data = [...report.values()]
+    .map(({ onlineMinutes, pausedMinutes, ...row }) => {
+      const onlineHours = round2(onlineMinutes / 60);
+      return {
+        ...row,
+        courier: couriersById.get(row.courierId) || null,
+        onlineHours,
+        pausedHours: round2(pausedMinutes / 60),
+        deliveriesPerOnlineHour: onlineHours > 0 ? round2(row.deliveries / onlineHours) : null,
+        earnedPerOnlineHour: onlineHours > 0 ? round2(row.earned / onlineHours) : null,
+        offers: {
+          ...row.offers,
+          acceptanceRate: row.offers.offered > 0 ? round2(row.offers.accepted / row.offers.offered) : null
+        }
+      };
+    })
+    .sort((a, b) => b.deliveries - a.deliveries);
+
+  res.status(200).json({
+    status: 'success',
+    results: data.length,
+    data: { from, to, couriers: data }
+  });
+});
+
+// POST /api/v1/deliveries/payout-requests
+export const requestPayout = catchAsync(async (req, res, next) => {
+  const { payoutMethod, accountNumber } = req.body;
+  const courierId = req.user._id;
+
+  const open = await CourierPayoutRequest.findOne({ courierId, status: 'Pending' });
+  if (open) return next(new AppError('You already have a pending payout request.', 409));
+
+  const available = await CourierEarning.availableBalance(courierId);
+  if (available.amount < PAYOUT_MIN) {
+    return next(new AppError(`Minimum payout is ${PAYOUT_MIN} ETB; available: ${available.amount} ETB.`, 400));
+  }
+
+  const request = await CourierPayoutRequest.create({ courierId, payoutMethod, accountNumber });
+
+  // Claim the entries, then total what was actually claimed
+  await CourierEarning.updateMany(
+    { courierId, payoutRequestId: null },
+    { $set: { payoutRequestId: request._id } }
+  );
+  const [claimed] = await CourierEarning.aggregate([
+    { $match: { payoutRequestId: request._id } },
+    { $group: { _id: null, amount: { $sum: '$amount' }, entries: { $sum: 1 } } }
+  ]);
+  const amount = round2(toNumber(claimed?.amount));
+  if (amount < PAYOUT_MIN) {
+    await CourierEarning.updateMany({ payoutRequestId: request._id }, { $set: { payoutRequestId: null } });
+    await request.deleteOne();
+    return next(new AppError(`Minimum payout is ${PAYOUT_MIN} ETB.`, 400));
+  }
+
+  request.amount = mongoose.Types.Decimal128.fromString(amount.toFixed(2));
+  request.entryCount = claimed.entries;
+  await request.save();
+
+  res.status(201).json({
+    status: 'success',
+    data: formatRequest(request)
+  });
+});
+
+// GET /api/v1/deliveries/payout-requests (couriers: own, admins: all)
+export const getPayoutRequests = catchAsync(async (req, res, next) => {
+  const filter = {};
+  if (req.user.role === 'Delivery_Person') filter.courierId = req.user._id;
+  else if (req.query.courierId) {
+    if (!mongoose.isValidObjectId(req.query.courierId)) {
+      return next(new AppError('Invalid courier ID format.', 400));
+    }
+    filter.courierId = req.query.courierId;
+  }
+  if (req.query.status) filter.status = req.query.status;
+
+  const requests = await CourierPayoutRequest.find(filter)
+    .populate('courierId', 'firstName lastName phone')
+    .sort({ createdAt: -1 })
+    .limit(200);
+
+  res.status(200).json({
+    status: 'success',
+    results: requests.length,
+    data: requests.map((request) => ({ ...formatRequest(request), courier: request.courierId }))
+  });
+});
+
+// PATCH /api/v1/deliveries/payout-requests/:id/approve (admin)
+export const approvePayoutRequest = catchAsync(async (req, res, next) => {
+  const { paymentReference } = req.body;
+  if (!paymentReference || typeof paymentReference !== 'string') {
+    return next(new AppError('paymentReference is required.', 400));
+  }
+
+  const request = await CourierPayoutRequest.findOneAndUpdate(
+    { _id: req.params.id, status: 'Pending' },
+    {
+      $set: {
+        status: 'Approved',
+        paymentReference,
+        reviewedBy: req.user._id,
+        reviewedAt: new Date()
+      }
+    },
+    { new: true, runValidators: true }
+  );
+  if (!request) return next(new AppError('Pending payout request not found', 404));
+
+  res.status(200).json({
+    status: 'success',
+    data: formatRequest(request)
+  });
+});
+
+// PATCH /api/v1/deliveries/payout-requests/:id/reject (admin)
+export const rejectPayoutRequest = catchAsync(async (req, res, next) => {
+  const { reason } = req.body;
+  if (!reason || typeof reason !== 'string') {
+    return next(new AppError('A rejection reason is required.', 400));
+  }
+
+  const request = await CourierPayoutRequest.findOneAndUpdate(
+    { _id: req.params.id, status: 'Pending' },
+    {
+      $set: {
+        status: 'Rejected',
+        rejectionReason: reason,
+        reviewedBy: req.user._id,
+        reviewedAt: new Date()
+      }
+    },
+    { new: true, runValidators: true }
+  );
+  if (!request) return next(new AppError('Pending payout request not found', 404));
+
+  // Earnings become available again
+  await CourierEarning.updateMany({ payoutRequestId: request._id }, { $set: { payoutRequestId: null } });
+
+  res.status(200).json({
+    status: 'success',
+    data: formatRequest(request)
+  });
+});
+
+// POST /api/v1/deliveries/bonuses (admin)
+export const grantBonus = catchAsync(async (req, res, next) => {
+  const { courierId, note, orderId } = req.body;
+  const amount = parseFloat(req.body.amount);
+
+  if (!mongoose.isValidObjectId(courierId)) {
+    return next(new AppError('Invalid courier ID format.', 400));
+  }
+  // An unusable orderId would otherwise become an unlimited unlinked bonus
+  if (orderId !== undefined && orderId !== null && !mongoose.isValidObjectId(orderId)) {
+    return next(new AppError('Invalid order ID format.', 400));
+  }
+  if (isNaN(amount) || amount <= 0) {
+    return next(new AppError('Bonus amount must be a positive number.', 400));
+  }
+  if (!note || typeof note !== 'string') {
+    return next(new AppError('A note explaining the bonus is required.', 400));
+  }
+
+  const courier = await User.findById(courierId);
+  if (!courier || courier.role !== 'Delivery_Person') {
+    return next(new AppError('Courier not found', 404));
+  }
+
+  // One bonus per order (unique orderId + type); bonuses without an order are unlimited
+  let entry;
+  try {
+    entry = await CourierEarning.create({
+      courierId,
+      orderId: orderId || undefined,
+      type: 'Bonus',
+      amount: mongoose.Types.Decimal128.fromString(amount.toFixed(2)),
+      note,
+      createdBy: req.user._id
+    });
+  } catch (err) {
+    if (err.code === 11000) return next(new AppError('A bonus has already been granted for this order.', 409));
+    throw err;
+  }
+
+  res.status(201).json({
+    status: 'success',
+    data: { id: entry._id, courierId, type: entry.type, amount, note, earnedAt: entry.earnedAt }
+  });
+});
@@ -0,0 +1,129 @@
+import mongoose from 'mongoose';
+import CourierShift from '../models/CourierShift.js';
+import Order from '../models/Order.js';
+import User from '../models/userModel.js';
+import catchAsync from '../utils/catchAsync.js';
+import AppError from '../utils/appError.js';
+import { getIO } from '../utils/socket.js';
+import { setCourierAvailability } from '../socket.js';
+
+const formatShift = (shift, now = new Date()) => ({
+  id: shift._id,
+  courierId: shift.courierId,
+  status: shift.status,
+  paused: shift.isPaused(),
+  startedAt: shift.startedAt,
+  endedAt: shift.endedAt,
+  pauses: shift.pauses,
+  ...shift.durations(now)
+});
+
+// Keep the profile status and socket rooms in line with the shift
+const applyCourierStatus = async (courier, courierStatus, currentShiftId) => {
+  await User.updateOne({ _id: courier._id }, { $set: { courierStatus, currentShiftId } });
+  const io = getIO();
+  if (io) setCourierAvailability(io, courier._id, courier.deliveryMethod, courierStatus === 'Online');
+};
+
+// POST /api/v1/deliveries/shifts/start
+export const startShift = catchAsync(async (req, res, next) => {
+  let shift;
+  try {
+    shift = await CourierShift.create({ courierId: req.user._id });
+  } catch (err) {
+    if (err.code === 11000) return next(new AppError('You already have an open shift.', 409));
+    throw err;
+  }
+
+  await applyCourierStatus(req.user, 'Online', shift._id);
+
+  res.status(201).json({
+    status: 'success',
+    data: { courierStatus: 'Online', shift: formatShift(shift) }
+  });
+});
+
+// PATCH /api/v1/deliveries/shifts/current { status: 'Online' | 'Paused' }
+export const updateShiftStatus = catchAsync(async (req, res, next) => {
+  const { status } = req.body;
+  if (!['Online', 'Paused'].includes(status)) {
+    return next(new AppError("status must be 'Online' or 'Paused'.", 400));
+  }
+
+  const shift = await CourierShift.findOpen(req.user._id);
+  if (!shift) return next(new AppError('Start a shift first.', 400));
+
+  const now = new Date();
+  if (status === 'Paused' && !shift.isPaused()) {
+    shift.pauses.push({ startedAt: now });
+  } else if (status === 'Online' && shift.isPaused()) {
+    shift.pauses[shift.pauses.length - 1].endedAt = now;
+  }
+  await shift.save();
+  await applyCourierStatus(req.user, status, shift._id);
+
+  res.status(200).json({
+    status: 'success',
+    data: { courierStatus: status, shift: formatShift(shift, now) }
+  });
+});
+
+// POST /api/v1/deliveries/shifts/end
+export const endShift = catchAsync(async (req, res, next) => {
+  const shift = await CourierShift.findOpen(req.user._id);
+  if (!shift) return next(new AppError('You do not have an open shift.', 400));
+
+  const active = await Order.exists({
+    deliveryId: req.user._id,
+    orderStatus: { $nin: ['Completed', 'Cancelled'] }
+  });
+  if (active) {
+    return next(new AppError('Finish your active delivery before ending the shift.', 400));
+  }
+
+  const now = new Date();
+  if (shift.isPaused()) shift.pauses[shift.pauses.length - 1].endedAt = now;
+  shift.status = 'Closed';
+  shift.endedAt = now;
+  Object.assign(shift, shift.durations(now));
+  await shift.save();
+  await applyCourierStatus(req.user, 'Offline', null);
+
+  res.status(200).json({
+    status: 'success',
+    data: { courierStatus: 'Offline', shift: formatShift(shift, now) }
+  });
+});
+
+// GET /api/v1/deliveries/shifts (couriers: own, admins: ?courierId=)
+export const getShifts = catchAsync(async (req, res, next) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  const filter = {};
+  if (req.user.role === 'Delivery_Person') {
+    filter.courierId = req.user._id;
+  } else if (req.query.courierId) {
+    if (!mongoose.isValidObjectId(req.query.courierId)) {
+      return next(new AppError('Invalid courier ID format.', 400));
+    }
+    filter.courierId = req.query.courierId;
+  }
+
+  const [shifts, total] = await Promise.all([
+    CourierShift.find(filter)
+      .sort({ startedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    CourierShift.countDocuments(filter)
+  ]);
+
+  const now = new Date();
+  res.status(200).json({
+    status: 'success',
+    results: shifts.length,
+    total,
+    page,
+    data: shifts.map((shift) => formatShift(shift, now))
+  });
+});
@@ -1,6 +1,9 @@
 import Deliver from '../models/Deliver.js';
 import Order from '../models/Order.js';
+import { publish, EVENTS } from '../events/eventBus.js';
+import { acceptDeliveryOrder, dispatchOrder } from '../utils/dispatcher.js';
 import { getIO } from '../utils/socket.js';
+import { clearActiveDeliveryOrder } from '../socket.js';
 
 
 // export const createDelivery = async (req, res, next) => {
@@ -82,33 +85,19 @@ export const createDelivery = async (req, res, next) => {
     });
 
     // 5. Update order status to 'Delivering'
-    order.orderStatus = 'Delivering';
+    order.setStatus('Delivering', { actor: req.user, source: 'REST' });
     await order.save();
 
-    // 🔊 notify rooms about assignment
-    try {
-      const io = getIO();
-      if (io) {
-        io.emit('delivery:assigned', {
-          orderId: orderId,
-          deliveryId: delivery._id,
-          deliveryPerson: deliveryPersonId,
-        });
-        io.emit('order:status', { orderId, status: 'Delivering' });
-        
-        // Also broadcast updated count of available orders
-        try {
-          const availableCount = await Order.countDocuments({ 
-            orderStatus: 'Cooked', 
-            typeOfOrder: 'Delivery',
-            deliveryId: { $exists: false }
-          });
-          io.to('deliveries').emit('available-orders-count', { count: availableCount });
-        } catch (countError) {
-          console.warn('Failed to broadcast available orders count:', countError);
-        }
-      }
-    } catch {}
+    // 🔊 notify about the assignment and pickup
+    const event = {
+      orderId: order._id,
+      orderCode: order.orderCode,
+      courierId: deliveryPersonId,
+      customerId: order.userId,
+      deliveryVehicle: order.deliveryVehicle,
+    };
+    publish(EVENTS.ORDER_ASSIGNED, event);
+    publish(EVENTS.ORDER_PICKED_UP, event);
 
     res.status(201).json({
       message: 'Delivery successfully created and assigned.',
@@ -128,15 +117,8 @@ export const assignDeliveryToOrder = async (req, res, next) => {
       return res.status(400).json({ message: 'Order ID is required.' });
     }
 
-    // 1. Check if order exists and not already assigned
-    const order = await Order.findById(orderId);
-    if (!order) {
-      return res.status(404).json({ message: 'Order not found.' });
-    }
-
-    if (order.deliveryId) {
-      return res.status(409).json({ message: 'Delivery already assigned to this order.' });
-    }
+    // 1. Claim the order atomically (409 if another courier got it first)
+    await acceptDeliveryOrder(orderId, req.user);
 
     // 2. Create delivery assignment
     const delivery = await Deliver.create({
@@ -146,43 +128,7 @@ export const assignDeliveryToOrder = async (req, res, next) => {
       
     });
 
-    // 3. Update the order without triggering full validation
-    await Order.findByIdAndUpdate(
-      orderId,
-      {
-        deliveryId: delivery._id,
-        orderStatus: 'Delivering',
-      },
-      {
-        new: true,
-        runValidators: false, // avoid requiring other fields
-      }
-    );
-
-    // 🔊 broadcast acceptance to all clients (admins, other delivery clients, user channels if needed)
-    try {
-      const io = getIO();
-      if (io) {
-        io.emit('delivery:assigned', {
-          orderId,
-          deliveryId: delivery._id,
-          deliveryPerson: deliveryPersonId,
-        });
-        io.emit('order:status', { orderId, status: 'Delivering' });
-        
-        // Also broadcast updated count of available orders
-        try {
-          const availableCount = await Order.countDocuments({ 
-            orderStatus: 'Cooked', 
-            typeOfOrder: 'Delivery',
-            deliveryId: { $exists: false }
-          });
-          io.to('deliveries').emit('available-orders-count', { count: availableCount });
-        } catch (countError) {
-          console.warn('Failed to broadcast available orders count:', countError);
-        }
-      }
-    } catch {}
+    // 🔊 order.assigned is published by acceptDeliveryOrder
 
     res.status(201).json({
       message: 'Delivery person assigned successfully.',
@@ -214,48 +160,48 @@ export const cancelDeliveryAssignment = async (req, res, next) => {
       return res.status(400).json({ message: 'Delivery is already cancelled.' });
     }
 
-    // Update delivery status to Cancelled
-    delivery.deliveryStatus = 'Cancelled';
-    await delivery.save();
-
-    // Update the order: remove deliveryId and revert status to 'Cooked' (or 'Pending' as you prefer)
     const order = await Order.findById(orderId);
     if (!order) {
       return res.status(404).json({ message: 'Order not found.' });
     }
+    if (!order.deliveryId?.equals(deliveryPersonId)) {
+      return res.status(400).json({ message: 'This order is not assigned to you.' });
+    }
+    // Once picked up the food is with the courier; it can no longer go back to the pool
+    if (!['Preparing', 'Cooked'].includes(order.orderStatus)) {
+      return res.status(400).json({ message: `Order is ${order.orderStatus} and can no longer be dropped.` });
+    }
+
+    // Update delivery status to Cancelled
+    delivery.deliveryStatus = 'Cancelled';
+    await delivery.save();
 
+    // Clear only the courier assignment; the order keeps its kitchen status
     order.deliveryId = null;
-    order.orderStatus = 'Cooked'; // revert back to cooked, waiting for another delivery assignment
+    // Back into the dispatch queue: no assignment, no offer outstanding
+    order.set({ 'dispatch.status': undefined, 'dispatch.currentCourierId': null, 'dispatch.offerExpiresAt': null });
     await order.save();
 
+    // Stop relaying this courier's location for the order
+    const io = getIO();
+    if (io) await clearActiveDeliveryOrder(io, deliveryPersonId);
+
     // 🔊 notify that assignment was cancelled so other delivery people can pick up
-    try {
-      const io = getIO();
-      if (io) {
-        io.emit('delivery:cancelled', {
-          orderId,
-          deliveryId: delivery._id,
-          deliveryPerson: deliveryPersonId,
-        });
-        io.emit('order:status', { orderId, status: 'Cooked' });
-        
-        // Also broadcast updated count of available orders
-        try {
-          const availableCount = await Order.countDocuments({ 
-            orderStatus: 'Cooked', 
-            typeOfOrder: 'Delivery',
-            deliveryId: { $exists: false }
-          });
-          io.to('deliveries').emit('available-orders-count', { count: availableCount });
-        } catch (countError) {
-          console.warn('Failed to broadcast available orders count:', countError);
-        }
-      }
-    } catch {}
+    publish(EVENTS.ORDER_UNASSIGNED, {
+      orderId: order._id,
+      orderCode: order.orderCode,
+      courierId: deliveryPersonId,
+      customerId: order.userId,
+      deliveryVehicle: order.deliveryVehicle,
+      orderStatus: order.orderStatus,
+    });
+
+    // Offer it to the next nearest courier
+    await dispatchOrder(order._id);
 
     res.status(200).json({
       status: 'success',
-      message: 'Delivery assignment cancelled and order reverted.',
+      message: 'Delivery assignment cancelled; the order is back in the dispatch queue.',
       data: {
         delivery,
         order,
@@ -3,6 +3,8 @@
 import Food from '../models/Food.js';
 import FoodMenu from '../models/FoodMenu.js';
 import Restaurant from '../models/restaurantModel.js';
+import FoodCategory from '../models/FoodCategory.js';
+import mongoose from 'mongoose';
 import AppError from '../utils/appError.js';
 import catchAsync from '../utils/catchAsync.js';
 
@@ -33,6 +35,37 @@ export const getFoodsByMenuId = catchAsync(async (req, res, next) => {
   });
 });
 
+// Option groups arrive as a JSON string when the request is multipart (image upload)
+const parseOptionGroups = (optionGroups) => {
+  if (optionGroups === undefined || typeof optionGroups !== 'string') return optionGroups;
+  try {
+    return JSON.parse(optionGroups);
+  } catch (err) {
+    throw new AppError('optionGroups must be valid JSON', 400);
+  }
+};
+
+// Category IDs arrive as a JSON array (or a single ID) in multipart requests; all must be active categories
+const parseCategories = async (categories) => {
+  if (categories === undefined) return undefined;
+  let ids = categories;
+  if (typeof ids === 'string') {
+    try {
+      ids = ids.trim().startsWith('[') ? JSON.parse(ids) : [ids];
+    } catch (err) {
+      throw new AppError('categories must be valid JSON', 400);
+    }
+  }
+  if (!Array.isArray(ids) || !ids.every((id) => mongoose.isValidObjectId(id))) {
+    throw new AppError('categories must be an array of category IDs', 400);
+  }
+
+  const unique = [...new Set(ids.map(String))];
+  const found = await FoodCategory.countDocuments({ _id: { $in: unique }, isActive: true });
+  if (found !== unique.length) throw new AppError('Unknown or inactive food category', 400);
+  return unique;
+};
+
 // Validate manager/admin ownership of menu
 const checkManagerAccess = async (menuId, user) => {
   const menu = await FoodMenu.findById(menuId);
@@ -68,6 +101,8 @@ export const createFood = catchAsync(async (req, res, next) => {
     ingredients: req.body.ingredients,
     instructions: req.body.instructions,
     cookingTimeMinutes: req.body.cookingTimeMinutes,
+    optionGroups: parseOptionGroups(req.body.optionGroups),
+    categories: await parseCategories(req.body.categories),
     menuId: req.body.menuId,
     imageCover: req.body.imageCover // ✅ includes uploaded image
   });
@@ -92,6 +127,12 @@ export const getAllFoods = catchAsync(async (req, res, next) => {
   }
 
   if (req.query.status) queryObj.status = req.query.status;
+  if (req.query.categoryId) {
+    if (!mongoose.isValidObjectId(req.query.categoryId)) {
+      return next(new AppError('Invalid category ID format.', 400));
+    }
+    queryObj.categories = req.query.categoryId;
+  }
 
   const foods = await Food.find(queryObj)
     .populate('menuId');
@@ -129,6 +170,13 @@ export const updateFood = catchAsync(async (req, res, next) => {
     req.body.image = result.secure_url;
   }
 
+  if (req.body.optionGroups !== undefined) {
+    req.body.optionGroups = parseOptionGroups(req.body.optionGroups);
+  }
+  if (req.body.categories !== undefined) {
+    req.body.categories = await parseCategories(req.body.categories);
+  }
+
   const updatedFood = await Food.findByIdAndUpdate(req.params.id, req.body, {
     new: true,
     runValidators: true
@@ -0,0 +1,252 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Restaurant from '../models/restaurantModel.js';
+import catchAsync from '../utils/catchAsync.js';
+import AppError from '../utils/appError.js';
+import { estimateReadyAt } from '../utils/kitchen.js';
+import { publish, EVENTS } from '../events/eventBus.js';
+import { cancelAndRefund } from './orderController.js';
+
+const MAX_PREP_MINUTES = 240;
+
+// Restaurants the user runs the kitchen for (admins may pick any)
+const kitchenRestaurantIds = async (user, restaurantId) => {
+  if (restaurantId && !mongoose.isValidObjectId(restaurantId)) {
+    throw new AppError('Invalid restaurant ID format.', 400);
+  }
+  if (user.role === 'Admin') {
+    if (!restaurantId) throw new AppError('restaurantId is required.', 400);
+    return [new mongoose.Types.ObjectId(restaurantId)];
+  }
+  const filter = { managerId: user._id };
+  if (restaurantId) filter._id = restaurantId;
+  const restaurants = await Restaurant.find(filter).select('_id');
+  return restaurants.map((r) => r._id);
+};
+
+// Order of one of the user's restaurants, or an error for next()
+const loadKitchenOrder = async (req) => {
+  const { orderId } = req.params;
+  if (!mongoose.isValidObjectId(orderId)) return { error: new AppError('Invalid order ID format.', 400) };
+
+  const order = await Order.findById(orderId);
+  if (!order) return { error: new AppError('Order not found.', 404) };
+
+  if (req.user.role === 'Manager') {
+    const ids = await kitchenRestaurantIds(req.user);
+    if (!ids.some((id) => id.equals(order.restaurantId))) {
+      return { error: new AppError('You can only manage orders for your restaurant.', 403) };
+    }
+  }
+  return { order };
+};
+
+const minutesUntil = (date, now) => (date ? Math.round((date.getTime() - now.getTime()) / 60000) : null);
+
+const formatQueueOrder = (order, now) => ({
+  orderId: order._id,
+  orderCode: order.orderCode,
+  orderStatus: order.orderStatus,
+  orderType: order.typeOfOrder,
+  items: order.orderItems.map((item) => ({
+    foodName: item.name,
+    quantity: item.quantity,
+    options: (item.selectedOptions || []).map((option) => `${option.groupName}: ${option.optionName}`),
+  })),
+  description: order.description,
+  orderDate: order.createdAt,
+  acceptedAt: order.preparation?.acceptedAt,
+  estimatedReadyAt: order.preparation?.estimatedReadyAt,
+  minutesLeft: minutesUntil(order.preparation?.estimatedReadyAt, now),
+  courierAssigned: Boolean(order.deliveryId),
+});
+
+// Deadline for accepting a released order before it is rejected automatically
+const acceptBy = (order) =>
+  order.orderStatus === 'Pending' && order.releasedAt
+    ? new Date(order.releasedAt.getTime() + Order.acceptTimeoutMs())
+    : undefined;
+
+// GET /api/v1/orders/kitchen/queue?restaurantId= (manager, admin)
+export const getKitchenQueue = catchAsync(async (req, res, next) => {
+  const restaurantIds = await kitchenRestaurantIds(req.user, req.query.restaurantId);
+  if (restaurantIds.length === 0) return next(new AppError('No restaurant found for this manager.', 404));
+
+  const orders = await Order.find({
+    restaurantId: { $in: restaurantIds },
+    orderStatus: { $in: ['Pending', 'Preparing', 'Cooked'] },
+    releasedAt: { $ne: null }, // scheduled orders join the queue once released
+  });
+
+  const now = new Date();
+  const byStatus = (status) => orders.filter((order) => order.orderStatus === status);
+  const readyAt = (order) => order.preparation?.estimatedReadyAt?.getTime() || 0;
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      // Waiting to be accepted, oldest first
+      pending: byStatus('Pending')
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .map((order) => ({ ...formatQueueOrder(order, now), acceptBy: acceptBy(order) })),
+      // In the kitchen, next due first
+      preparing: byStatus('Preparing')
+        .sort((a, b) => readyAt(a) - readyAt(b))
+        .map((order) => formatQueueOrder(order, now)),
+      // Cooked and waiting for the courier or customer
+      ready: byStatus('Cooked').map((order) => formatQueueOrder(order, now)),
+    },
+  });
+});
+
+// POST /api/v1/orders/:orderId/kitchen/accept { prepMinutes? } (manager, admin)
+export const acceptKitchenOrder = catchAsync(async (req, res, next) => {
+  const { order, error } = await loadKitchenOrder(req);
+  if (error) return next(error);
+
+  if (!Order.canTransition(order.orderStatus, 'Preparing')) {
+    return next(new AppError(`Only pending orders can be accepted; this one is ${order.orderStatus}.`, 400));
+  }
+  if (order.isHeldForSchedule()) {
+    return next(new AppError('This scheduled order has not been released to the kitchen yet.', 400));
+  }
+
+  const { prepMinutes } = req.body;
+  if (prepMinutes !== undefined && !(Number(prepMinutes) > 0 && Number(prepMinutes) <= MAX_PREP_MINUTES)) {
+    return next(new AppError(`prepMinutes must be between 1 and ${MAX_PREP_MINUTES}.`, 400));
+  }
+
+  const now = new Date();
+  const estimate = await estimateReadyAt(order, {
+    prepMinutes: prepMinutes !== undefined ? Number(prepMinutes) : undefined,
+    now,
+  });
+
+  // Conditional on the status just checked so a concurrent cancel or second accept loses
+  const { modifiedCount } = await Order.updateOne(
+    { _id: order._id, orderStatus: order.orderStatus },
+    {
+      $set: {
+        orderStatus: 'Preparing',
+        'preparation.acceptedAt': now,
+        'preparation.prepMinutes': estimate.prepMinutes,
+        'preparation.estimatedReadyAt': estimate.estimatedReadyAt,
+        restaurantDecision: order.buildRestaurantDecision('Accepted', { by: req.user._id, now }),
+      },
+      $push: {
+        statusHistory: Order.buildStatusEntry(order.orderStatus, 'Preparing', { actor: req.user, source: 'REST' }),
+      },
+    }
+  );
+  if (modifiedCount === 0) {
+    return next(new AppError('Order status changed while accepting. Please refresh the queue.', 409));
+  }
+  await Restaurant.recordOrderDecision(order.restaurantId, 'Accepted');
+
+  publish(EVENTS.ORDER_PREPARING, {
+    orderId: order._id,
+    orderCode: order.orderCode,
+    restaurantId: order.restaurantId,
+    customerId: order.userId,
+    typeOfOrder: order.typeOfOrder,
+    estimatedReadyAt: estimate.estimatedReadyAt,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: `Order ${order.orderCode} accepted.`,
+    data: {
+      orderId: order._id,
+      orderStatus: 'Preparing',
+      prepMinutes: estimate.prepMinutes,
+      ordersAhead: estimate.queueLength,
+      estimatedReadyAt: estimate.estimatedReadyAt,
+    },
+  });
+});
+
+// POST /api/v1/orders/:orderId/kitchen/reject { reasonCode, note? } (manager, admin)
+export const rejectKitchenOrder = catchAsync(async (req, res, next) => {
+  const { reasonCode, note } = req.body;
+  if (!Order.REJECTION_REASONS.includes(reasonCode)) {
+    return next(new AppError(`Invalid reasonCode. Allowed: ${Order.REJECTION_REASONS.join(', ')}`, 400));
+  }
+  if (note && (typeof note !== 'string' || note.length > 500)) {
+    return next(new AppError('Note must be a string of at most 500 characters.', 400));
+  }
+
+  const { order, error } = await loadKitchenOrder(req);
+  if (error) return next(error);
+
+  if (order.orderStatus !== 'Pending') {
+    return next(new AppError(`Only pending orders can be rejected; this one is ${order.orderStatus}.`, 400));
+  }
+  if (order.isHeldForSchedule()) {
+    return next(new AppError('This scheduled order has not been released to the kitchen yet.', 400));
+  }
+
+  // Cancels with a full refund; conditional on Pending so a concurrent accept wins
+  const result = await cancelAndRefund(order, {
+    reasonCode,
+    note,
+    actor: req.user,
+    source: 'REST',
+    extraSet: { restaurantDecision: order.buildRestaurantDecision('Rejected', { by: req.user._id, reasonCode }) },
+  });
+  if (!result) {
+    return next(new AppError('Order status changed while rejecting. Please refresh the queue.', 409));
+  }
+  await Restaurant.recordOrderDecision(order.restaurantId, 'Rejected');
+
+  res.status(200).json({
+    status: 'success',
+    message: `Order ${order.orderCode} rejected.`,
+    data: { orderId: order._id, orderStatus: 'Cancelled', reasonCode, refund: result.refund },
+  });
+});
+
+// PATCH /api/v1/orders/:orderId/kitchen/ready-time { minutes, reason? } (manager, admin)
+export const bumpReadyTime = catchAsync(async (req, res, next) => {
+  const { order, error } = await loadKitchenOrder(req);
+  if (error) return next(error);
+
+  if (order.orderStatus !== 'Preparing') {
+    return next(new AppError('Only orders being prepared have a ready time to change.', 400));
+  }
+
+  const minutes = Number(req.body.minutes);
+  if (!Number.isInteger(minutes) || minutes === 0 || Math.abs(minutes) > MAX_PREP_MINUTES) {
+    return next(new AppError(`minutes must be a non-zero whole number up to ${MAX_PREP_MINUTES}.`, 400));
+  }
+  const { reason } = req.body;
+
+  const now = new Date();
+  const current = order.preparation?.estimatedReadyAt || now;
+  const estimatedReadyAt = new Date(Math.max(current.getTime() + minutes * 60 * 1000, now.getTime()));
+
+  const { modifiedCount } = await Order.updateOne(
+    { _id: order._id, orderStatus: 'Preparing' },
+    {
+      $set: { 'preparation.estimatedReadyAt': estimatedReadyAt },
+      $push: { 'preparation.bumps': { at: now, byId: req.user._id, minutes, reason } },
+    }
+  );
+  if (modifiedCount === 0) {
+    return next(new AppError('Order status changed while updating. Please refresh the queue.', 409));
+  }
+
+  publish(EVENTS.ORDER_READY_TIME_CHANGED, {
+    orderId: order._id,
+    orderCode: order.orderCode,
+    customerId: order.userId,
+    courierId: order.deliveryId || null,
+    estimatedReadyAt,
+    minutes,
+    reason: reason || null,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: { orderId: order._id, estimatedReadyAt },
+  });
+});
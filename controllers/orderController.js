@@ -3,10 +3,39 @@ import Order from '../models/Order.js';
 import Food from '../models/Food.js';
 import Restaurant from '../models/restaurantModel.js';
 import User from '../models/userModel.js';
-import axios from 'axios';
+import Checkout from '../models/Checkout.js';
+import Promotion from '../models/Promotion.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import Wallet from '../models/Wallet.js';
+import WalletTopUp from '../models/WalletTopUp.js';
+import PaymentDiscrepancy from '../models/PaymentDiscrepancy.js';
+import CourierShift from '../models/CourierShift.js';
+import AppError from '../utils/appError.js';
 import { getIO } from '../utils/socket.js';
 import { computeDeliveryFee } from '../utils/computeDeliveryFee.js';
-import {notifyRestaurantManager,notifyDeliveryGroup} from '../socket.js';
+import { verifyChapaTransaction, verifyChapaSignature, mapChapaStatus } from '../utils/chapa.js';
+import {
+  verifyTelebirrNotification,
+  queryTelebirrOrder,
+  mapTelebirrStatus,
+  fromMerchOrderId,
+} from '../utils/telebirr.js';
+import {
+  DEFAULT_PAYMENT_METHOD,
+  getPaymentProvider,
+  isPaymentMethodEnabled,
+  getEnabledPaymentMethods,
+} from '../utils/paymentProviders.js';
+import { setActiveDeliveryOrder, clearActiveDeliveryOrder } from '../socket.js';
+import { completeDelivery } from '../utils/completeDelivery.js';
+import { findAmountDue, checkPaidAmount } from '../utils/paymentAmount.js';
+import { publish, EVENTS } from '../events/eventBus.js';
+import {
+  dispatchOrder,
+  acceptDeliveryOrder,
+  rejectDispatchOffer,
+  withdrawDispatchOffer,
+} from '../utils/dispatcher.js';
 
 // Generate a unique order_id (e.g., ORD-XXXXXX)
 const generateOrderId = async () => {
@@ -25,130 +54,322 @@ export const generateVerificationCode = () => {
   return Math.floor(100000 + Math.random() * 900000).toString();
 };
 
-const initializeChapaPayment = async ({ amount, currency, orderId, user }) => {
-  const chapaSecretKey = process.env.CHAPA_SECRET_KEY;
-  if (!chapaSecretKey) throw new Error("CHAPA_SECRET_KEY is not configured");
+// Transaction reference the order was paid under
+const getOrderTxRef = async (order) => {
+  if (!order.checkoutId) return `order-${order._id}`;
+  const checkout = await Checkout.findById(order.checkoutId);
+  return checkout?.transaction?.txRef || `checkout-${order.checkoutId}`;
+};
+
+// Split a tip across the child orders of a checkout (leftover cents go to the first order)
+const splitTip = (tip, parts) => {
+  const parsedTip = tip === undefined || tip === null ? 0 : parseFloat(tip.toString());
+  if (isNaN(parsedTip) || parsedTip < 0) {
+    throw new Error("Tip must be a non-negative number.");
+  }
+  const totalCents = Math.round(parsedTip * 100);
+  const share = Math.floor(totalCents / parts);
+  return Array.from({ length: parts }, (_, i) =>
+    (i === 0 ? totalCents - share * (parts - 1) : share) / 100
+  );
+};
+
+const toNumber = (value) => parseFloat(value?.toString() || "0");
+const toDecimal = (value) => mongoose.Types.Decimal128.fromString(value.toFixed(2));
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// How much of totalPrice to take from the wallet: useWallet = as much as possible
+const resolveWalletAmount = async ({ userId, totalPrice, walletAmount, useWallet }) => {
+  if (!useWallet && (walletAmount === undefined || walletAmount === null)) return 0;
+
+  const balance = await Wallet.getBalance(userId);
+  if (useWallet) return round2(Math.min(balance, totalPrice));
+
+  const requested = parseFloat(walletAmount);
+  if (isNaN(requested) || requested < 0) {
+    throw new Error("walletAmount must be a non-negative number.");
+  }
+  if (requested > totalPrice) {
+    throw new Error("walletAmount cannot exceed the order total.");
+  }
+  if (requested > balance) throw new Error("Insufficient wallet balance.");
+  return round2(requested);
+};
 
-  if (!amount || !currency || !orderId) {
-    throw new Error("amount, currency, and orderId are required.");
+// Plain errors from checkout validation are the client's fault; database and
+// other library errors (named) keep their own handling
+const asValidationError = (err) =>
+  err instanceof AppError || err.name !== "Error" ? err : new AppError(err.message, 400);
+
+// Validate and price every restaurant's part of a checkout before anything is written
+const prepareCheckout = async ({
+  user,
+  paymentMethod,
+  walletAmount: requestedWalletAmount,
+  useWallet,
+  orderItems,
+  typeOfOrder,
+  deliveryVehicle,
+  destinationLocation,
+  tip,
+  description,
+  promoCode,
+  scheduledFor,
+}) => {
+  // The payment providers need the customer's name and email
+  if (!user.firstName || !user.lastName || !user.email) {
+    throw new Error("User first name, last name, and email are required for payment processing.");
+  }
+  if (!isPaymentMethodEnabled(paymentMethod)) {
+    throw new Error(
+      `Unsupported payment method. Allowed: ${getEnabledPaymentMethods().map((m) => m.method).join(", ")}`
+    );
+  }
+  const groups = await Order.groupItemsByRestaurant(orderItems);
+  const tipShares = splitTip(tip, groups.size);
+
+  // Validate every restaurant's part before writing anything
+  const computedOrders = [];
+  for (const items of groups.values()) {
+    computedOrders.push(
+      await Order.validateAndComputeOrder({
+        orderItems: items,
+        typeOfOrder,
+        deliveryVehicle,
+        destinationLocation,
+        tip: tipShares[computedOrders.length],
+        description,
+        scheduledFor,
+      })
+    );
   }
 
-  if (!user?.firstName || !user?.lastName) {
-    throw new Error("User first name and last name are required.");
+  // A promo code applies once per checkout: to the first restaurant it is valid for
+  if (promoCode) {
+    let promoError = null;
+    let applied = false;
+    for (let i = 0; i < computedOrders.length && !applied; i += 1) {
+      try {
+        computedOrders[i] = await Order.applyPromotion(computedOrders[i], {
+          promoCode,
+          userId: user._id,
+        });
+        applied = true;
+      } catch (err) {
+        promoError = promoError || err;
+      }
+    }
+    if (!applied) throw promoError;
   }
 
-  // Unique transaction reference for the order
-  const txRef = `order-${orderId}`;
+  const sum = (field) =>
+    computedOrders.reduce((acc, computed) => acc + toNumber(computed[field]), 0);
+
+  const walletAmount = await resolveWalletAmount({
+    userId: user._id,
+    totalPrice: sum("totalPrice"),
+    walletAmount: requestedWalletAmount,
+    useWallet,
+  });
 
-  // Chapa API endpoint
-  const chapaApiUrl = "https://api.chapa.co/v1/transaction/initialize";
+  return { computedOrders, walletAmount };
+};
 
-  // Payload to send to Chapa
-  const requestPayload = {
-    amount: amount.toString(),
-    currency,
-    first_name: user.firstName,
-    phone_number: user.phone || "N/A",
-    tx_ref: txRef,
-    
-    callback_url: "https://gebeta-delivery1.onrender.com/api/v1/orders/chapa-webhook",
-    // return_url:"https://your-app.com/payment-success", // Replace with your frontend success page
-    customization: {
-      title: "Order Payment",
-      description: `Payment for order ${txRef}`,
-    },
-  };
+// Fan the items out into one Order per restaurant under a single Checkout
+// and open one combined payment for all of them with the chosen provider.
+export const createCheckout = async ({ user, paymentMethod = DEFAULT_PAYMENT_METHOD, ...details }) => {
+  const { computedOrders, walletAmount } = await prepareCheckout({ user, paymentMethod, ...details }).catch(
+    (err) => {
+      throw asValidationError(err);
+    }
+  );
+  const provider = getPaymentProvider(paymentMethod);
+  const sum = (field) =>
+    computedOrders.reduce((acc, computed) => acc + toNumber(computed[field]), 0);
+
+  // Wallet money is applied to the child orders in turn
+  let walletLeft = walletAmount;
+  const walletShares = computedOrders.map((computed) => {
+    const share = round2(Math.min(walletLeft, toNumber(computed.totalPrice)));
+    walletLeft = round2(walletLeft - share);
+    return share;
+  });
 
-  // Send request to Chapa
-  const response = await axios.post(chapaApiUrl, requestPayload, {
-    headers: {
-      Authorization: `Bearer ${chapaSecretKey}`,
-      "Content-Type": "application/json",
-    },
-    timeout: 35000,
+  const checkout = new Checkout({
+    userId: user._id,
+    foodTotal: toDecimal(sum("foodTotal")),
+    deliveryFee: toDecimal(sum("deliveryFee")),
+    tip: toDecimal(sum("tip")),
+    discount: toDecimal(
+      computedOrders.reduce((acc, computed) => acc + toNumber(computed.discount?.amount), 0)
+    ),
+    totalPrice: toDecimal(sum("totalPrice")),
+    walletAmount: toDecimal(walletAmount),
   });
-  // Check success
-  if (!response?.data || response.data.status !== "success") {
-    throw new Error(`Chapa payment initialization failed: ${response?.data?.message || "Unknown error"}`);
+  checkout.transaction.txRef = `checkout-${checkout._id}`;
+  checkout.transaction.method = paymentMethod;
+
+  const orders = [];
+  for (const [index, computed] of computedOrders.entries()) {
+    const isDelivery = computed.typeOfOrder === "Delivery";
+    orders.push(
+      await Order.create({
+        userId: user._id,
+        checkoutId: checkout._id,
+        orderItems: computed.orderItems, // ✅ safe items from model validation
+        foodTotal: computed.foodTotal, // Already Decimal128 from model
+        deliveryFee: computed.deliveryFee,
+        tip: computed.tip,
+        discount: computed.discount,
+        totalPrice: computed.totalPrice,
+        typeOfOrder: computed.typeOfOrder,
+        description: computed.description,
+        scheduledFor: computed.scheduledFor,
+        deliveryVehicle: isDelivery ? computed.deliveryVehicle : null,
+        restaurantId: computed.restaurantId,
+        destinationLocation: isDelivery ? computed.destinationLocation : null,
+        restaurantLocation: computed.restaurantLocation,
+        distanceKm: computed.distanceKm,
+        orderCode: computed.orderCode,
+        userVerificationCode: computed.userVerificationCode,
+        transaction: {
+          totalPrice: computed.totalPrice,
+          method: paymentMethod,
+          status: "Pending",
+          walletAmount: toDecimal(walletShares[index]),
+        },
+      })
+    );
+  }
+
+  checkout.orders = orders.map((order) => order._id);
+  await checkout.save();
+
+  const txRef = checkout.transaction.txRef;
+  const amountDue = round2(toNumber(checkout.totalPrice) - walletAmount);
+
+  const failCheckout = async () => {
+    await Checkout.updateOne({ _id: checkout._id }, { $set: { "transaction.status": "Failed" } });
+    await Order.updateMany({ checkoutId: checkout._id }, { $set: { "transaction.status": "Failed" } });
+  };
+
+  // --- Take the wallet part up front ---
+  if (walletAmount > 0) {
+    try {
+      await Wallet.debit({
+        userId: user._id,
+        amount: walletAmount,
+        type: "CheckoutPayment",
+        idempotencyKey: txRef,
+        checkoutId: checkout._id,
+      });
+    } catch (err) {
+      await failCheckout();
+      // The balance was spent elsewhere since it was checked
+      if (err.message === "Insufficient wallet balance.") throw new AppError(err.message, 409);
+      throw err;
+    }
+  }
+
+  // --- Fully paid from the wallet: no provider involved ---
+  if (amountDue <= 0) {
+    await Checkout.updateOne({ _id: checkout._id }, { $set: { "transaction.status": "Paid" } });
+    await Order.updateMany({ checkoutId: checkout._id }, { $set: { "transaction.status": "Paid" } });
+    await releaseSettledOrders(orders);
+    return {
+      checkout,
+      orders: summarizeOrders(orders, computedOrders),
+      payment: { method: "Wallet", tx_ref: txRef, checkout_url: null, walletAmount, amountDue: 0 },
+    };
+  }
+
+  // --- Initialize one payment for the rest of the checkout ---
+  let payment;
+  try {
+    payment = await provider.initialize({ amount: amountDue, txRef, user });
+  } catch (err) {
+    if (walletAmount > 0) {
+      await Wallet.credit({
+        userId: user._id,
+        amount: walletAmount,
+        type: "CheckoutReversal",
+        idempotencyKey: `${txRef}:reversal`,
+        checkoutId: checkout._id,
+      });
+    }
+    await failCheckout();
+    // The provider is down or refused: not something the customer can fix
+    throw new AppError(err.message, 502);
   }
-  // Return checkout URL
+
+  // Pay-on-delivery orders go to the kitchen straight away
+  if (provider.settlement === "OnDelivery") await releaseSettledOrders(orders);
+
   return {
-    tx_ref: txRef,
-    checkout_url: response.data.data.checkout_url,
+    checkout,
+    orders: summarizeOrders(orders, computedOrders),
+    payment: { ...payment, walletAmount, amountDue },
   };
 };
 
+const summarizeOrders = (orders, computedOrders) =>
+  orders.map((order, index) => ({
+    orderId: order._id,
+    orderCode: order.orderCode,
+    restaurantId: order.restaurantId,
+    restaurantName: computedOrders[index].restaurantName,
+    deliveryFee: toNumber(order.deliveryFee),
+    discount: order.discount?.code
+      ? { code: order.discount.code, amount: toNumber(order.discount.amount) }
+      : null,
+    walletAmount: toNumber(order.transaction.walletAmount),
+    totalPrice: toNumber(order.totalPrice),
+  }));
+
 export const placeOrder = async (req, res, next) => {
   try {
-    const { orderItems, typeOfOrder, vehicleType, destinationLocation, tip, description } = req.body;
-    const userId = req.user._id;
-
-    // ✅ Validate & compute with normalized items using the model's static method
     const {
-      orderItems: normalizedOrderItems,
-      foodTotal,
-      restaurantId,
-      deliveryFee,
-      distanceKm,
-      tip: tipAmount,
-      restaurantLocation,
-      destinationLocation: validatedDestination,
-      deliveryVehicle: validatedDeliveryVehicle,
-      restaurantName,
-      totalPrice,
-      typeOfOrder: validatedTypeOfOrder,
-      description: validatedDescription,
-      orderCode,
-      userVerificationCode,
-    } = await Order.validateAndComputeOrder({
       orderItems,
       typeOfOrder,
-      deliveryVehicle: vehicleType,
+      vehicleType,
       destinationLocation,
       tip,
-      description,  
-    });
-    // --- Create order with normalized items ---
-    const order = await Order.create({
-      userId,
-      orderItems: normalizedOrderItems, // ✅ safe items from model validation
-      foodTotal, // Already Decimal128 from model
-      deliveryFee, // Already Decimal128 from model
-      tip: tipAmount, // Already Decimal128 from model
-      totalPrice, // Already Decimal128 from model
-      typeOfOrder: validatedTypeOfOrder,
-      description: validatedDescription,
-      deliveryVehicle: validatedTypeOfOrder === "Delivery" ? validatedDeliveryVehicle : null,
-      restaurantId,
-      destinationLocation: validatedTypeOfOrder === "Delivery" ? validatedDestination : null,
-      restaurantLocation,
-      distanceKm,
-      orderCode,
-      userVerificationCode,
-      transaction: {
-        totalPrice,
-        status: "Pending",
-      },
-    });
-    // --- Validate user info for Chapa ---
-    const user = await User.findById(userId);
-    if (!user.firstName || !user.lastName || !user.email) {
-      return res.status(400).json({
-        error: { message: 'User first name, last name, and email are required for payment processing.' },
-      });
-    }   
-    // --- Initialize Chapa payment ---
-    const paymentInit = await initializeChapaPayment({
-      amount: totalPrice,
-      currency: 'ETB',
-      orderId: order._id,
+      description,
+      promoCode,
+      scheduledFor,
+      paymentMethod,
+      walletAmount,
+      useWallet,
+    } = req.body;
+
+    const user = await User.findById(req.user._id);
+
+    // ✅ Items may span several restaurants: one child order is created per restaurant
+    const { checkout, orders, payment } = await createCheckout({
       user,
+      paymentMethod,
+      walletAmount,
+      useWallet: useWallet === true,
+      orderItems,
+      typeOfOrder,
+      deliveryVehicle: vehicleType,
+      destinationLocation,
+      tip,
+      description,
+      promoCode,
+      scheduledFor,
     });
-    
+
     res.status(201).json({
       status: 'success',
       data: {
-        payment: paymentInit,
+        checkoutId: checkout._id,
+        discount: toNumber(checkout.discount),
+        totalPrice: toNumber(checkout.totalPrice),
+        walletAmount: payment.walletAmount,
+        amountDue: payment.amountDue,
+        orders,
+        payment,
       },
     });
   } catch (error) {
@@ -159,42 +380,60 @@ export const placeOrder = async (req, res, next) => {
 
 export const updateOrderStatus = async (req, res, next) => {
   try {
-    const { orderId, status } = req.body;
+    const { orderId, status, note } = req.body;
     if (!orderId || !status) {
       return res.status(400).json({ error: { message: "orderId and status are required." } });
     }
+    // Accepting goes through the kitchen, which records the restaurant's decision and ready time
+    if (status === "Preparing") {
+      return res.status(400).json({
+        error: { message: "Accept pending orders with POST /api/v1/orders/:orderId/kitchen/accept." },
+      });
+    }
+    // Cancelling refunds the customer and records who cancelled and why
+    if (status === "Cancelled") {
+      return res.status(400).json({
+        error: {
+          message:
+            "Cancel orders with POST /api/v1/orders/:orderId/cancel, or reject pending ones with POST /api/v1/orders/:orderId/kitchen/reject.",
+        },
+      });
+    }
+    // Handing over a delivery checks the customer's code, collects cash and credits the courier
+    if (status === "Completed") {
+      const current = await Order.findById(orderId).select("typeOfOrder");
+      if (current?.typeOfOrder === "Delivery") {
+        return res.status(400).json({
+          error: { message: "Delivery orders are completed by the courier with POST /api/v1/orders/verify-delivery." },
+        });
+      }
+    }
 
-    // Find & update order with schema validation
+    // Find & update order with schema validation (the hook records the transition)
     const order = await Order.findOneAndUpdate(
       { _id: orderId },
       { $set: { orderStatus: status } },
-      { new: true, runValidators: true }
+      { new: true, runValidators: true, statusChange: { actor: req.user, source: "REST", note } }
     );
 
     if (!order) {
       return res.status(404).json({ error: { message: "Order not found." } });
     }
-    // 🔑 Handle Cooked → notify drivers
+    if (order.orderStatus === "Cooked") {
+      publish(EVENTS.ORDER_COOKED, {
+        orderId: order._id,
+        orderCode: order.orderCode,
+        restaurantId: order.restaurantId,
+        customerId: order.userId,
+        typeOfOrder: order.typeOfOrder,
+      });
+    }
+    // 🔑 Handle Cooked → offer to the nearest courier (broadcast after too many passes)
     if (order.orderStatus === "Cooked" && order.typeOfOrder === "Delivery") {
-      const restaurant = await Restaurant.findById(order.restaurantId);
-      if (!restaurant) {
-        console.error(`Restaurant ${order.restaurantId} not found for order ${order._id}`);
-      }
-        const deliveryGroup = order.deliveryVehicle; // "Car", "Motor", "Bicycle"
-        console.log(`Broadcasting cooked order ${order._id} to delivery group "${deliveryGroup}"`);
-
-          notifyDeliveryGroup(deliveryGroup,{
-            orderId: order._id,
-            orderCode: order.orderCode,
-            restaurantLocation:order.restaurantLocation,
-            restaurantName: restaurant.name,
-            deliveryLocation:order.destinationLocation,
-            deliveryFee: parseFloat(order.deliveryFee.toString()),
-            tip: parseFloat(order.tip?.toString() || "0"),
-            createdAt: order.createdAt,
-            customer:order.userId
-      })
-      }
+      dispatchOrder(order._id).catch((err) => {
+        console.error(`Error dispatching order ${order._id}:`, err.message);
+      });
+    }
     res.status(200).json({
       status: "success",
       message: `Order status updated to ${status}.`,
@@ -206,70 +445,532 @@ export const updateOrderStatus = async (req, res, next) => {
   }
 };
 
-export const chapaWebhook = async (req, res) => {
-  try {
-    const { trx_ref, ref_id, status } = req.query;
-    console.log("Chapa Webhook received:", { trx_ref, ref_id, status });
+// Tell the restaurant manager a paid order is waiting
+export const notifyManagerOfPaidOrder = async (order) => {
+  const restaurant = await Restaurant.findById(order.restaurantId).select('managerId');
+  publish(EVENTS.ORDER_PAID, {
+    orderId: order._id,
+    orderCode: order.orderCode,
+    restaurantId: order.restaurantId,
+    managerId: restaurant?.managerId || null,
+    customerId: order.userId,
+    typeOfOrder: order.typeOfOrder,
+    totalPrice: toNumber(order.totalPrice),
+    scheduledFor: order.scheduledFor,
+    createdAt: order.createdAt,
+    acceptBy: new Date(Date.now() + Order.acceptTimeoutMs()),
+  });
+};
 
-    // 1. Verify with Chapa
-    const chapaSecretKey = process.env.CHAPA_SECRET_KEY;
-    const verifyUrl = `https://api.chapa.co/v1/transaction/verify/${trx_ref}`;
+// Put settled orders in front of their restaurant, once each
+const releaseSettledOrders = async (orders) => {
+  for (const order of orders) {
+    // Scheduled orders stay out of the live queue until the release job picks them up
+    if (order.isHeldForSchedule()) {
+      console.log(`🕒 Order ${order._id} scheduled for ${order.scheduledFor.toISOString()} – holding`);
+      continue;
+    }
+    const { modifiedCount } = await Order.updateOne(
+      { _id: order._id, releasedAt: null },
+      { $set: { releasedAt: new Date() } }
+    );
+    if (modifiedCount === 1) await notifyManagerOfPaidOrder(order);
+  }
+};
 
-    const verifyRes = await axios.get(verifyUrl, {
-      headers: { Authorization: `Bearer ${chapaSecretKey}` },
+// Give the wallet part back when the provider part fails, and take it again on a late success
+const settleCheckoutWallet = async (checkout, newStatus) => {
+  const walletAmount = toNumber(checkout.walletAmount);
+  if (walletAmount <= 0) return;
+
+  const txRef = checkout.transaction.txRef;
+  const wasReversed = ["Failed", "Expired"].includes(checkout.transaction.status);
+  if (["Failed", "Expired"].includes(newStatus) && !wasReversed) {
+    await Wallet.credit({
+      userId: checkout.userId,
+      amount: walletAmount,
+      type: "CheckoutReversal",
+      idempotencyKey: `${txRef}:reversal`,
+      checkoutId: checkout._id,
     });
+  } else if (newStatus === "Paid" && wasReversed) {
+    try {
+      await Wallet.debit({
+        userId: checkout.userId,
+        amount: walletAmount,
+        type: "CheckoutPayment",
+        idempotencyKey: `${txRef}:late`,
+        checkoutId: checkout._id,
+      });
+    } catch (err) {
+      await PaymentDiscrepancy.record({
+        txRef,
+        kind: "WalletShortfall",
+        checkoutId: checkout._id,
+        localStatus: newStatus,
+        expectedAmount: walletAmount,
+        details: `Late payment after wallet reversal: ${err.message}`,
+      });
+    }
+  }
+};
+
+// Wallet top-ups: credit the wallet once the provider confirms
+const applyTopUpStatus = async (txRef, newStatus, refId, fromStatuses) => {
+  const topUp = await WalletTopUp.findOne({ "transaction.txRef": txRef });
+  if (!topUp) return { found: false, applied: false };
+  const previousStatus = topUp.transaction.status;
+
+  const update = { "transaction.status": newStatus };
+  if (refId && newStatus === "Paid") update["transaction.refId"] = refId;
+  const claimed = await WalletTopUp.findOneAndUpdate(
+    { _id: topUp._id, "transaction.status": { $in: fromStatuses } },
+    { $set: update }
+  );
+  if (!claimed) return { found: true, applied: false, previousStatus };
+
+  if (newStatus === "Paid") {
+    await Wallet.credit({
+      userId: topUp.userId,
+      amount: toNumber(topUp.amount),
+      type: "TopUp",
+      idempotencyKey: txRef,
+      topUpId: topUp._id,
+    });
+  }
+  return { found: true, applied: true, previousStatus };
+};
+
+/**
+ * A provider refund on a checkout: confirm the refunds we recorded on its
+ * orders, one order at a time. Only fully refunded orders become Refunded;
+ * delivered or partly refunded siblings stay Paid so they are still settled.
+ * cancelAndRefund marks refunds Succeeded as soon as the provider accepts
+ * them, so this only settles full refunds still Paid here (e.g. a failed
+ * refund later made from the provider dashboard).
+ */
+const applyCheckoutRefund = async (checkout) => {
+  const previousStatus = checkout.transaction.status;
+  const refunded = { checkoutId: checkout._id, "transaction.refund.type": { $in: ["Full", "Partial"] } };
+
+  const hasRecordedRefund = await Order.exists(refunded).setOptions({ bypassPaidFilter: true });
+  if (!hasRecordedRefund) {
+    // Refunded outside the app (e.g. from the provider dashboard): needs a human
+    await PaymentDiscrepancy.record({
+      txRef: checkout.transaction.txRef,
+      kind: "UnexpectedRefund",
+      checkoutId: checkout._id,
+      localStatus: previousStatus,
+      providerStatus: "Refunded",
+      details: "Provider reported a refund that no order recorded",
+    });
+    return { found: true, applied: false, previousStatus };
+  }
 
-    if (verifyRes.data.status !== "success") {
-      return res.status(400).json({ message: "Verification failed" });
+  const now = new Date();
+  const full = await Order.updateMany(
+    { ...refunded, "transaction.refund.type": "Full", "transaction.status": "Paid" },
+    {
+      $set: {
+        "transaction.status": "Refunded",
+        "transaction.refund.status": "Succeeded",
+        "transaction.refund.processedAt": now,
+      },
     }
-    console.log("Chapa verification successful:", verifyRes.data);
+  );
+
+  // The checkout itself is refunded only once every one of its orders is
+  const notRefunded = await Order.exists({
+    checkoutId: checkout._id,
+    "transaction.status": { $ne: "Refunded" },
+  }).setOptions({ bypassPaidFilter: true });
+  if (!notRefunded) {
+    await Checkout.updateOne(
+      { _id: checkout._id, "transaction.status": "Paid" },
+      { $set: { "transaction.status": "Refunded" } }
+    );
+  }
+
+  return { found: true, applied: full.modifiedCount > 0, previousStatus };
+};
+
+// Never release food for a payment that doesn't match what we charged
+const paidAmountMatches = async (txRef, method, verification) => {
+  const due = await findAmountDue(txRef);
+  return !due || checkPaidAmount({ txRef, method, verification, ...due });
+};
 
-    // 2. Extract orderId
-    const orderId = trx_ref.replace("order-", "");
-    console.log("Extracted orderId:", orderId);
+/**
+ * Move every order paid under txRef to newStatus, once.
+ * Only transitions allowed by Order.PAYMENT_TRANSITIONS are applied, so a
+ * retried webhook finds nothing to update and changes nothing.
+ * @returns {Promise<{ found: boolean, applied: boolean, previousStatus?: string }>}
+ */
+export const applyPaymentStatus = async (txRef, newStatus, refId) => {
+  const fromStatuses = Order.PAYMENT_TRANSITIONS[newStatus];
+  if (!fromStatuses) return { found: true, applied: false };
+
+  if (txRef.startsWith("topup-")) return applyTopUpStatus(txRef, newStatus, refId, fromStatuses);
+
+  let orderFilter;
+  let previousStatus;
+  if (txRef.startsWith("checkout-")) {
+    const checkout = await Checkout.findOne({ "transaction.txRef": txRef });
+    if (!checkout) return { found: false, applied: false };
+    if (newStatus === "Refunded") return applyCheckoutRefund(checkout);
+    previousStatus = checkout.transaction.status;
+
+    const checkoutUpdate = { "transaction.status": newStatus };
+    if (refId && newStatus === "Paid") checkoutUpdate["transaction.refId"] = refId;
+    const claimed = await Checkout.findOneAndUpdate(
+      { _id: checkout._id, "transaction.status": { $in: fromStatuses } },
+      { $set: checkoutUpdate }
+    );
+    if (!claimed) return { found: true, applied: false, previousStatus };
 
-    // 3. Find order (with bypassPaidFilter)
+    await settleCheckoutWallet(checkout, newStatus);
+
+    orderFilter = { checkoutId: checkout._id };
+    await Order.updateMany(
+      { ...orderFilter, "transaction.status": { $in: fromStatuses } },
+      { $set: { "transaction.status": newStatus } }
+    );
+  } else {
+    // Legacy single-order reference: order-<orderId>
+    const orderId = txRef.replace("order-", "");
+    if (!mongoose.isValidObjectId(orderId)) return { found: false, applied: false };
     const order = await Order.findById(orderId, null, { bypassPaidFilter: true });
-    if (!order) {
-      return res.status(404).json({ message: "Order not found" });
-    }
+    if (!order) return { found: false, applied: false };
+    previousStatus = order.transaction.status;
+
+    const orderUpdate = { "transaction.status": newStatus };
+    if (refId && newStatus === "Paid") orderUpdate["transaction.refId"] = refId;
+    const { modifiedCount } = await Order.updateOne(
+      { _id: order._id, "transaction.status": { $in: fromStatuses } },
+      { $set: orderUpdate }
+    );
+    if (modifiedCount === 0) return { found: true, applied: false, previousStatus };
+    orderFilter = { _id: order._id };
+  }
 
-    // 4. Update order transaction
-    order.transaction.status = status === "success" ? "Paid" : "Failed";
-    order.transaction.refId = ref_id;
-    await order.save();
+  if (newStatus === "Paid") {
+    await releaseSettledOrders(await Order.find(orderFilter, null, { bypassPaidFilter: true }));
+  }
 
-    console.log("✅ Order updated successfully:", order._id);
+  return { found: true, applied: true, previousStatus };
+};
 
-    // 5. Notify restaurant manager if payment succeeded
-    if (status === "success") {
-      const restaurant = await Restaurant.findById(order.restaurantId);
-      if (restaurant?.managerId) {
-        notifyRestaurantManager(restaurant.managerId, {
-          orderId: order._id,
-          totalPrice: order.totalPrice,
-          orderCode: order.orderCode,
-          typeOfOrder: order.typeOfOrder,
-          createdAt: order.createdAt,
-        });
-        console.log(`📢 Notified manager ${restaurant.managerId} about new paid order`);
-      } else {
-        console.log(`⚠️ Restaurant ${order.restaurantId} has no manager assigned`);
+// POST /api/v1/orders/chapa-webhook (signed) and GET (Chapa redirect callback)
+export const chapaWebhook = async (req, res) => {
+  const source = req.method === "GET" ? "callback" : "webhook";
+  const payload = source === "callback" ? req.query : req.body || {};
+  const txRef = payload.trx_ref || payload.tx_ref;
+  const logEvent = (fields) =>
+    WebhookEvent.create({
+      source,
+      event: payload.event,
+      txRef,
+      refId: payload.ref_id || payload.reference,
+      payload,
+      ...fields,
+    }).catch((err) => console.error("Failed to log webhook event:", err.message));
+
+  try {
+    // 1. Signed webhooks must carry a valid Chapa HMAC; GET callbacks are
+    //    unsigned, so their query string is only used to know what to verify
+    let signatureValid;
+    if (source === "webhook") {
+      signatureValid = verifyChapaSignature(req.rawBody, req.headers);
+      if (!signatureValid) {
+        await logEvent({ signatureValid, outcome: "Rejected", error: "Invalid signature" });
+        return res.status(401).json({ message: "Invalid signature" });
       }
     }
 
-    // 6. Respond OK
+    if (!txRef || typeof txRef !== "string") {
+      await logEvent({ signatureValid, outcome: "Rejected", error: "Missing trx_ref" });
+      return res.status(400).json({ message: "trx_ref is required" });
+    }
+
+    // 2. Ask Chapa for the real transaction state
+    const verification = await verifyChapaTransaction(txRef);
+    const isSignedRefund = source === "webhook" && mapChapaStatus(null, payload.event) === "Refunded";
+    const newStatus = isSignedRefund ? "Refunded" : mapChapaStatus(verification.status);
+    if (newStatus === "Pending") {
+      await logEvent({ signatureValid, providerStatus: verification.status, outcome: "Ignored" });
+      return res.status(200).json({ message: "Payment still pending" });
+    }
+    if (newStatus === "Paid" && !(await paidAmountMatches(txRef, "Chapa", verification))) {
+      await logEvent({ signatureValid, providerStatus: verification.status, outcome: "Rejected", error: "Amount mismatch" });
+      return res.status(200).json({ message: "Payment amount does not match; flagged for review" });
+    }
+
+    // 3. Apply the status change once per transaction
+    const result = await applyPaymentStatus(txRef, newStatus, verification.refId || payload.ref_id);
+    if (!result.found) {
+      await logEvent({ signatureValid, providerStatus: verification.status, outcome: "Ignored", error: "Unknown trx_ref" });
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    await logEvent({
+      signatureValid,
+      providerStatus: verification.status,
+      outcome: result.applied ? "Processed" : "Duplicate",
+      previousStatus: result.previousStatus,
+      resultingStatus: result.applied ? newStatus : result.previousStatus,
+    });
+    console.log(`✅ Chapa ${source} for ${txRef}: ${result.applied ? newStatus : "already processed"}`);
+
+    // 4. Respond OK (duplicates too, so Chapa stops retrying)
     return res.status(200).json({ message: "Webhook processed successfully" });
   } catch (err) {
     console.error("Webhook error:", err.message);
+    await logEvent({ outcome: "Failed", error: err.message });
     return res.status(500).json({ message: "Server error processing webhook" });
   }
 };
 
 
+// POST /api/v1/orders/telebirr-notify (RSA-signed payment notification)
+export const telebirrWebhook = async (req, res) => {
+  const payload = req.body || {};
+  const txRef = typeof payload.merch_order_id === "string" ? fromMerchOrderId(payload.merch_order_id) : null;
+  const logEvent = (fields) =>
+    WebhookEvent.create({
+      provider: "Telebirr",
+      source: "webhook",
+      event: payload.trade_status,
+      txRef,
+      refId: payload.payment_order_id || payload.trans_id,
+      payload,
+      ...fields,
+    }).catch((err) => console.error("Failed to log webhook event:", err.message));
+
+  try {
+    // 1. Only trust notifications signed by telebirr
+    const signatureValid = verifyTelebirrNotification(payload);
+    if (!signatureValid) {
+      await logEvent({ signatureValid, outcome: "Rejected", error: "Invalid signature" });
+      return res.status(401).json({ message: "Invalid signature" });
+    }
+    if (!txRef) {
+      await logEvent({ signatureValid, outcome: "Rejected", error: "Missing merch_order_id" });
+      return res.status(400).json({ message: "merch_order_id is required" });
+    }
+
+    // 2. Confirm with telebirr before moving money-related state
+    const verification = await queryTelebirrOrder(txRef);
+    const newStatus = mapTelebirrStatus(verification.status);
+    if (newStatus === "Pending") {
+      await logEvent({ signatureValid, providerStatus: verification.status, outcome: "Ignored" });
+      return res.status(200).json({ message: "Payment still pending" });
+    }
+    if (newStatus === "Paid" && !(await paidAmountMatches(txRef, "Telebirr", verification))) {
+      await logEvent({ signatureValid, providerStatus: verification.status, outcome: "Rejected", error: "Amount mismatch" });
+      return res.status(200).json({ message: "Payment amount does not match; flagged for review" });
+    }
+
+    // 3. Apply the status change once per transaction
+    const result = await applyPaymentStatus(txRef, newStatus, verification.refId);
+    if (!result.found) {
+      await logEvent({ signatureValid, providerStatus: verification.status, outcome: "Ignored", error: "Unknown merch_order_id" });
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    await logEvent({
+      signatureValid,
+      providerStatus: verification.status,
+      outcome: result.applied ? "Processed" : "Duplicate",
+      previousStatus: result.previousStatus,
+      resultingStatus: result.applied ? newStatus : result.previousStatus,
+    });
+    return res.status(200).json({ message: "Notification processed successfully" });
+  } catch (err) {
+    console.error("telebirr notification error:", err.message);
+    await logEvent({ outcome: "Failed", error: err.message });
+    return res.status(500).json({ message: "Server error processing notification" });
+  }
+};
+
+// POST /api/v1/orders/:orderId/cancel
+/**
+ * Cancel an order, refund what the policy allows and notify everyone involved.
+ * Conditional on the status the order was loaded with: returns null if it moved
+ * on meanwhile. `actor` is the acting user, or null for system cancellations;
+ * `extraSet` adds fields to the cancelling update.
+ */
+export const cancelAndRefund = async (
+  order,
+  { reasonCode, note, refundTo = 'original', actor = null, source = 'System', extraSet = {} }
+) => {
+  const role = actor?.role || 'System';
+  const previousStatus = order.orderStatus;
+
+  const refund = order.decideRefund(reasonCode);
+  const now = new Date();
+  const { modifiedCount } = await Order.updateOne(
+    { _id: order._id, orderStatus: previousStatus },
+    {
+      $set: {
+        orderStatus: 'Cancelled',
+        cancellation: {
+          reasonCode,
+          note,
+          cancelledBy: actor?._id || null,
+          role,
+          previousStatus,
+          cancelledAt: now,
+        },
+        'transaction.refund': {
+          type: refund.type,
+          amount: mongoose.Types.Decimal128.fromString(refund.amount.toFixed(2)),
+          status: refund.amount > 0 ? 'Pending' : 'NotRequired',
+          reasonCode,
+          requestedAt: now,
+        },
+        ...extraSet,
+      },
+      $push: {
+        statusHistory: Order.buildStatusEntry(previousStatus, 'Cancelled', {
+          actor,
+          source,
+          note: note ? `${reasonCode}: ${note}` : reasonCode,
+        }),
+      },
+    }
+  );
+  if (modifiedCount === 0) return null;
+
+  // Refund: the wallet part goes back to the wallet, the rest through the provider
+  let refundStatus = refund.amount > 0 ? 'Pending' : 'NotRequired';
+  if (refund.amount > 0) {
+    const refundUpdate = { 'transaction.refund.processedAt': new Date() };
+    const toWallet = round2(
+      refundTo === 'wallet'
+        ? refund.amount
+        : Math.min(refund.amount, toNumber(order.transaction.walletAmount))
+    );
+    const toProvider = round2(refund.amount - toWallet);
+    try {
+      if (toWallet > 0) {
+        await Wallet.credit({
+          userId: order.userId,
+          amount: toWallet,
+          type: 'Refund',
+          idempotencyKey: `refund-${order._id}`,
+          orderId: order._id,
+          reason: reasonCode,
+        });
+        refundUpdate['transaction.refund.walletAmount'] = toDecimal(toWallet);
+      }
+      if (toProvider > 0) {
+        const { providerRef } = await getPaymentProvider(order.transaction.method).refund({
+          txRef: await getOrderTxRef(order),
+          amount: toProvider,
+          reason: `Order ${order.orderCode} cancelled: ${reasonCode}`,
+        });
+        refundUpdate['transaction.refund.providerRef'] = providerRef;
+      }
+      refundStatus = 'Succeeded';
+      if (refund.type === 'Full' && order.transaction.status === 'Paid') {
+        refundUpdate['transaction.status'] = 'Refunded';
+      }
+    } catch (err) {
+      console.error(`Refund failed for order ${order._id}:`, err.message);
+      refundStatus = 'Failed';
+      refundUpdate['transaction.refund.error'] = err.message;
+    }
+    refundUpdate['transaction.refund.status'] = refundStatus;
+    await Order.updateOne({ _id: order._id }, { $set: refundUpdate });
+  }
+
+  // Notify customer, manager and assigned courier
+  const restaurant = await Restaurant.findById(order.restaurantId).select('managerId');
+  publish(EVENTS.ORDER_CANCELLED, {
+    orderId: order._id,
+    orderCode: order.orderCode,
+    customerId: order.userId,
+    courierId: order.deliveryId || null,
+    managerId: restaurant?.managerId || null,
+    cancelledBy: role,
+    restaurantDecision: extraSet.restaurantDecision?.outcome || null,
+    reasonCode,
+    refund: { type: refund.type, amount: refund.amount, status: refundStatus },
+  });
+  const io = getIO();
+  if (io && order.deliveryId) await clearActiveDeliveryOrder(io, order.deliveryId);
+  await withdrawDispatchOffer(order._id);
+
+  return { previousStatus, refund: { type: refund.type, amount: refund.amount, status: refundStatus } };
+};
+
+export const cancelOrder = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const { reasonCode, note, refundTo = 'original' } = req.body;
+    const { role, _id: userId } = req.user;
+
+    // 1️⃣ Validate reason for this role
+    const allowedReasons = Order.CANCELLATION_REASONS[role] || [];
+    if (!allowedReasons.includes(reasonCode)) {
+      return next(new AppError(`Invalid reasonCode. Allowed: ${allowedReasons.join(', ')}`, 400));
+    }
+    if (note && (typeof note !== 'string' || note.length > 500)) {
+      return next(new AppError('Note must be a string of at most 500 characters.', 400));
+    }
+    if (!['original', 'wallet'].includes(refundTo) || (refundTo === 'wallet' && role !== 'Customer')) {
+      return next(new AppError("refundTo must be 'original', or 'wallet' for customers.", 400));
+    }
+    if (!mongoose.isValidObjectId(orderId)) {
+      return next(new AppError('Invalid order ID format.', 400));
+    }
+
+    // 2️⃣ Load order and check ownership
+    const order = await Order.findById(orderId);
+    if (!order) return next(new AppError('Order not found.', 404));
+
+    if (role === 'Customer' && order.userId.toString() !== userId.toString()) {
+      return next(new AppError('You can only cancel your own orders.', 403));
+    }
+    if (role === 'Manager') {
+      const restaurant = await Restaurant.findById(order.restaurantId);
+      if (restaurant?.managerId?.toString() !== userId.toString()) {
+        return next(new AppError('You can only cancel orders for your restaurant.', 403));
+      }
+    }
+
+    // 3️⃣ Check the order can still be cancelled by this role
+    const previousStatus = order.orderStatus;
+    if (!Order.CANCELLABLE_STATUSES[role].includes(previousStatus)) {
+      return next(new AppError(`Orders in ${previousStatus} status cannot be cancelled by ${role}.`, 400));
+    }
+
+    // 4️⃣ Cancel, refund and notify (fails if the status moved meanwhile)
+    const result = await cancelAndRefund(order, { reasonCode, note, refundTo, actor: req.user, source: 'REST' });
+    if (!result) {
+      return next(new AppError('Order status changed while cancelling. Please try again.', 409));
+    }
+    const { refund } = result;
+
+    res.status(200).json({
+      status: 'success',
+      message: `Order ${order.orderCode} cancelled.`,
+      data: {
+        orderId: order._id,
+        orderStatus: 'Cancelled',
+        previousStatus,
+        refund,
+      },
+    });
+  } catch (error) {
+    console.error('Error cancelling order:', error.message);
+    next(error);
+  }
+};
+
 export const verifyOrderDelivery = async (req, res, next) => {
   try {
-    const { order_id, verification_code } = req.body;
+    const { order_id, verification_code, cashCollected } = req.body;
     const deliveryPersonId = req.user?._id;
 
     // Validate input
@@ -287,32 +988,13 @@ export const verifyOrderDelivery = async (req, res, next) => {
       });
     }
 
-    // Find the order assigned to this delivery person that is still delivering
-    const order = await Order.findOne({
-      orderCode: order_id,
-      deliveryId: deliveryPersonId,
-      orderStatus: 'Delivering',
+    // Code check, cash collection, status and courier earnings (shared with the socket handler)
+    const order = await completeDelivery({ orderCode: order_id }, req.user, {
+      verificationCode: verification_code,
+      cashCollected,
+      source: 'REST',
     });
 
-    if (!order) {
-      return res.status(404).json({
-        status: 'fail',
-        message: 'Order not found or not assigned to you.',
-      });
-    }
-
-    // Verify code
-    if (String(order.userVerificationCode) !== String(verification_code)) {
-      return res.status(400).json({
-        status: 'fail',
-        message: 'Invalid verification code.',
-      });
-    }
-
-    // Update order
-    order.orderStatus = 'Completed';
-    await order.save();
-
     return res.status(200).json({
       status: 'success',
       message: 'Order delivery verified successfully.',
@@ -385,7 +1067,7 @@ export const pickUpOrder = async (req, res, next) => {
           orderStatus: 'Delivering',
         },
       },
-      { new: true, runValidators: true }
+      { new: true, runValidators: true, statusChange: { actor: req.user, source: 'REST' } }
     );
 
     if (!updatedOrder) {
@@ -393,6 +1075,13 @@ export const pickUpOrder = async (req, res, next) => {
         error: { message: 'Order not found during update.' },
       });
     }
+    await Order.updateOne({ _id: orderId }, { $set: { 'deliveryTimeline.pickedUpAt': new Date() } });
+    publish(EVENTS.ORDER_PICKED_UP, {
+      orderId: updatedOrder._id,
+      orderCode: updatedOrder.orderCode,
+      courierId: updatedOrder.deliveryId,
+      customerId: updatedOrder.userId,
+    });
 
     return res.status(200).json({
       status: 'success',
@@ -427,7 +1116,7 @@ export const getOrdersByRestaurantId = async (req, res, next) => {
       });
     }
 
-    const formattedOrders = orders.map(order => {
+    const formatOrder = order => {
 
 
       return {
@@ -437,6 +1126,11 @@ export const getOrdersByRestaurantId = async (req, res, next) => {
           foodName: item.name,
           quantity: item.quantity,
           price: Number(item.price),
+          options: (item.selectedOptions || []).map(option => ({
+            group: option.groupName,
+            name: option.optionName,
+            priceDelta: option.priceDelta,
+          })),
         })),
         totalFoodPrice: Number(order.foodTotal),
         orderDate: order.createdAt,
@@ -445,14 +1139,26 @@ export const getOrdersByRestaurantId = async (req, res, next) => {
         orderId: order._id,
         orderCode: order.orderCode,
         description:order.description,
+        scheduledFor: order.scheduledFor,
+        estimatedReadyAt: order.preparation?.estimatedReadyAt,
         
       };
-    });
+    };
+
+    // 🔹 Scheduled orders not yet released stay out of the live queue
+    const isScheduled = order => Boolean(order.scheduledFor && !order.releasedAt);
+    const formattedOrders = orders.filter(order => !isScheduled(order)).map(formatOrder);
+    const scheduledOrders = orders
+      .filter(isScheduled)
+      .sort((a, b) => a.scheduledFor - b.scheduledFor)
+      .map(formatOrder);
 
     res.status(200).json({
       status: 'success',
       results: formattedOrders.length,
       data: formattedOrders,
+      scheduledResults: scheduledOrders.length,
+      scheduledOrders,
     });
   } catch (error) {
     next(error);
@@ -464,13 +1170,19 @@ export const getMyOrders = async (req, res, next) => {
   try {
     const userId = req.user._id;
 
-    const orders = await Order.find({ userId }).populate("restaurantId","name")
+    const allOrders = await Order.find({ userId }).populate("restaurantId","name")
+
+    // Upcoming pre-orders are listed separately from live and past orders
+    const isScheduled = (order) => Boolean(order.scheduledFor && !order.releasedAt);
+    const orders = allOrders.filter((order) => !isScheduled(order));
+    const scheduledOrders = allOrders
+      .filter(isScheduled)
+      .sort((a, b) => a.scheduledFor - b.scheduledFor);
 
-    
     res.status(200).json({
       status: "success",
       results: orders.length,
-      data: { orders },
+      data: { orders, scheduledOrders },
     });
   } catch (error) {
     console.error("Error getting user orders:", error);
@@ -485,58 +1197,26 @@ export const getMyOrders = async (req, res, next) => {
 export const acceptOrder = async (req, res, next) => {
   try {
     const { orderId } = req.body;
-    const deliveryPersonId = req.user._id;
 
     // Validate input
     if (!orderId) {
       return res.status(400).json({ error: 'Order ID is required.' });
     }
+    if (!mongoose.isValidObjectId(orderId)) {
+      return next(new AppError('Invalid order ID format.', 400));
+    }
 
-    // Check if delivery person already has an active order
-    const existingOrder = await Order.findOne({
-      deliveryId: deliveryPersonId,
-      orderStatus: { $nin: ['Completed', 'Cancelled'] }, // still active
-    });
+    // Claim the order atomically; a courier who loses the race gets a 409
+    const order = await acceptDeliveryOrder(orderId, req.user);
 
-    if (existingOrder) {
-      return res.status(400).json({
-        error:
-          'You already have an active order. Complete or cancel it before accepting a new one.',
-        activeOrder: {
-          orderId: existingOrder._id,
-          status: existingOrder.orderStatus,
-        },
+    // Relay (and record) the courier's location for this order
+    const io = getIO();
+    if (io) {
+      await setActiveDeliveryOrder(io, req.user._id, {
+        orderId: order._id.toString(),
+        userId: order.userId._id.toString(),
       });
     }
-    const pickUpcode= generateVerificationCode()
-    const order = await Order.findById(orderId);
-    order.orderStatus="Delivering";
-    order.deliveryVerificationCode=pickUpcode;
-    order.deliveryId=deliveryPersonId;
-    order.save();
-    console.log(order);   
-
-    // // Find and update the new order atomically
-    // const order = await Order.findOneAndUpdate(
-    //   {
-    //     _id: orderId,
-    //     orderStatus: 'Cooked',
-    //     typeOfOrder: 'Delivery',
-    //     deliveryId: { $exists: false },
-    //   },
-    //   {
-    //     deliveryId: deliveryPersonId,
-    //     deliveryVerificationCode: generateVerificationCode(),
-    //   },
-    //   { new: true }
-    // );
-    console.log(order)
-
-    if (!order) {
-      return res
-        .status(400)
-        .json({ error: 'Order is not available for acceptance.' });
-    }
 
     res.status(200).json({
       status: 'success',
@@ -551,6 +1231,7 @@ export const acceptOrder = async (req, res, next) => {
         status:order.orderStatus,
         orderCode:order.orderCode,
         pickUpVerification: order.deliveryVerificationCode,
+        readyBy: order.orderStatus === 'Preparing' ? order.preparation?.estimatedReadyAt : null,
   
             },
     });
@@ -561,6 +1242,31 @@ export const acceptOrder = async (req, res, next) => {
 };
 
 
+// POST /api/v1/orders/:orderId/reject-offer — courier passes on a dispatch offer
+export const rejectDeliveryOffer = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const { reason } = req.body;
+    if (!mongoose.isValidObjectId(orderId)) {
+      return next(new AppError('Invalid order ID format.', 400));
+    }
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 200)) {
+      return next(new AppError('Reason must be a string of at most 200 characters.', 400));
+    }
+
+    const rejected = await rejectDispatchOffer(orderId, req.user._id, reason);
+    if (!rejected) {
+      return next(new AppError('You do not hold an offer for this order.', 409));
+    }
+
+    res.status(200).json({ status: 'success', message: 'Offer rejected.' });
+  } catch (error) {
+    console.error('Error rejecting delivery offer:', error.message);
+    next(error);
+  }
+};
+
+
 export const getCurrentOrders = async (req, res) => {
   try {
     const userId = req.user.id;
@@ -592,7 +1298,7 @@ export const getCookedOrders = async (req, res, next) => {
     const vehicleType = req.user.deliveryMethod;
     const cookedOrders = await Order.find({ 
       orderStatus: 'Cooked',
-      deliveryId: { $exists: false },
+      deliveryId: null, // never assigned, or dropped by a courier
       deliveryVehicle:vehicleType
     })
       .populate('userId', 'phone') // only populate phone number
@@ -627,12 +1333,31 @@ export const getCookedOrders = async (req, res, next) => {
 // Get all available cooked orders (without delivery assignment) for delivery app
 export const getAvailableCookedOrders = async (req, res, next) => {
   try {
+    // Couriers only see the pool while on shift
+    const shift = await CourierShift.findOpen(req.user._id);
+    if (!shift) {
+      return res.status(403).json({
+        status: "fail",
+        message: "Start a shift to see available orders.",
+      });
+    }
+
      const vehicleType = req.user.deliveryMethod;
     const availableOrders = await Order.find({
-      orderStatus: "Cooked",
       typeOfOrder: "Delivery",
-      deliveryId: { $exists: false }, // No delivery assigned yet
-      deliveryVehicle:vehicleType
+      deliveryId: null, // No courier yet, or dropped by one
+      deliveryVehicle:vehicleType,
+      $and: [
+        // Cooked, or nearly ready in the kitchen
+        Order.readyForPickupFilter(),
+        // Hide orders currently offered to someone else
+        {
+          $or: [
+            { "dispatch.status": { $ne: "Offering" } },
+            { "dispatch.currentCourierId": req.user._id },
+          ],
+        },
+      ],
     })
       .populate("restaurantId", "name")
       .sort({ createdAt: 1 }); // FIFO (oldest first)
@@ -646,6 +1371,7 @@ export const getAvailableCookedOrders = async (req, res, next) => {
       deliveryFee: parseFloat(order.deliveryFee?.toString() || "0"),
       tip: parseFloat(order.tip?.toString() || "0"),
       grandTotal: parseFloat(order.totalPrice?.toString() || "0"),
+      readyBy: order.orderStatus === "Preparing" ? order.preparation?.estimatedReadyAt : null,
       createdAt: order.createdAt,
     }));
 
@@ -667,9 +1393,11 @@ export const getAvailableCookedOrders = async (req, res, next) => {
 export const getAvailableCookedOrdersCount = async (req, res, next) => {
   try {
     const count = await Order.countDocuments({ 
-      orderStatus: 'Cooked', 
+      ...Order.readyForPickupFilter(),
       typeOfOrder: 'Delivery',
-      deliveryId: { $exists: false }
+      deliveryId: null,
+      // Same count as the socket badge: couriers only see orders for their vehicle
+      ...(req.user.deliveryMethod && { deliveryVehicle: req.user.deliveryMethod })
     });
 
     res.status(200).json({
@@ -710,12 +1438,34 @@ export const estimateDeliveryFee = async (req, res) => {
       
     );
 
+    // Optional promo preview: a bad code is reported, not treated as a failed estimate
+    const { promoCode, foodTotal } = req.body;
+    let promoError = null;
+    if (promoCode) {
+      for (const result of [carResult, motorResult, bicycleResult]) {
+        try {
+          result.discount = await Promotion.evaluate({
+            code: promoCode,
+            userId: req.user._id,
+            restaurantId: restaurant._id,
+            foodTotal: parseFloat(foodTotal) || 0,
+            deliveryFee: result.deliveryFee,
+          });
+          result.discountedDeliveryFee = result.deliveryFee - result.discount.deliveryDiscount;
+        } catch (err) {
+          promoError = err.message;
+          break;
+        }
+      }
+    }
+
     return res.status(200).json({
       status: 'success',
       data: {
         Car: carResult,
         Motor: motorResult,
         Bicycle: bicycleResult,
+        ...(promoError && { promoError }),
       },
     });
   } catch (err) {
@@ -0,0 +1,70 @@
+import PaymentDiscrepancy from '../models/PaymentDiscrepancy.js';
+import catchAsync from '../utils/catchAsync.js';
+import AppError from '../utils/appError.js';
+import { reconcilePendingPayments } from '../jobs/reconcilePayments.js';
+import { getEnabledPaymentMethods, DEFAULT_PAYMENT_METHOD } from '../utils/paymentProviders.js';
+
+// List payment methods available at checkout
+export const getPaymentMethods = catchAsync(async (req, res, next) => {
+  const methods = getEnabledPaymentMethods();
+  res.status(200).json({
+    status: 'success',
+    results: methods.length,
+    data: { methods, default: DEFAULT_PAYMENT_METHOD }
+  });
+});
+
+// List payment discrepancies (unresolved by default)
+export const getPaymentDiscrepancies = catchAsync(async (req, res, next) => {
+  const filter = { resolvedAt: req.query.resolved === 'true' ? { $ne: null } : null };
+  if (req.query.kind) filter.kind = req.query.kind;
+  if (req.query.txRef) filter.txRef = req.query.txRef;
+
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  const [discrepancies, total] = await Promise.all([
+    PaymentDiscrepancy.find(filter)
+      .sort({ lastSeenAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    PaymentDiscrepancy.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: discrepancies.length,
+    total,
+    page,
+    data: discrepancies
+  });
+});
+
+// Mark a discrepancy as handled
+export const resolvePaymentDiscrepancy = catchAsync(async (req, res, next) => {
+  const { note } = req.body;
+  if (!note || typeof note !== 'string') {
+    return next(new AppError('A resolution note is required.', 400));
+  }
+
+  const discrepancy = await PaymentDiscrepancy.findOneAndUpdate(
+    { _id: req.params.id, resolvedAt: null },
+    { $set: { resolvedAt: new Date(), resolvedBy: req.user._id, resolutionNote: note } },
+    { new: true, runValidators: true }
+  );
+  if (!discrepancy) return next(new AppError('Open discrepancy not found', 404));
+
+  res.status(200).json({
+    status: 'success',
+    data: discrepancy
+  });
+});
+
+// Run the reconciler now instead of waiting for the next tick
+export const runPaymentReconciliation = catchAsync(async (req, res, next) => {
+  const summary = await reconcilePendingPayments();
+  res.status(200).json({
+    status: 'success',
+    data: summary
+  });
+});
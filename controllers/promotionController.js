@@ -0,0 +1,85 @@
+import Promotion from '../models/Promotion.js';
+import catchAsync from '../utils/catchAsync.js';
+import AppError from '../utils/appError.js';
+import filterObj from '../utils/filterObj.js';
+
+const allowedFields = [
+  'code',
+  'description',
+  'discountType',
+  'value',
+  'maxDiscount',
+  'minBasket',
+  'perUserLimit',
+  'usageLimit',
+  'restaurantIds',
+  'startsAt',
+  'endsAt',
+  'isActive'
+];
+
+// Create new promotion
+export const createPromotion = catchAsync(async (req, res, next) => {
+  const promotion = await Promotion.create(filterObj(req.body, ...allowedFields));
+  res.status(201).json({
+    status: 'success',
+    data: promotion
+  });
+});
+
+// Get all promotions (optionally only active / currently valid)
+export const getAllPromotions = catchAsync(async (req, res, next) => {
+  const filter = {};
+  if (req.query.active !== undefined) filter.isActive = req.query.active === 'true';
+  if (req.query.restaurantId) filter.restaurantIds = req.query.restaurantId;
+  if (req.query.current === 'true') {
+    const now = new Date();
+    filter.startsAt = { $lte: now };
+    filter.$or = [{ endsAt: { $exists: false } }, { endsAt: null }, { endsAt: { $gte: now } }];
+  }
+
+  const promotions = await Promotion.find(filter).sort({ createdAt: -1 });
+  res.status(200).json({
+    status: 'success',
+    results: promotions.length,
+    data: promotions
+  });
+});
+
+// Get a single promotion
+export const getPromotion = catchAsync(async (req, res, next) => {
+  const promotion = await Promotion.findById(req.params.id);
+  if (!promotion) return next(new AppError('Promotion not found', 404));
+
+  res.status(200).json({
+    status: 'success',
+    data: promotion
+  });
+});
+
+// Update a promotion
+export const updatePromotion = catchAsync(async (req, res, next) => {
+  const promotion = await Promotion.findById(req.params.id);
+  if (!promotion) return next(new AppError('Promotion not found', 404));
+
+  // Save (not findByIdAndUpdate) so cross-field validators see the whole document
+  Object.assign(promotion, filterObj(req.body, ...allowedFields));
+  await promotion.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: promotion
+  });
+});
+
+// Soft delete a promotion
+export const deletePromotion = catchAsync(async (req, res, next) => {
+  const promotion = await Promotion.findByIdAndUpdate(req.params.id, { isActive: false });
+
+  if (!promotion) return next(new AppError('Promotion not found', 404));
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
@@ -1,5 +1,6 @@
 import Restaurant from '../models/restaurantModel.js';
 import Rating from '../models/Rating.js'; // Import Rating to ensure model registration
+import FoodCategory from '../models/FoodCategory.js';
 import catchAsync from '../utils/catchAsync.js';
 import AppError from '../utils/appError.js';
 import User from '../models/userModel.js';
@@ -10,10 +11,19 @@ import filterObj from '../utils/filterObj.js';
 import mongoose from 'mongoose';
 import { getDistance } from 'geolib';
 
+const DEFAULT_PAUSE_MINUTES = 30;
+const MAX_PAUSE_MINUTES = 240;
+
+// ?openNow=true|false keeps only restaurants open (or closed) for orders right now
+const filterOpenNow = (restaurants, openNow) => {
+  if (openNow !== 'true' && openNow !== 'false') return restaurants;
+  return restaurants.filter((restaurant) => restaurant.isOpenNow === (openNow === 'true'));
+};
+
 // Alias for top 5 rated restaurants
 export const aliasTopRestaurants = (req, res, next) => {
   req.query.limit = '5';
-  req.query.sort = '-ratingAverage';
+  req.query.sort = '-rankingScore,-ratingAverage';
   req.query.fields = 'name,location,ratingAverage,cuisineTypes,isDeliveryAvailable';
   next();
 };
@@ -44,7 +54,7 @@ export const getRestaurantsWithDistanceFromCoords = catchAsync(async (req, res,
   });
 
   // Map over restaurants and calculate distance using geolib
-  const results = restaurants.map((restaurant) => {
+  const results = filterOpenNow(restaurants, req.query.openNow).map((restaurant) => {
     const restCoords = restaurant.location.coordinates; // [lng, lat]
 
     // Calculate distance using geolib
@@ -73,11 +83,13 @@ export const getRestaurantsWithDistanceFromCoords = catchAsync(async (req, res,
 
 // Get all restaurants with filtering, sorting, pagination & search
 export const getAllRestaurants = catchAsync(async (req, res, next) => {
-  // Build the query
-  const query = Restaurant.find().populate({
-    path: 'managerId',
-    select: 'firstName lastName phone',
-  });
+  // Build the query (best ranked first: rating and order acceptance)
+  const query = Restaurant.find()
+    .populate({
+      path: 'managerId',
+      select: 'firstName lastName phone',
+    })
+    .sort('-rankingScore -ratingAverage');
 
   // Execute the query
   const restaurants = await query;
@@ -88,7 +100,7 @@ export const getAllRestaurants = catchAsync(async (req, res, next) => {
   }
 
   // Format response for frontend
-  const formattedRestaurants = restaurants.map((restaurant) => ({
+  const formattedRestaurants = filterOpenNow(restaurants, req.query.openNow).map((restaurant) => ({
     id: restaurant._id,
     name: restaurant.name,
     location: {
@@ -101,8 +113,10 @@ export const getAllRestaurants = catchAsync(async (req, res, next) => {
     shortDescription: restaurant.shortDescription,
     ratingAverage: restaurant.ratingAverage,
     ratingQuantity: restaurant.ratingQuantity,
+    acceptanceRate: restaurant.acceptanceRate,
     isDeliveryAvailable: restaurant.isDeliveryAvailable,
     isOpenNow: restaurant.isOpenNow,
+    ordersPausedUntil: restaurant.ordersPausedUntil,
     manager: restaurant.managerId
       ? {
           id: restaurant.managerId._id,
@@ -153,6 +167,7 @@ export const getRestaurant = catchAsync(async (req, res, next) => {
     rating: food.rating,
     imageCover: food.imageCover,
     isFeatured: food.isFeatured,
+    optionGroups: food.optionGroups,
     status: food.status,
     menuId: food.menuId
   })).sort((a, b) => a.foodName.localeCompare(b.foodName));
@@ -167,6 +182,33 @@ export const getRestaurant = catchAsync(async (req, res, next) => {
   });
 });
 
+/**
+ * Menu sections: the restaurant's categoryOrder first, other categories by
+ * name, uncategorized dishes last. A dish in several categories shows in each.
+ */
+const groupFoodsByCategory = async (foods, categoryOrder = []) => {
+  const categoryIds = [...new Set(foods.flatMap((food) => (food.categories || []).map(String)))];
+  const categories = await FoodCategory.find({ _id: { $in: categoryIds }, isActive: true }).select('categoryName');
+
+  const position = (category) => {
+    const index = categoryOrder.findIndex((id) => id.equals(category._id));
+    return index === -1 ? categoryOrder.length : index;
+  };
+  const sections = categories
+    .sort((a, b) => position(a) - position(b) || a.categoryName.localeCompare(b.categoryName))
+    .map((category) => ({
+      id: category._id,
+      categoryName: category.categoryName,
+      foods: foods.filter((food) => (food.categories || []).some((id) => id.equals(category._id)))
+    }));
+
+  const shown = new Set(categories.map((category) => category._id.toString()));
+  const uncategorized = foods.filter((food) => !(food.categories || []).some((id) => shown.has(id.toString())));
+  if (uncategorized.length > 0) sections.push({ id: null, categoryName: 'Other', foods: uncategorized });
+
+  return sections;
+};
+
 // Alternative: Get restaurant with foods using aggregation pipeline (more efficient)
 export const getRestaurantWithMenu = catchAsync(async (req, res, next) => {
   const restaurant = await Restaurant.findById(req.params.id);
@@ -208,8 +250,10 @@ export const getRestaurantWithMenu = catchAsync(async (req, res, next) => {
         rating: 1,
         imageCover: 1,
         isFeatured: 1,
+        optionGroups: 1,
         status: 1,
-        menuId: 1
+        menuId: 1,
+        categories: 1
       }
     },
     // Sort foods
@@ -218,12 +262,15 @@ export const getRestaurantWithMenu = catchAsync(async (req, res, next) => {
     }
   ]);
 
+  const categories = await groupFoodsByCategory(result, restaurant.categoryOrder);
+
   res.status(200).json({
     status: 'success',
     data: {
       restaurant,
       foods: result,
-      totalFoods: result.length
+      totalFoods: result.length,
+      categories
     }
   });
 });
@@ -336,7 +383,16 @@ export const updateRestaurant = catchAsync(async (req, res, next) => {
   }
 
   // 3. Filter allowed fields for update
-  const filteredBody = filterObj(req.body, 'cuisineTypes', 'description', 'imageCover', 'isDeliveryAvailable');
+  const filteredBody = filterObj(
+    req.body,
+    'cuisineTypes',
+    'description',
+    'imageCover',
+    'isDeliveryAvailable',
+    'openHours',
+    'holidays',
+    'categoryOrder'
+  );
 
   // 4. Update restaurant
   const restaurant = await Restaurant.findByIdAndUpdate(req.params.id, filteredBody, {
@@ -385,6 +441,53 @@ export const updateRestaurant = catchAsync(async (req, res, next) => {
   });
 });
 
+// Pause new orders for a while (busy kitchen); the restaurant shows as closed until then
+export const pauseOrders = catchAsync(async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return next(new AppError('Invalid restaurant ID.', 400));
+  }
+
+  const minutes = req.body.minutes === undefined ? DEFAULT_PAUSE_MINUTES : Number(req.body.minutes);
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_PAUSE_MINUTES) {
+    return next(new AppError(`minutes must be a whole number between 1 and ${MAX_PAUSE_MINUTES}.`, 400));
+  }
+
+  const restaurant = await Restaurant.findById(req.params.id);
+  if (!restaurant) return next(new AppError('No restaurant found with that ID.', 404));
+  if (req.user.role === 'Manager' && !restaurant.managerId?.equals(req.user._id)) {
+    return next(new AppError('You can only pause orders for your own restaurant.', 403));
+  }
+
+  restaurant.ordersPausedUntil = new Date(Date.now() + minutes * 60 * 1000);
+  await restaurant.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    data: { id: restaurant._id, ordersPausedUntil: restaurant.ordersPausedUntil, isOpenNow: restaurant.isOpenNow }
+  });
+});
+
+// Take orders again before the pause runs out
+export const resumeOrders = catchAsync(async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return next(new AppError('Invalid restaurant ID.', 400));
+  }
+
+  const restaurant = await Restaurant.findById(req.params.id);
+  if (!restaurant) return next(new AppError('No restaurant found with that ID.', 404));
+  if (req.user.role === 'Manager' && !restaurant.managerId?.equals(req.user._id)) {
+    return next(new AppError('You can only resume orders for your own restaurant.', 403));
+  }
+
+  restaurant.ordersPausedUntil = null;
+  await restaurant.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    data: { id: restaurant._id, ordersPausedUntil: null, isOpenNow: restaurant.isOpenNow }
+  });
+});
+
 export const deleteRestaurant = catchAsync(async (req, res, next) => {
   // 1. Validate restaurant ID
   if (!req.params.id || !mongoose.isValidObjectId(req.params.id)) {
@@ -0,0 +1,211 @@
+import { getDistance } from 'geolib';
+import Restaurant from '../models/restaurantModel.js';
+import Food from '../models/Food.js';
+import FoodMenu from '../models/FoodMenu.js';
+import catchAsync from '../utils/catchAsync.js';
+import AppError from '../utils/appError.js';
+import { buildQueryTerms, fuzzyQuery, fuzzyScore, highlight, normalizeWord, tokenize } from '../utils/search.js';
+
+const MAX_QUERY_LENGTH = 100;
+const CANDIDATE_LIMIT = 100; // matches fetched per type before ranking
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const SUGGESTION_LIMIT = 5;
+
+// Final score = relevance, rating and (when a location is given) proximity
+const WEIGHTS = { relevance: 0.6, rating: 0.2, proximity: 0.2 };
+const PROXIMITY_HALF_KM = 3; // a result this far away gets half the proximity score
+
+const TYPES = ['all', 'restaurants', 'foods'];
+
+const parseLocation = ({ lng, lat }) => {
+  if (lng === undefined && lat === undefined) return null;
+  const coords = { longitude: parseFloat(lng), latitude: parseFloat(lat) };
+  if (!Number.isFinite(coords.longitude) || !Number.isFinite(coords.latitude)) {
+    throw new AppError('lng and lat must both be numbers.', 400);
+  }
+  return coords;
+};
+
+const textMatches = async (Model, terms, filter, fields) => {
+  const docs = await Model.find({ $text: { $search: terms.join(' ') }, ...filter })
+    .select(fields)
+    .select({ score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(CANDIDATE_LIMIT);
+  return docs.map((doc) => ({ doc, score: doc.get('score') }));
+};
+
+// Typo fallback: names sharing a query word's first letters, scored by edit distance
+const fuzzyMatches = async (Model, q, filter, fields, textsOf) => {
+  const { words, prefixes } = fuzzyQuery(q);
+  if (words.length === 0) return [];
+  const docs = await Model.find({ searchPrefixes: { $in: prefixes }, ...filter })
+    .select(fields)
+    .limit(CANDIDATE_LIMIT);
+  return docs
+    .map((doc) => ({ doc, score: fuzzyScore(textsOf(doc), words) }))
+    .filter(({ score }) => score > 0);
+};
+
+const findMatches = async (Model, { terms, q }, filter, fields, textsOf) => {
+  const matches = await textMatches(Model, terms, filter, fields);
+  return matches.length > 0 ? matches : fuzzyMatches(Model, q, filter, fields, textsOf);
+};
+
+const distanceFrom = (origin, restaurant) =>
+  origin && restaurant.location?.coordinates?.length === 2
+    ? getDistance(origin, {
+        longitude: restaurant.location.coordinates[0],
+        latitude: restaurant.location.coordinates[1],
+      })
+    : null;
+
+const rank = ({ score, maxScore, rating, distanceMeters }) => {
+  let total = WEIGHTS.relevance * (score / maxScore) + WEIGHTS.rating * (Math.min(rating || 0, 5) / 5);
+  if (distanceMeters !== null) {
+    total += WEIGHTS.proximity * (1 / (1 + distanceMeters / 1000 / PROXIMITY_HALF_KM));
+  }
+  return Math.round(total * 1000) / 1000;
+};
+
+const highlightsOf = (fields, q) =>
+  Object.entries(fields)
+    .map(([field, text]) => ({ field, snippet: highlight(text, q) }))
+    .filter(({ snippet }) => snippet);
+
+const searchRestaurants = async (terms, q, origin) => {
+  const matches = await findMatches(
+    Restaurant,
+    { terms, q },
+    { active: true },
+    'name cuisineTypes imageCover location ratingAverage openHours holidays ordersPausedUntil',
+    (restaurant) => [restaurant.name, ...restaurant.cuisineTypes]
+  );
+  const maxScore = Math.max(...matches.map(({ score }) => score), 1);
+
+  return matches.map(({ doc: restaurant, score }) => {
+    const distanceMeters = distanceFrom(origin, restaurant);
+    return {
+      id: restaurant._id,
+      name: restaurant.name,
+      cuisineTypes: restaurant.cuisineTypes,
+      imageCover: restaurant.imageCover,
+      ratingAverage: restaurant.ratingAverage,
+      isOpenNow: restaurant.isOpenNow,
+      distanceMeters,
+      score: rank({ score, maxScore, rating: restaurant.ratingAverage, distanceMeters }),
+      highlights: highlightsOf({ name: restaurant.name, cuisineTypes: restaurant.cuisineTypes.join(', ') }, q),
+    };
+  });
+};
+
+const searchFoods = async (terms, q, origin) => {
+  const matches = await findMatches(
+    Food,
+    { terms, q },
+    { status: 'Available' },
+    'foodName ingredients price imageCover rating menuId',
+    (food) => [food.foodName]
+  );
+  const foods = matches.map(({ doc }) => doc);
+
+  // Only dishes on an active menu of an active restaurant
+  const menus = await FoodMenu.find({ _id: { $in: foods.map((food) => food.menuId) }, active: true }).select(
+    'restaurantId'
+  );
+  const restaurants = await Restaurant.find({
+    _id: { $in: menus.map((menu) => menu.restaurantId) },
+    active: true,
+  }).select('name location ratingAverage openHours holidays ordersPausedUntil');
+  const restaurantById = new Map(restaurants.map((restaurant) => [restaurant._id.toString(), restaurant]));
+  const restaurantOfMenu = new Map(
+    menus.map((menu) => [menu._id.toString(), restaurantById.get(menu.restaurantId.toString())])
+  );
+
+  const listed = matches.filter(({ doc: food }) => restaurantOfMenu.get(food.menuId.toString()));
+  const maxScore = Math.max(...listed.map(({ score }) => score), 1);
+
+  return listed.map(({ doc: food, score }) => {
+    const restaurant = restaurantOfMenu.get(food.menuId.toString());
+    const distanceMeters = distanceFrom(origin, restaurant);
+    return {
+      id: food._id,
+      foodName: food.foodName,
+      price: food.price,
+      imageCover: food.imageCover,
+      rating: food.rating,
+      restaurant: { id: restaurant._id, name: restaurant.name, isOpenNow: restaurant.isOpenNow },
+      distanceMeters,
+      // Unrated dishes borrow their restaurant's rating
+      score: rank({
+        score,
+        maxScore,
+        rating: food.rating || restaurant.ratingAverage,
+        distanceMeters,
+      }),
+      highlights: highlightsOf({ foodName: food.foodName, ingredients: food.ingredients }, q),
+    };
+  });
+};
+
+// GET /api/v1/search?q=&type=all|restaurants|foods&lng=&lat=&limit=
+export const search = catchAsync(async (req, res, next) => {
+  const q = String(req.query.q || '').trim();
+  if (!q) return next(new AppError('Please provide a search query (q).', 400));
+  if (q.length > MAX_QUERY_LENGTH) {
+    return next(new AppError(`Search query must not exceed ${MAX_QUERY_LENGTH} characters.`, 400));
+  }
+
+  const type = req.query.type || 'all';
+  if (!TYPES.includes(type)) return next(new AppError(`type must be one of: ${TYPES.join(', ')}`, 400));
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+  const origin = parseLocation(req.query);
+
+  const terms = buildQueryTerms(q);
+  if (terms.length === 0) return next(new AppError('Search query must contain letters or digits.', 400));
+
+  const [restaurants, foods] = await Promise.all([
+    type === 'foods' ? [] : searchRestaurants(terms, q, origin),
+    type === 'restaurants' ? [] : searchFoods(terms, q, origin),
+  ]);
+  const best = (results) => results.sort((a, b) => b.score - a.score).slice(0, limit);
+
+  res.status(200).json({
+    status: 'success',
+    results: Math.min(restaurants.length, limit) + Math.min(foods.length, limit),
+    data: {
+      restaurants: best(restaurants),
+      foods: best(foods),
+    },
+  });
+});
+
+// GET /api/v1/search/suggest?q= — names starting with what has been typed so far
+export const suggest = catchAsync(async (req, res, next) => {
+  const words = tokenize(String(req.query.q || '').slice(0, MAX_QUERY_LENGTH)).map(normalizeWord);
+  if (words.length === 0 || words[words.length - 1].length < 2) {
+    return res.status(200).json({ status: 'success', results: 0, data: { suggestions: [] } });
+  }
+
+  // Earlier words must be complete, the last one may be a prefix
+  const filter = { searchPrefixes: { $all: words } };
+  const [restaurants, foods] = await Promise.all([
+    Restaurant.find({ ...filter, active: true }).select('name').sort('-rankingScore -ratingAverage').limit(SUGGESTION_LIMIT),
+    Food.find({ ...filter, status: 'Available' }).select('foodName').sort('-rating').limit(SUGGESTION_LIMIT),
+  ]);
+
+  const seen = new Set();
+  const suggestions = [
+    ...restaurants.map((restaurant) => ({ type: 'restaurant', id: restaurant._id, text: restaurant.name })),
+    ...foods.map((food) => ({ type: 'food', id: food._id, text: food.foodName })),
+  ].filter(({ text }) => {
+    const key = text.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  res.status(200).json({ status: 'success', results: suggestions.length, data: { suggestions } });
+});
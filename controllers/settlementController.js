@@ -0,0 +1,211 @@
+import mongoose from 'mongoose';
+import RestaurantPayout from '../models/RestaurantPayout.js';
+import Restaurant from '../models/restaurantModel.js';
+import Order from '../models/Order.js';
+import catchAsync from '../utils/catchAsync.js';
+import AppError from '../utils/appError.js';
+import { buildStatementCsv, buildStatementPdf } from '../utils/statementExport.js';
+
+const toNumber = (value) => parseFloat(value?.toString() || '0');
+
+const formatPayout = (payout) => ({
+  id: payout._id,
+  restaurantId: payout.restaurantId,
+  periodStart: payout.periodStart,
+  periodEnd: payout.periodEnd,
+  orderCount: payout.orderCount,
+  grossSales: toNumber(payout.grossSales),
+  commissionRate: payout.commissionRate,
+  commission: toNumber(payout.commission),
+  netPayout: toNumber(payout.netPayout),
+  currency: payout.currency,
+  status: payout.status,
+  paidAt: payout.paidAt,
+  paymentReference: payout.paymentReference,
+  note: payout.note,
+  createdAt: payout.createdAt
+});
+
+// Managers only see their own restaurant; admins see all
+const loadRestaurantFor = async (user, restaurantId) => {
+  if (!mongoose.isValidObjectId(restaurantId)) throw new AppError('Invalid restaurant ID format.', 400);
+  const restaurant = await Restaurant.findById(restaurantId);
+  if (!restaurant) throw new AppError('Restaurant not found', 404);
+  if (user.role === 'Manager' && restaurant.managerId?.toString() !== user._id.toString()) {
+    throw new AppError('You can only view statements for your own restaurant.', 403);
+  }
+  return restaurant;
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (!value || isNaN(date.getTime())) throw new AppError(`${name} must be a valid date.`, 400);
+  return date;
+};
+
+// GET /api/v1/settlements/restaurants/:restaurantId/statements
+export const getRestaurantStatements = catchAsync(async (req, res, next) => {
+  const restaurant = await loadRestaurantFor(req.user, req.params.restaurantId);
+
+  const filter = { restaurantId: restaurant._id };
+  if (req.query.status) filter.status = req.query.status;
+
+  const [payouts, outstanding] = await Promise.all([
+    RestaurantPayout.find(filter).sort({ periodEnd: -1 }).limit(100),
+    RestaurantPayout.outstandingFor(restaurant._id)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: payouts.length,
+    data: {
+      restaurant: { id: restaurant._id, name: restaurant.name },
+      outstanding,
+      payouts: payouts.map(formatPayout)
+    }
+  });
+});
+
+// GET /api/v1/settlements/payouts/:id/statement?format=csv|pdf
+export const downloadStatement = catchAsync(async (req, res, next) => {
+  const format = (req.query.format || 'csv').toLowerCase();
+  if (!['csv', 'pdf'].includes(format)) {
+    return next(new AppError("format must be 'csv' or 'pdf'.", 400));
+  }
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return next(new AppError('Invalid payout ID format.', 400));
+  }
+
+  const payout = await RestaurantPayout.findById(req.params.id);
+  if (!payout) return next(new AppError('Payout not found', 404));
+  const restaurant = await loadRestaurantFor(req.user, payout.restaurantId);
+
+  const orders = await Order.find({ payoutId: payout._id })
+    .select('orderCode foodTotal createdAt')
+    .sort({ createdAt: 1 });
+
+  const filename = `statement-${restaurant.name.replace(/[^a-z0-9]+/gi, '-')}-${payout.periodEnd
+    .toISOString()
+    .slice(0, 10)}.${format}`;
+  const statement = { payout, restaurant, orders };
+
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  if (format === 'pdf') {
+    res.type('application/pdf').send(buildStatementPdf(statement));
+  } else {
+    res.type('text/csv').send(buildStatementCsv(statement));
+  }
+});
+
+// GET /api/v1/settlements/payouts (admin)
+export const getAllPayouts = catchAsync(async (req, res, next) => {
+  const filter = {};
+  if (req.query.status) filter.status = req.query.status;
+  if (req.query.restaurantId) {
+    if (!mongoose.isValidObjectId(req.query.restaurantId)) {
+      return next(new AppError('Invalid restaurant ID format.', 400));
+    }
+    filter.restaurantId = req.query.restaurantId;
+  }
+
+  const payouts = await RestaurantPayout.find(filter)
+    .populate('restaurantId', 'name')
+    .sort({ periodEnd: -1 })
+    .limit(200);
+
+  res.status(200).json({
+    status: 'success',
+    results: payouts.length,
+    data: payouts.map((payout) => ({ ...formatPayout(payout), restaurant: payout.restaurantId }))
+  });
+});
+
+// POST /api/v1/settlements/payouts/generate (admin)
+export const generatePayouts = catchAsync(async (req, res, next) => {
+  const periodStart = parseDate(req.body.from, 'from');
+  const periodEnd = parseDate(req.body.to, 'to');
+  if (periodEnd <= periodStart) return next(new AppError("'to' must be after 'from'.", 400));
+  if (periodEnd > new Date()) return next(new AppError('Cannot settle a period that has not ended.', 400));
+  if (req.body.restaurantId && !mongoose.isValidObjectId(req.body.restaurantId)) {
+    return next(new AppError('Invalid restaurant ID format.', 400));
+  }
+
+  const restaurantIds = req.body.restaurantId
+    ? [req.body.restaurantId]
+    : await Order.distinct('restaurantId', {
+        orderStatus: 'Completed',
+        'transaction.status': 'Paid',
+        payoutId: null,
+        createdAt: { $lt: periodEnd }
+      });
+
+  const payouts = [];
+  for (const restaurantId of restaurantIds) {
+    const payout = await RestaurantPayout.generate({
+      restaurantId,
+      periodStart,
+      periodEnd,
+      generatedBy: req.user._id
+    });
+    if (payout) payouts.push(formatPayout(payout));
+  }
+
+  res.status(201).json({
+    status: 'success',
+    results: payouts.length,
+    data: payouts
+  });
+});
+
+// PATCH /api/v1/settlements/payouts/:id/settle (admin)
+export const settlePayout = catchAsync(async (req, res, next) => {
+  const { paymentReference, note } = req.body;
+  if (!paymentReference || typeof paymentReference !== 'string') {
+    return next(new AppError('paymentReference is required.', 400));
+  }
+
+  const payout = await RestaurantPayout.findOneAndUpdate(
+    { _id: req.params.id, status: 'Pending' },
+    {
+      $set: {
+        status: 'Paid',
+        paidAt: new Date(),
+        paidBy: req.user._id,
+        paymentReference,
+        note
+      }
+    },
+    { new: true, runValidators: true }
+  );
+  if (!payout) return next(new AppError('Pending payout not found', 404));
+
+  res.status(200).json({
+    status: 'success',
+    data: formatPayout(payout)
+  });
+});
+
+// PATCH /api/v1/settlements/restaurants/:restaurantId/commission (admin)
+export const setRestaurantCommission = catchAsync(async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.restaurantId)) {
+    return next(new AppError('Invalid restaurant ID format.', 400));
+  }
+  const { commissionRate } = req.body;
+  const update =
+    commissionRate === null ? { $unset: { commissionRate: 1 } } : { $set: { commissionRate } };
+
+  const restaurant = await Restaurant.findByIdAndUpdate(req.params.restaurantId, update, {
+    new: true,
+    runValidators: true
+  });
+  if (!restaurant) return next(new AppError('Restaurant not found', 404));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      restaurantId: restaurant._id,
+      commissionRate: restaurant.commissionRate ?? RestaurantPayout.DEFAULT_COMMISSION_RATE,
+      isDefault: restaurant.commissionRate === undefined || restaurant.commissionRate === null
+    }
+  });
+});
@@ -0,0 +1,131 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import LocationPing from '../models/LocationPing.js';
+import Restaurant from '../models/restaurantModel.js';
+import catchAsync from '../utils/catchAsync.js';
+import AppError from '../utils/appError.js';
+import { encodePolyline, pathDistanceKm } from '../utils/geo.js';
+
+// Fixes less precise than this are left out of the replay
+const MAX_PING_ACCURACY_M = parseFloat(process.env.ROUTE_MAX_PING_ACCURACY_METERS || '100');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// One leg of the delivery, with the distance covered between its timestamps
+const buildStage = (name, startedAt, endedAt, points) => {
+  if (!startedAt) return { name, startedAt: null, endedAt: null, minutes: null, distanceKm: 0, pings: 0 };
+  const end = endedAt || new Date();
+  const legPoints = points.filter((p) => p.recordedAt >= startedAt && p.recordedAt <= end);
+  return {
+    name,
+    startedAt,
+    endedAt: endedAt || null,
+    minutes: Math.round((end.getTime() - startedAt.getTime()) / 60000),
+    distanceKm: round2(pathDistanceKm(legPoints)),
+    pings: legPoints.length
+  };
+};
+
+// GET /api/v1/orders/:orderId/route (admin): replay of the courier's trail
+export const getOrderRoute = catchAsync(async (req, res, next) => {
+  const { orderId } = req.params;
+  if (!mongoose.isValidObjectId(orderId)) {
+    return next(new AppError('Invalid order ID format.', 400));
+  }
+
+  const order = await Order.findById(orderId, null, { bypassPaidFilter: true });
+  if (!order) return next(new AppError('Order not found.', 404));
+
+  const pings = await LocationPing.find({ 'meta.orderId': order._id })
+    .sort({ recordedAt: 1 })
+    .lean();
+  const points = pings
+    .filter((ping) => ping.accuracy === undefined || ping.accuracy === null || ping.accuracy <= MAX_PING_ACCURACY_M)
+    .map((ping) => ({ lat: ping.lat, lng: ping.lng, recordedAt: ping.recordedAt }));
+
+  const { acceptedAt, arrivedAtRestaurantAt, pickedUpAt, deliveredAt } = order.deliveryTimeline || {};
+  const finishedAt = deliveredAt || order.cancellation?.cancelledAt;
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      orderId: order._id,
+      orderCode: order.orderCode,
+      orderStatus: order.orderStatus,
+      courierId: order.deliveryId || null,
+      restaurantLocation: order.restaurantLocation,
+      destinationLocation: order.destinationLocation,
+      plannedDistanceKm: order.distanceKm,
+      distanceTravelledKm: round2(pathDistanceKm(points)),
+      polyline: encodePolyline(points),
+      points,
+      droppedPings: pings.length - points.length,
+      timeline: order.deliveryTimeline,
+      stages: [
+        buildStage('AwaitingCourier', order.createdAt, acceptedAt || finishedAt, []),
+        buildStage('ToRestaurant', acceptedAt, arrivedAtRestaurantAt || pickedUpAt || finishedAt, points),
+        buildStage('AtRestaurant', arrivedAtRestaurantAt, pickedUpAt || finishedAt, points),
+        buildStage('ToCustomer', pickedUpAt, finishedAt, points)
+      ]
+    }
+  });
+});
+
+// What each role sees of a status history entry: admins get everything,
+// managers everything but customer ids, customers only their own notes
+const scopeHistoryEntry = (entry, role, userId) => {
+  const { from, to, at, actorRole } = entry;
+  if (role === 'Admin') return entry;
+  if (role === 'Manager') {
+    return {
+      from,
+      to,
+      at,
+      actorRole,
+      actorId: actorRole === 'Customer' ? undefined : entry.actorId,
+      source: entry.source,
+      note: entry.note,
+    };
+  }
+  const ownEntry = entry.actorId?.toString() === userId.toString();
+  return { from, to, at, actorRole, note: ownEntry ? entry.note : undefined };
+};
+
+// GET /api/v1/orders/:orderId/timeline (customer, manager, admin): status history
+export const getOrderTimeline = catchAsync(async (req, res, next) => {
+  const { orderId } = req.params;
+  if (!mongoose.isValidObjectId(orderId)) {
+    return next(new AppError('Invalid order ID format.', 400));
+  }
+
+  const { role, _id: userId } = req.user;
+  const query = Order.findById(orderId, null, { bypassPaidFilter: true });
+  if (role === 'Admin') query.populate('statusHistory.actorId', 'firstName lastName phone role');
+  const order = await query.lean();
+  if (!order) return next(new AppError('Order not found.', 404));
+
+  if (role === 'Customer' && order.userId.toString() !== userId.toString()) {
+    return next(new AppError('You can only view the timeline of your own orders.', 403));
+  }
+  if (role === 'Manager') {
+    const restaurant = await Restaurant.findById(order.restaurantId).select('managerId');
+    if (restaurant?.managerId?.toString() !== userId.toString()) {
+      return next(new AppError('You can only view the timeline of your restaurant\'s orders.', 403));
+    }
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      orderId: order._id,
+      orderCode: order.orderCode,
+      orderStatus: order.orderStatus,
+      createdAt: order.createdAt,
+      history: (order.statusHistory || []).map((entry) => scopeHistoryEntry(entry, role, userId)),
+      milestones: order.deliveryTimeline || {},
+      cancellation: order.cancellation?.cancelledAt
+        ? { reasonCode: order.cancellation.reasonCode, cancelledAt: order.cancellation.cancelledAt }
+        : null
+    }
+  });
+});
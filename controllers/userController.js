@@ -455,3 +455,31 @@ export const deleteAddress = catchAsync(async (req, res, next) => {
     addresses: user.addresses
   });
 });
+
+// POST /api/v1/users/push-tokens — register this device for push notifications
+export const registerPushToken = catchAsync(async (req, res, next) => {
+  const { token } = req.body;
+  if (!token || typeof token !== 'string') {
+    return next(new AppError('A push token is required', 400));
+  }
+
+  await User.updateOne({ _id: req.user.id }, { $addToSet: { pushTokens: token } });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Push notifications enabled for this device'
+  });
+});
+
+// DELETE /api/v1/users/push-tokens — stop push notifications to this device (e.g. on logout)
+export const removePushToken = catchAsync(async (req, res, next) => {
+  const { token } = req.body;
+  if (!token) return next(new AppError('A push token is required', 400));
+
+  await User.updateOne({ _id: req.user.id }, { $pull: { pushTokens: token } });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Push notifications disabled for this device'
+  });
+});
@@ -0,0 +1,148 @@
+import mongoose from 'mongoose';
+import Wallet from '../models/Wallet.js';
+import WalletLedgerEntry from '../models/WalletLedgerEntry.js';
+import WalletTopUp from '../models/WalletTopUp.js';
+import User from '../models/userModel.js';
+import catchAsync from '../utils/catchAsync.js';
+import AppError from '../utils/appError.js';
+import { getPaymentProvider, isPaymentMethodEnabled } from '../utils/paymentProviders.js';
+
+const TOPUP_MIN = parseFloat(process.env.WALLET_TOPUP_MIN || '10');
+const TOPUP_MAX = parseFloat(process.env.WALLET_TOPUP_MAX || '10000');
+
+const toNumber = (value) => parseFloat(value?.toString() || '0');
+
+const formatEntry = (entry) => ({
+  id: entry._id,
+  transactionId: entry.transactionId,
+  direction: entry.direction,
+  type: entry.type,
+  amount: toNumber(entry.amount),
+  balanceAfter: toNumber(entry.balanceAfter),
+  reason: entry.reason,
+  checkoutId: entry.checkoutId,
+  orderId: entry.orderId,
+  topUpId: entry.topUpId,
+  createdAt: entry.createdAt
+});
+
+// Balance plus one page of the wallet's ledger entries
+const walletSummary = async (userId, query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+  const filter = { account: WalletLedgerEntry.walletAccount(userId) };
+  if (query.type) filter.type = query.type;
+
+  const [balance, entries, total] = await Promise.all([
+    Wallet.getBalance(userId),
+    WalletLedgerEntry.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    WalletLedgerEntry.countDocuments(filter)
+  ]);
+
+  return { balance, currency: 'ETB', total, page, entries: entries.map(formatEntry) };
+};
+
+// GET /api/v1/users/wallet
+export const getMyWallet = catchAsync(async (req, res, next) => {
+  res.status(200).json({
+    status: 'success',
+    data: await walletSummary(req.user._id, req.query)
+  });
+});
+
+// POST /api/v1/users/wallet/top-up
+export const topUpWallet = catchAsync(async (req, res, next) => {
+  const amount = Math.round(parseFloat(req.body.amount) * 100) / 100;
+  const { paymentMethod = 'Chapa' } = req.body;
+
+  if (isNaN(amount) || amount < TOPUP_MIN || amount > TOPUP_MAX) {
+    return next(new AppError(`Top-up amount must be between ${TOPUP_MIN} and ${TOPUP_MAX} ETB.`, 400));
+  }
+  if (!isPaymentMethodEnabled(paymentMethod)) {
+    return next(new AppError('Unsupported payment method.', 400));
+  }
+  const provider = getPaymentProvider(paymentMethod);
+  if (provider.settlement !== 'Prepaid') {
+    return next(new AppError('Wallet top-ups must be paid online.', 400));
+  }
+
+  const user = await User.findById(req.user._id);
+  const topUp = new WalletTopUp({
+    userId: user._id,
+    amount: mongoose.Types.Decimal128.fromString(amount.toFixed(2))
+  });
+  topUp.transaction.method = paymentMethod;
+  topUp.transaction.txRef = `topup-${topUp._id}`;
+  await topUp.save();
+
+  let payment;
+  try {
+    payment = await provider.initialize({ amount, txRef: topUp.transaction.txRef, user });
+  } catch (err) {
+    topUp.transaction.status = 'Failed';
+    await topUp.save();
+    return next(new AppError(err.message, 502));
+  }
+
+  res.status(201).json({
+    status: 'success',
+    data: { topUpId: topUp._id, amount, payment }
+  });
+});
+
+// GET /api/v1/users/:id/wallet (admin)
+export const getUserWallet = catchAsync(async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return next(new AppError('Invalid user ID format.', 400));
+  }
+  res.status(200).json({
+    status: 'success',
+    data: await walletSummary(req.params.id, req.query)
+  });
+});
+
+// POST /api/v1/users/:id/wallet/adjustments (admin)
+// amount > 0 credits, amount < 0 debits; a reason is always recorded
+export const adjustUserWallet = catchAsync(async (req, res, next) => {
+  const { reason, type = 'Adjustment', idempotencyKey } = req.body;
+  const amount = parseFloat(req.body.amount);
+
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return next(new AppError('Invalid user ID format.', 400));
+  }
+  if (isNaN(amount) || amount === 0) {
+    return next(new AppError('Amount must be a non-zero number.', 400));
+  }
+  if (!reason || typeof reason !== 'string' || reason.trim().length < 5) {
+    return next(new AppError('An audit reason of at least 5 characters is required.', 400));
+  }
+  if (!['Adjustment', 'Promotion'].includes(type) || (type === 'Promotion' && amount < 0)) {
+    return next(new AppError("type must be 'Adjustment', or 'Promotion' for credits.", 400));
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) return next(new AppError('User not found', 404));
+
+  let result;
+  try {
+    result = await Wallet.post({
+      userId: user._id,
+      direction: amount > 0 ? 'Credit' : 'Debit',
+      amount: Math.abs(amount),
+      type,
+      idempotencyKey,
+      reason: reason.trim(),
+      createdBy: req.user._id
+    });
+  } catch (err) {
+    return next(new AppError(err.message, 400));
+  }
+
+  res.status(result.duplicate ? 200 : 201).json({
+    status: 'success',
+    data: { balance: result.balance, entry: formatEntry(result.entry), duplicate: result.duplicate }
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Domain event bus. Controllers publish what happened to an order; delivery
+ * channels (sockets, push, SMS) subscribe and decide who to tell and how.
+ * Publishing never waits for subscribers, and one failing subscriber does not
+ * affect the others.
+ * @module events/eventBus
+ */
+
+/**
+ * @typedef {Object} OrderPaidEvent
+ * Order is settled (or cash on delivery) and released to the restaurant.
+ * @property {string} orderId
+ * @property {string} orderCode
+ * @property {string} restaurantId
+ * @property {?string} managerId - restaurant manager to alert
+ * @property {string} customerId
+ * @property {'Delivery'|'Takeaway'} typeOfOrder
+ * @property {number} totalPrice
+ * @property {?Date} scheduledFor
+ * @property {Date} createdAt
+ * @property {Date} acceptBy - auto-rejected if the restaurant has not accepted by then
+ */
+
+/**
+ * @typedef {Object} OrderPreparingEvent
+ * Restaurant accepted the order and started preparing it.
+ * @property {string} orderId
+ * @property {string} orderCode
+ * @property {string} restaurantId
+ * @property {string} customerId
+ * @property {'Delivery'|'Takeaway'} typeOfOrder
+ * @property {Date} estimatedReadyAt
+ */
+
+/**
+ * @typedef {Object} OrderReadyTimeChangedEvent
+ * Kitchen moved the ready-by estimate of an order it is preparing.
+ * @property {string} orderId
+ * @property {string} orderCode
+ * @property {string} customerId
+ * @property {?string} courierId - courier already heading to the restaurant, if any
+ * @property {Date} estimatedReadyAt
+ * @property {number} minutes - shift applied (negative = earlier)
+ * @property {?string} reason
+ */
+
+/**
+ * @typedef {Object} OrderCookedEvent
+ * Kitchen marked the order Cooked; delivery orders go to dispatch.
+ * @property {string} orderId
+ * @property {string} orderCode
+ * @property {string} restaurantId
+ * @property {string} customerId
+ * @property {'Delivery'|'Takeaway'} typeOfOrder
+ */
+
+/**
+ * @typedef {Object} OrderAssignedEvent
+ * A courier claimed the order.
+ * @property {string} orderId
+ * @property {string} orderCode
+ * @property {string} courierId
+ * @property {string} customerId
+ * @property {?string} deliveryVehicle - couriers of this vehicle drop it from their list
+ */
+
+/**
+ * @typedef {Object} OrderUnassignedEvent
+ * The courier dropped the order; it is back in the pool for its vehicle.
+ * @property {string} orderId
+ * @property {string} orderCode
+ * @property {string} courierId
+ * @property {?string} customerId
+ * @property {?string} deliveryVehicle
+ * @property {?string} orderStatus - status the order is left in
+ */
+
+/**
+ * @typedef {Object} OrderPickedUpEvent
+ * Courier collected the order from the restaurant (now Delivering).
+ * @property {string} orderId
+ * @property {string} orderCode
+ * @property {string} courierId
+ * @property {string} customerId
+ */
+
+/**
+ * @typedef {Object} OrderDeliveredEvent
+ * Order handed to the customer (now Completed).
+ * @property {string} orderId
+ * @property {string} orderCode
+ * @property {?string} courierId
+ * @property {string} customerId
+ */
+
+/**
+ * @typedef {Object} OrderCancelledEvent
+ * @property {string} orderId
+ * @property {string} orderCode
+ * @property {string} customerId
+ * @property {?string} courierId - courier who held the order, if any
+ * @property {?string} managerId - manager of the order's restaurant
+ * @property {string} cancelledBy - role of whoever cancelled ('System' for automatic)
+ * @property {?string} restaurantDecision - 'Rejected' or 'AutoRejected' when the restaurant declined it
+ * @property {string} reasonCode
+ * @property {{ type: string, amount: number, status: string }} refund
+ */
+
+// Event name -> required payload fields (see the typedefs above)
+export const EVENTS = Object.freeze({
+  ORDER_PAID: 'order.paid',
+  ORDER_PREPARING: 'order.preparing',
+  ORDER_READY_TIME_CHANGED: 'order.readyTimeChanged',
+  ORDER_COOKED: 'order.cooked',
+  ORDER_ASSIGNED: 'order.assigned',
+  ORDER_UNASSIGNED: 'order.unassigned',
+  ORDER_PICKED_UP: 'order.pickedUp',
+  ORDER_DELIVERED: 'order.delivered',
+  ORDER_CANCELLED: 'order.cancelled',
+});
+
+const REQUIRED_FIELDS = {
+  [EVENTS.ORDER_PAID]: ['orderId', 'orderCode', 'restaurantId', 'customerId', 'typeOfOrder'],
+  [EVENTS.ORDER_PREPARING]: ['orderId', 'orderCode', 'restaurantId', 'customerId', 'typeOfOrder', 'estimatedReadyAt'],
+  [EVENTS.ORDER_READY_TIME_CHANGED]: ['orderId', 'orderCode', 'customerId', 'estimatedReadyAt', 'minutes'],
+  [EVENTS.ORDER_COOKED]: ['orderId', 'orderCode', 'restaurantId', 'customerId', 'typeOfOrder'],
+  [EVENTS.ORDER_ASSIGNED]: ['orderId', 'orderCode', 'courierId', 'customerId'],
+  [EVENTS.ORDER_UNASSIGNED]: ['orderId', 'orderCode', 'courierId'],
+  [EVENTS.ORDER_PICKED_UP]: ['orderId', 'orderCode', 'courierId', 'customerId'],
+  [EVENTS.ORDER_DELIVERED]: ['orderId', 'orderCode', 'customerId'],
+  [EVENTS.ORDER_CANCELLED]: ['orderId', 'orderCode', 'customerId', 'cancelledBy', 'reasonCode'],
+};
+
+const subscribers = new Map(); // event -> [{ name, handler }]
+
+const assertKnownEvent = (event) => {
+  if (!REQUIRED_FIELDS[event]) throw new Error(`Unknown domain event: ${event}`);
+};
+
+/**
+ * Register a handler for an event. `name` identifies the subscriber in logs.
+ */
+export const subscribe = (event, name, handler) => {
+  assertKnownEvent(event);
+  if (!subscribers.has(event)) subscribers.set(event, []);
+  subscribers.get(event).push({ name, handler });
+};
+
+/**
+ * Publish an event to every subscriber. Ids are sent as strings so payloads
+ * look the same to sockets, push data and logs.
+ */
+export const publish = (event, payload) => {
+  assertKnownEvent(event);
+  const missing = REQUIRED_FIELDS[event].filter((field) => payload[field] === undefined || payload[field] === null);
+  if (missing.length > 0) {
+    throw new Error(`Event ${event} is missing ${missing.join(', ')}`);
+  }
+
+  const data = Object.fromEntries(
+    Object.entries(payload).map(([key, value]) => [key, value?._bsontype === 'ObjectId' ? value.toString() : value])
+  );
+
+  for (const { name, handler } of subscribers.get(event) || []) {
+    Promise.resolve()
+      .then(() => handler(data, event))
+      .catch((err) => console.error(`❌ ${name} failed on ${event}:`, err.message));
+  }
+};
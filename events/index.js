@@ -0,0 +1,10 @@
+import { registerSocketSubscriber } from './subscribers/socketSubscriber.js';
+import { registerPushSubscriber } from './subscribers/pushSubscriber.js';
+import { registerSmsSubscriber } from './subscribers/smsSubscriber.js';
+
+// Hook every delivery channel up to the domain event bus (once, at startup)
+export const registerEventSubscribers = () => {
+  registerSocketSubscriber();
+  registerPushSubscriber();
+  registerSmsSubscriber();
+};
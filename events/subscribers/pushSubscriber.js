@@ -0,0 +1,84 @@
+import User from '../../models/userModel.js';
+import { messaging } from '../../firebase.js';
+import { subscribe, EVENTS } from '../eventBus.js';
+
+// Push notifications through Firebase Cloud Messaging, for users whose app is
+// in the background. Disabled when Firebase is not configured.
+
+const STALE_TOKEN_ERRORS = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token',
+];
+
+const sendPush = async (userId, title, body, data) => {
+  const user = await User.findById(userId).select('+pushTokens');
+  const tokens = user?.pushTokens || [];
+  if (tokens.length === 0) return;
+
+  const { responses } = await messaging.sendEachForMulticast({
+    tokens,
+    notification: { title, body },
+    data: Object.fromEntries(Object.entries(data).map(([key, value]) => [key, String(value ?? '')])),
+  });
+
+  // Forget tokens of uninstalled apps
+  const stale = tokens.filter((_, i) => STALE_TOKEN_ERRORS.includes(responses[i].error?.code));
+  if (stale.length > 0) {
+    await User.updateOne({ _id: userId }, { $pull: { pushTokens: { $in: stale } } });
+  }
+};
+
+export const registerPushSubscriber = () => {
+  if (!messaging) return;
+  const name = 'push';
+
+  subscribe(EVENTS.ORDER_PAID, name, async (order) => {
+    if (!order.managerId) return;
+    await sendPush(order.managerId, 'New order', `Order ${order.orderCode} is waiting for you.`, {
+      event: EVENTS.ORDER_PAID,
+      orderId: order.orderId,
+    });
+  });
+
+  subscribe(EVENTS.ORDER_PREPARING, name, async (order) => {
+    await sendPush(order.customerId, 'Order accepted', `The restaurant is preparing order ${order.orderCode}.`, {
+      event: EVENTS.ORDER_PREPARING,
+      orderId: order.orderId,
+      estimatedReadyAt: new Date(order.estimatedReadyAt).toISOString(),
+    });
+  });
+
+  subscribe(EVENTS.ORDER_COOKED, name, async (order) => {
+    if (order.typeOfOrder !== 'Takeaway') return;
+    await sendPush(order.customerId, 'Order ready', `Order ${order.orderCode} is ready for pickup.`, {
+      event: EVENTS.ORDER_COOKED,
+      orderId: order.orderId,
+    });
+  });
+
+  subscribe(EVENTS.ORDER_PICKED_UP, name, async (order) => {
+    await sendPush(order.customerId, 'On the way', `Order ${order.orderCode} has been picked up.`, {
+      event: EVENTS.ORDER_PICKED_UP,
+      orderId: order.orderId,
+    });
+  });
+
+  subscribe(EVENTS.ORDER_DELIVERED, name, async (order) => {
+    await sendPush(order.customerId, 'Delivered', `Order ${order.orderCode} has been delivered. Enjoy!`, {
+      event: EVENTS.ORDER_DELIVERED,
+      orderId: order.orderId,
+    });
+  });
+
+  subscribe(EVENTS.ORDER_CANCELLED, name, async (order) => {
+    const data = { event: EVENTS.ORDER_CANCELLED, orderId: order.orderId, reasonCode: order.reasonCode };
+    const refund = order.refund?.amount > 0 ? ' Your refund is on its way.' : '';
+    const body = order.restaurantDecision
+      ? `The restaurant couldn't take order ${order.orderCode}.${refund}`
+      : `Order ${order.orderCode} was cancelled.${refund}`;
+    await sendPush(order.customerId, 'Order cancelled', body, data);
+    if (order.courierId) {
+      await sendPush(order.courierId, 'Order cancelled', `Order ${order.orderCode} was cancelled.`, data);
+    }
+  });
+};
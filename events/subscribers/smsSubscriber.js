@@ -0,0 +1,29 @@
+import User from '../../models/userModel.js';
+import { sendSMS } from '../../utils/smsSender.js';
+import { subscribe, EVENTS } from '../eventBus.js';
+
+// SMS for the few moments a customer must not miss even without the app open.
+// Disabled when no SMS provider token is configured.
+
+const smsCustomer = async (customerId, message) => {
+  const user = await User.findById(customerId).select('phone');
+  if (user?.phone) await sendSMS(user.phone, message);
+};
+
+export const registerSmsSubscriber = () => {
+  if (!process.env.SMSMODE_API_TOKEN) return;
+  const name = 'sms';
+
+  subscribe(EVENTS.ORDER_COOKED, name, async (order) => {
+    if (order.typeOfOrder !== 'Takeaway') return;
+    await smsCustomer(order.customerId, `Gebeta: your order ${order.orderCode} is ready for pickup.`);
+  });
+
+  subscribe(EVENTS.ORDER_CANCELLED, name, async (order) => {
+    const refund = order.refund?.amount > 0 ? ` A refund of ${order.refund.amount} ETB is on its way.` : '';
+    const what = order.restaurantDecision
+      ? `the restaurant couldn't take your order ${order.orderCode}.`
+      : `your order ${order.orderCode} was cancelled.`;
+    await smsCustomer(order.customerId, `Gebeta: ${what}${refund}`);
+  });
+};
@@ -0,0 +1,138 @@
+import Order from '../../models/Order.js';
+import { getIO } from '../../utils/socket.js';
+import { subscribe, EVENTS } from '../eventBus.js';
+import {
+  DELIVERY_VEHICLES,
+  notifyAdmins,
+  notifyCustomer,
+  notifyDeliveryParties,
+  notifyDeliveryPerson,
+  notifyRestaurantManager,
+} from '../../socket.js';
+
+// Live updates to connected apps. Socket event names and payloads are the
+// ones clients already listen for.
+
+const withIO = (handler) => async (payload) => {
+  const io = getIO();
+  if (io) await handler(io, payload);
+};
+
+// Couriers' "available orders" badge, per vehicle room: couriers only see orders for their vehicle
+const broadcastAvailableCount = async (io) => {
+  await Promise.all(
+    DELIVERY_VEHICLES.map(async (vehicle) => {
+      const count = await Order.countDocuments({
+        ...Order.readyForPickupFilter(),
+        typeOfOrder: 'Delivery',
+        deliveryVehicle: vehicle,
+        deliveryId: null,
+      });
+      io.to(vehicle).emit('available-orders-count', { count });
+    })
+  );
+};
+
+export const registerSocketSubscriber = () => {
+  const name = 'socket';
+
+  subscribe(EVENTS.ORDER_PAID, name, withIO((io, order) => {
+    if (!order.managerId) {
+      console.log(`⚠️ Restaurant ${order.restaurantId} has no manager assigned`);
+      return;
+    }
+    notifyRestaurantManager(io, order.managerId, {
+      orderId: order.orderId,
+      totalPrice: order.totalPrice,
+      orderCode: order.orderCode,
+      typeOfOrder: order.typeOfOrder,
+      scheduledFor: order.scheduledFor,
+      createdAt: order.createdAt,
+      acceptBy: order.acceptBy,
+    });
+  }));
+
+  subscribe(EVENTS.ORDER_PREPARING, name, withIO((io, order) => {
+    notifyCustomer(io, order.customerId, {
+      type: 'orderPreparing',
+      orderId: order.orderId,
+      estimatedReadyAt: order.estimatedReadyAt,
+      message: `The restaurant is preparing order ${order.orderCode}.`,
+    });
+  }));
+
+  subscribe(EVENTS.ORDER_READY_TIME_CHANGED, name, withIO((io, order) => {
+    const message = {
+      type: 'readyTimeChanged',
+      orderId: order.orderId,
+      estimatedReadyAt: order.estimatedReadyAt,
+      reason: order.reason,
+      message: `The ready time for order ${order.orderCode} has changed.`,
+    };
+    notifyCustomer(io, order.customerId, message);
+    if (order.courierId) notifyDeliveryPerson(io, order.courierId, 'readyTimeChanged', message);
+  }));
+
+  subscribe(EVENTS.ORDER_COOKED, name, withIO((io, order) => {
+    notifyCustomer(io, order.customerId, {
+      type: 'orderCooked',
+      orderId: order.orderId,
+      message:
+        order.typeOfOrder === 'Delivery'
+          ? `Your order ${order.orderCode} is ready and waiting for a courier.`
+          : `Your order ${order.orderCode} is ready for pickup.`,
+    });
+  }));
+
+  subscribe(EVENTS.ORDER_ASSIGNED, name, withIO(async (io, order) => {
+    notifyDeliveryParties(io, order, 'delivery:assigned', { orderId: order.orderId, deliveryPerson: order.courierId });
+    notifyCustomer(io, order.customerId, {
+      type: 'orderAssigned',
+      orderId: order.orderId,
+      message: `A courier is on the way to pick up order ${order.orderCode}.`,
+    });
+    await broadcastAvailableCount(io);
+  }));
+
+  subscribe(EVENTS.ORDER_UNASSIGNED, name, withIO(async (io, order) => {
+    notifyDeliveryParties(io, order, 'delivery:cancelled', { orderId: order.orderId, deliveryPerson: order.courierId });
+    notifyDeliveryParties(io, order, 'order:status', { orderId: order.orderId, status: order.orderStatus });
+    await broadcastAvailableCount(io);
+  }));
+
+  subscribe(EVENTS.ORDER_PICKED_UP, name, withIO((io, order) => {
+    notifyDeliveryParties(io, order, 'order:status', { orderId: order.orderId, status: 'Delivering' });
+    notifyCustomer(io, order.customerId, {
+      type: 'orderPickedUp',
+      orderId: order.orderId,
+      message: `Your order ${order.orderCode} has been picked up and is on its way.`,
+    });
+  }));
+
+  subscribe(EVENTS.ORDER_DELIVERED, name, withIO((io, order) => {
+    notifyCustomer(io, order.customerId, {
+      type: 'orderCompleted',
+      orderId: order.orderId,
+      message: `Your order ${order.orderCode} has been completed!`,
+    });
+    notifyAdmins(io, 'orderCompleted', { orderId: order.orderId, deliveryPersonId: order.courierId });
+  }));
+
+  subscribe(EVENTS.ORDER_CANCELLED, name, withIO((io, order) => {
+    const message = {
+      type: 'orderCancelled',
+      orderId: order.orderId,
+      orderCode: order.orderCode,
+      reasonCode: order.reasonCode,
+      cancelledBy: order.cancelledBy,
+      restaurantDecision: order.restaurantDecision,
+      refund: order.refund,
+    };
+    notifyCustomer(io, order.customerId, message);
+    if (order.courierId) notifyDeliveryPerson(io, order.courierId, 'orderCancelled', message);
+    // The kitchen drops the order from its queue (it knows about its own rejections)
+    if (order.managerId && order.cancelledBy !== 'Manager') {
+      notifyRestaurantManager(io, order.managerId, message, 'orderCancelled');
+    }
+  }));
+};
@@ -23,3 +23,4 @@ if (process.env.FIREBASE_PRIVATE_KEY) {
 }
 
 export const db = admin.apps.length > 0 ? admin.database() : null;
+export const messaging = admin.apps.length > 0 ? admin.messaging() : null;
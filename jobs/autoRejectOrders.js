@@ -0,0 +1,44 @@
+import Order from '../models/Order.js';
+import Restaurant from '../models/restaurantModel.js';
+import { cancelAndRefund } from '../controllers/orderController.js';
+
+const CHECK_INTERVAL_MS = 30 * 1000;
+
+// Reject released orders the restaurant hasn't accepted within the timeout
+export const autoRejectStaleOrders = async () => {
+  const releasedBefore = new Date(Date.now() - Order.acceptTimeoutMs());
+
+  const staleOrders = await Order.find({
+    orderStatus: 'Pending',
+    releasedAt: { $lte: releasedBefore },
+    'restaurantDecision.outcome': null, // the restaurant has not answered yet
+  });
+
+  let rejected = 0;
+  for (const order of staleOrders) {
+    // Conditional on Pending, so an accept that lands first wins
+    const result = await cancelAndRefund(order, {
+      reasonCode: Order.AUTO_REJECT_REASON,
+      extraSet: {
+        restaurantDecision: order.buildRestaurantDecision('AutoRejected', { reasonCode: Order.AUTO_REJECT_REASON }),
+      },
+    });
+    if (!result) continue;
+
+    await Restaurant.recordOrderDecision(order.restaurantId, 'AutoRejected');
+    rejected += 1;
+    console.log(`⏰ Auto-rejected order ${order._id}: not accepted within the timeout`);
+  }
+
+  return rejected;
+};
+
+export const startAutoRejectJob = () => {
+  const timer = setInterval(() => {
+    autoRejectStaleOrders().catch((err) => {
+      console.error('❌ Error auto-rejecting orders:', err.message);
+    });
+  }, CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,18 @@
+import { expireDispatchOffers, dispatchDueOrders } from '../utils/dispatcher.js';
+
+const CHECK_INTERVAL_MS = 5 * 1000;
+
+// Move timed-out courier offers on to the next courier, and start dispatch for
+// orders nearly ready in the kitchen
+export const startDispatchOfferJob = () => {
+  const timer = setInterval(() => {
+    expireDispatchOffers().catch((err) => {
+      console.error('❌ Error expiring dispatch offers:', err.message);
+    });
+    dispatchDueOrders().catch((err) => {
+      console.error('❌ Error dispatching due orders:', err.message);
+    });
+  }, CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,47 @@
+import Order from '../models/Order.js';
+import RestaurantPayout from '../models/RestaurantPayout.js';
+
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Settlement weeks run Monday 00:00 to Monday 00:00 Addis Ababa time (UTC+3, no DST)
+const ADDIS_OFFSET_MS = 3 * 60 * 60 * 1000;
+
+// The most recent full settlement week before `now`
+export const lastSettlementWeek = (now = new Date()) => {
+  const local = new Date(now.getTime() + ADDIS_OFFSET_MS);
+  const daysSinceMonday = (local.getUTCDay() + 6) % 7;
+  const mondayLocal = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() - daysSinceMonday);
+  const periodEnd = new Date(mondayLocal - ADDIS_OFFSET_MS);
+  return { periodStart: new Date(periodEnd.getTime() - 7 * DAY_MS), periodEnd };
+};
+
+// Create last week's payouts; the unique period index makes re-runs no-ops
+export const generateWeeklyPayouts = async (now = new Date()) => {
+  const { periodStart, periodEnd } = lastSettlementWeek(now);
+  const restaurantIds = await Order.distinct('restaurantId', {
+    orderStatus: 'Completed',
+    'transaction.status': 'Paid',
+    payoutId: null,
+    createdAt: { $lt: periodEnd },
+  });
+
+  let created = 0;
+  for (const restaurantId of restaurantIds) {
+    const payout = await RestaurantPayout.generate({ restaurantId, periodStart, periodEnd });
+    if (payout) {
+      created += 1;
+      console.log(`💰 Payout ${payout._id} for restaurant ${restaurantId}: ${payout.netPayout} ETB`);
+    }
+  }
+  return created;
+};
+
+export const startPayoutJob = () => {
+  const timer = setInterval(() => {
+    generateWeeklyPayouts().catch((err) => {
+      console.error('❌ Error generating payouts:', err.message);
+    });
+  }, CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,139 @@
+import Order from '../models/Order.js';
+import Checkout from '../models/Checkout.js';
+import WalletTopUp from '../models/WalletTopUp.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import PaymentDiscrepancy from '../models/PaymentDiscrepancy.js';
+import { applyPaymentStatus } from '../controllers/orderController.js';
+import { getPaymentProvider, ON_DELIVERY_METHODS } from '../utils/paymentProviders.js';
+import { checkoutAmountDue, orderAmountDue, topUpAmountDue, checkPaidAmount } from '../utils/paymentAmount.js';
+
+const CHECK_INTERVAL_MS = parseFloat(process.env.PAYMENT_RECONCILE_INTERVAL_MINUTES || '5') * 60 * 1000;
+const RECONCILE_AFTER_MINUTES = parseFloat(process.env.PAYMENT_RECONCILE_AFTER_MINUTES || '15');
+const EXPIRE_AFTER_MINUTES = parseFloat(process.env.PAYMENT_EXPIRE_AFTER_MINUTES || '120');
+const BATCH_SIZE = 50;
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+// Pending online checkouts, wallet top-ups and legacy single-order payments, least recently checked first
+const findStuckPayments = async () => {
+  const olderThan = minutesAgo(RECONCILE_AFTER_MINUTES);
+  const byLastCheck = { 'transaction.lastReconciledAt': 1, createdAt: 1 };
+  const stuck = {
+    'transaction.status': 'Pending',
+    'transaction.method': { $nin: ON_DELIVERY_METHODS }, // cash is settled by the courier
+    createdAt: { $lte: olderThan }
+  };
+
+  const checkouts = await Checkout.find(stuck)
+    .sort(byLastCheck)
+    .limit(BATCH_SIZE);
+  const orders = await Order.find(
+    { ...stuck, checkoutId: { $exists: false } },
+    null,
+    { bypassPaidFilter: true }
+  )
+    .sort(byLastCheck)
+    .limit(BATCH_SIZE);
+  const topUps = await WalletTopUp.find(stuck).sort(byLastCheck).limit(BATCH_SIZE);
+
+  return [
+    ...checkouts.map((checkout) => ({
+      txRef: checkout.transaction.txRef,
+      method: checkout.transaction.method,
+      model: Checkout,
+      doc: checkout,
+      ids: { checkoutId: checkout._id },
+      expectedAmount: checkoutAmountDue(checkout)
+    })),
+    ...orders.map((order) => ({
+      txRef: `order-${order._id}`,
+      method: order.transaction.method,
+      model: Order,
+      doc: order,
+      ids: { orderId: order._id },
+      expectedAmount: orderAmountDue(order)
+    })),
+    ...topUps.map((topUp) => ({
+      txRef: topUp.transaction.txRef,
+      method: topUp.transaction.method,
+      model: WalletTopUp,
+      doc: topUp,
+      ids: { topUpId: topUp._id },
+      expectedAmount: topUpAmountDue(topUp)
+    }))
+  ];
+};
+
+const reconcileOne = async ({ txRef, method, model, doc, ids, expectedAmount }) => {
+  await model.updateOne({ _id: doc._id }, { $set: { 'transaction.lastReconciledAt': new Date() } });
+
+  let verification;
+  try {
+    verification = await getPaymentProvider(method).verify(txRef);
+  } catch (err) {
+    await PaymentDiscrepancy.record({ txRef, kind: 'VerifyError', ...ids, localStatus: 'Pending', details: err.message });
+    return 'error';
+  }
+
+  if (!verification) return 'pending';
+  let newStatus = verification.status;
+
+  // Never release food for a payment that doesn't match what we charged
+  if (newStatus === 'Paid' && !(await checkPaidAmount({ txRef, method, verification, expectedAmount, ids }))) {
+    return 'mismatch';
+  }
+
+  // Customer never finished paying
+  if (newStatus === 'Pending' && doc.createdAt <= minutesAgo(EXPIRE_AFTER_MINUTES)) {
+    newStatus = 'Expired';
+  }
+  if (newStatus === 'Pending') return 'pending';
+
+  const result = await applyPaymentStatus(txRef, newStatus, verification.refId);
+  await WebhookEvent.create({
+    provider: method,
+    source: 'reconciler',
+    txRef,
+    refId: verification.refId,
+    providerStatus: verification.providerStatus,
+    payload: verification.data,
+    outcome: result.applied ? 'Processed' : 'Duplicate',
+    previousStatus: result.previousStatus,
+    resultingStatus: result.applied ? newStatus : result.previousStatus
+  });
+
+  // A transient verify error is settled once the provider answers
+  await PaymentDiscrepancy.updateMany(
+    { txRef, kind: 'VerifyError', resolvedAt: null },
+    { $set: { resolvedAt: new Date(), resolutionNote: `Auto-resolved: ${newStatus}` } }
+  );
+
+  if (result.applied) console.log(`🔁 Reconciled ${txRef}: Pending → ${newStatus}`);
+  return newStatus;
+};
+
+// Verify payments whose webhook never arrived
+export const reconcilePendingPayments = async () => {
+  const stuck = await findStuckPayments();
+  const summary = {};
+  for (const payment of stuck) {
+    try {
+      const outcome = await reconcileOne(payment);
+      summary[outcome] = (summary[outcome] || 0) + 1;
+    } catch (err) {
+      console.error(`❌ Error reconciling ${payment.txRef}:`, err.message);
+      summary.error = (summary.error || 0) + 1;
+    }
+  }
+  return summary;
+};
+
+export const startPaymentReconciliationJob = () => {
+  const timer = setInterval(() => {
+    reconcilePendingPayments().catch((err) => {
+      console.error('❌ Error reconciling payments:', err.message);
+    });
+  }, CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
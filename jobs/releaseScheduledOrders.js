@@ -0,0 +1,39 @@
+import Order from '../models/Order.js';
+import { notifyManagerOfPaidOrder } from '../controllers/orderController.js';
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// Release paid pre-orders whose scheduled time is within the lead time
+export const releaseDueScheduledOrders = async () => {
+  const releaseBefore = new Date(Date.now() + Order.scheduledLeadTimeMs());
+
+  const dueOrders = await Order.find({
+    scheduledFor: { $lte: releaseBefore },
+    releasedAt: { $exists: false },
+    orderStatus: 'Pending',
+  });
+
+  for (const order of dueOrders) {
+    // Claim the order atomically so a second instance can't release it twice
+    const { modifiedCount } = await Order.updateOne(
+      { _id: order._id, releasedAt: { $exists: false } },
+      { $set: { releasedAt: new Date() } }
+    );
+    if (modifiedCount === 0) continue;
+
+    await notifyManagerOfPaidOrder(order);
+    console.log(`🕒 Released scheduled order ${order._id} (due ${order.scheduledFor.toISOString()})`);
+  }
+
+  return dueOrders.length;
+};
+
+export const startScheduledOrderJob = () => {
+  const timer = setInterval(() => {
+    releaseDueScheduledOrders().catch((err) => {
+      console.error('❌ Error releasing scheduled orders:', err.message);
+    });
+  }, CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
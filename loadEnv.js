@@ -0,0 +1,6 @@
+// Imported first by the entry points. ES modules run all their imports before
+// the importing file's own code, and several modules read settings from
+// process.env when they load, so config.env has to be read before any of them.
+import dotenv from 'dotenv';
+
+dotenv.config({ path: './config.env' });
@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+/**
+ * Cart Schema for MongoDB using Mongoose
+ * One persisted cart per user; items may come from several restaurants and
+ * are split into one Order per restaurant at checkout.
+ * @module models/Cart
+ */
+const cartItemSchema = new mongoose.Schema(
+  {
+    foodId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Food',
+      required: [true, 'Cart item must reference a food']
+    },
+    restaurantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Restaurant',
+      required: [true, 'Cart item must reference a restaurant']
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1'],
+      max: [50, 'Quantity must not exceed 50']
+    },
+    selectedOptions: [
+      {
+        _id: false,
+        groupId: { type: mongoose.Schema.Types.ObjectId, required: true },
+        optionId: { type: mongoose.Schema.Types.ObjectId, required: true }
+      }
+    ],
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }
+);
+
+const cartSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true
+    },
+    items: {
+      type: [cartItemSchema],
+      default: []
+    }
+  },
+  { timestamps: true }
+);
+
+/**
+ * Stable key for a food + option combination so identical lines merge
+ */
+cartSchema.statics.selectionKey = function (foodId, selectedOptions = []) {
+  const options = selectedOptions
+    .map((o) => `${o.groupId}:${o.optionId}`)
+    .sort()
+    .join(',');
+  return `${foodId}|${options}`;
+};
+
+/**
+ * Find the user's cart, creating an empty one on first use
+ */
+cartSchema.statics.findOrCreateForUser = async function (userId) {
+  const cart = await this.findOne({ userId });
+  if (cart) return cart;
+  return this.create({ userId, items: [] });
+};
+
+const Cart = mongoose.model('Cart', cartSchema);
+
+export default Cart;
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+import { PAYMENT_METHODS, DEFAULT_PAYMENT_METHOD } from '../utils/paymentProviders.js';
+
+/**
+ * Checkout Schema for MongoDB using Mongoose
+ * Parent record for one customer payment. A checkout fans out into one
+ * child Order per restaurant; the single payment transaction lives here.
+ * @module models/Checkout
+ */
+const checkoutSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    orders: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+      }
+    ],
+    foodTotal: { type: mongoose.Schema.Types.Decimal128, required: true },
+    deliveryFee: { type: mongoose.Schema.Types.Decimal128, default: 0 },
+    tip: { type: mongoose.Schema.Types.Decimal128, default: 0 },
+    discount: { type: mongoose.Schema.Types.Decimal128, default: 0 },
+    totalPrice: { type: mongoose.Schema.Types.Decimal128, required: true },
+    // Paid from the customer's wallet; the provider is charged the rest
+    walletAmount: { type: mongoose.Schema.Types.Decimal128, default: 0 },
+    transaction: {
+      method: {
+        type: String,
+        enum: PAYMENT_METHODS,
+        default: DEFAULT_PAYMENT_METHOD
+      },
+      status: {
+        type: String,
+        enum: ['Pending', 'Paid', 'Failed', 'Expired', 'Refunded'],
+        default: 'Pending'
+      },
+      txRef: { type: String, unique: true, sparse: true },
+      refId: { type: String, unique: true, sparse: true },
+      lastReconciledAt: { type: Date }
+    }
+  },
+  { timestamps: true }
+);
+
+checkoutSchema.index({ 'transaction.status': 1, createdAt: 1 });
+
+const Checkout = mongoose.model('Checkout', checkoutSchema);
+
+export default Checkout;
@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+
+/**
+ * CourierEarning Schema for MongoDB using Mongoose
+ * Ledger of what a courier earned (and owes) per delivery. Amounts are signed:
+ * cash collected on cash-on-delivery orders is recorded as a negative entry,
+ * since the courier already holds that money.
+ * @module models/CourierEarning
+ */
+
+const DELIVERY_FEE_SHARE = parseFloat(process.env.COURIER_DELIVERY_FEE_SHARE || '0.8');
+
+const courierEarningSchema = new mongoose.Schema(
+  {
+    courierId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    type: {
+      type: String,
+      enum: ['DeliveryFee', 'Tip', 'Bonus', 'CashCollected', 'Adjustment'],
+      required: true
+    },
+    amount: { type: mongoose.Schema.Types.Decimal128, required: true },
+    earnedAt: { type: Date, default: Date.now },
+    note: { type: String, trim: true, maxlength: 500 },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+
+    // Set once the entry is included in a payout request
+    payoutRequestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CourierPayoutRequest',
+      default: null
+    }
+  },
+  { timestamps: true }
+);
+
+courierEarningSchema.index({ courierId: 1, earnedAt: -1 });
+courierEarningSchema.index({ courierId: 1, payoutRequestId: 1 });
+// One entry of each kind per order
+courierEarningSchema.index(
+  { orderId: 1, type: 1 },
+  { unique: true, partialFilterExpression: { orderId: { $type: 'objectId' } } }
+);
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const toNumber = (value) => parseFloat(value?.toString() || '0');
+const toDecimal = (n) => mongoose.Types.Decimal128.fromString(n.toFixed(2));
+
+/**
+ * Record the courier's earnings for a completed delivery: their share of the
+ * delivery fee, the full tip, and any cash they collected. Safe to call twice.
+ */
+courierEarningSchema.statics.recordDelivery = async function (order, { cashCollected = 0 } = {}) {
+  if (!order.deliveryId) return [];
+  const earnedAt = new Date();
+  const entries = [
+    { type: 'DeliveryFee', amount: round2(toNumber(order.deliveryFee) * DELIVERY_FEE_SHARE) },
+    { type: 'Tip', amount: round2(toNumber(order.tip)) },
+    { type: 'CashCollected', amount: -round2(cashCollected) }
+  ].filter((entry) => entry.amount !== 0);
+
+  const ops = entries.map((entry) => ({
+    updateOne: {
+      filter: { orderId: order._id, type: entry.type },
+      update: {
+        $setOnInsert: {
+          courierId: order.deliveryId,
+          orderId: order._id,
+          type: entry.type,
+          amount: toDecimal(entry.amount),
+          earnedAt
+        }
+      },
+      upsert: true
+    }
+  }));
+  if (ops.length > 0) await this.bulkWrite(ops);
+  return entries;
+};
+
+// Unclaimed balance a courier can request a payout for
+courierEarningSchema.statics.availableBalance = async function (courierId) {
+  const [totals] = await this.aggregate([
+    { $match: { courierId: new mongoose.Types.ObjectId(courierId.toString()), payoutRequestId: null } },
+    { $group: { _id: null, amount: { $sum: '$amount' }, entries: { $sum: 1 } } }
+  ]);
+  return { amount: round2(toNumber(totals?.amount)), entries: totals?.entries || 0 };
+};
+
+courierEarningSchema.statics.DELIVERY_FEE_SHARE = DELIVERY_FEE_SHARE;
+
+const CourierEarning = mongoose.model('CourierEarning', courierEarningSchema);
+
+export default CourierEarning;
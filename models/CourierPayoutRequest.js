@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+/**
+ * CourierPayoutRequest Schema for MongoDB using Mongoose
+ * A courier asking to be paid their unclaimed earnings; admins approve or reject.
+ * @module models/CourierPayoutRequest
+ */
+const courierPayoutRequestSchema = new mongoose.Schema(
+  {
+    courierId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    amount: { type: mongoose.Schema.Types.Decimal128, default: 0 },
+    entryCount: { type: Number, default: 0 },
+
+    // Where to send the money
+    payoutMethod: {
+      type: String,
+      enum: ['Telebirr', 'BankTransfer', 'Cash'],
+      required: [true, 'Payout method is required']
+    },
+    accountNumber: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Account number must not exceed 50 characters']
+    },
+
+    status: {
+      type: String,
+      enum: ['Pending', 'Approved', 'Rejected'],
+      default: 'Pending'
+    },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date },
+    paymentReference: { type: String, trim: true, maxlength: 100 },
+    rejectionReason: { type: String, trim: true, maxlength: 500 }
+  },
+  { timestamps: true }
+);
+
+courierPayoutRequestSchema.index({ status: 1, createdAt: -1 });
+
+const CourierPayoutRequest = mongoose.model('CourierPayoutRequest', courierPayoutRequestSchema);
+
+export default CourierPayoutRequest;
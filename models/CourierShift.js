@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+/**
+ * CourierShift Schema for MongoDB using Mongoose
+ * One working session of a courier, from shift start to shift end. Time spent
+ * paused is kept separately so reports can tell online hours from clocked hours.
+ * @module models/CourierShift
+ */
+const courierShiftSchema = new mongoose.Schema(
+  {
+    courierId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['Open', 'Closed'],
+      default: 'Open'
+    },
+    startedAt: { type: Date, default: Date.now },
+    endedAt: { type: Date, default: null },
+    pauses: [
+      {
+        _id: false,
+        startedAt: { type: Date, required: true },
+        endedAt: { type: Date, default: null }
+      }
+    ],
+
+    // Filled in when the shift closes
+    onlineMinutes: { type: Number, default: 0 },
+    pausedMinutes: { type: Number, default: 0 }
+  },
+  { timestamps: true }
+);
+
+courierShiftSchema.index({ courierId: 1, startedAt: -1 });
+// At most one open shift per courier
+courierShiftSchema.index(
+  { courierId: 1 },
+  { unique: true, partialFilterExpression: { status: 'Open' } }
+);
+
+const MINUTE_MS = 60 * 1000;
+
+// Online and paused minutes so far (up to `now` for a shift still open)
+courierShiftSchema.methods.durations = function (now = new Date()) {
+  const end = this.endedAt || now;
+  const pausedMs = this.pauses.reduce(
+    (sum, pause) => sum + ((pause.endedAt || end).getTime() - pause.startedAt.getTime()),
+    0
+  );
+  const totalMs = Math.max(end.getTime() - this.startedAt.getTime(), 0);
+  return {
+    onlineMinutes: Math.round(Math.max(totalMs - pausedMs, 0) / MINUTE_MS),
+    pausedMinutes: Math.round(pausedMs / MINUTE_MS)
+  };
+};
+
+courierShiftSchema.methods.isPaused = function () {
+  const last = this.pauses[this.pauses.length - 1];
+  return Boolean(last && !last.endedAt);
+};
+
+courierShiftSchema.statics.findOpen = function (courierId) {
+  return this.findOne({ courierId, status: 'Open' });
+};
+
+const CourierShift = mongoose.model('CourierShift', courierShiftSchema);
+
+export default CourierShift;
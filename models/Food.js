@@ -1,4 +1,37 @@
 import mongoose from 'mongoose';
+import { buildSearchFields } from '../utils/search.js';
+
+// --- Option sub-schemas (sizes, extras, spice level, ...) ---
+const foodOptionSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  priceDelta: { type: Number, default: 0 },
+  isAvailable: { type: Boolean, default: true }
+});
+
+const optionGroupSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true }, // e.g. "Size", "Extras"
+  required: { type: Boolean, default: false },
+  minSelections: { type: Number, default: 0, min: 0 },
+  maxSelections: { type: Number, default: 1, min: 1 },
+  options: {
+    type: [foodOptionSchema],
+    validate: {
+      validator: (options) => options.length > 0,
+      message: 'An option group needs at least one option'
+    }
+  }
+});
+
+optionGroupSchema.pre('validate', function (next) {
+  if (this.required && this.minSelections < 1) this.minSelections = 1;
+  if (this.minSelections > this.maxSelections) {
+    return next(new Error(`Option group "${this.name}": minSelections cannot exceed maxSelections`));
+  }
+  if (this.minSelections > this.options.length) {
+    return next(new Error(`Option group "${this.name}": minSelections cannot exceed the number of options`));
+  }
+  next();
+});
 
 const foodSchema = new mongoose.Schema({
   foodName: { type: String, required: true, trim: true },
@@ -9,8 +42,11 @@ const foodSchema = new mongoose.Schema({
   rating: { type: Number, default: 0 },
   imageCover: { type: String },
   isFeatured: { type: Boolean, default: false },
+  optionGroups: { type: [optionGroupSchema], default: [] },
+  // A dish can sit in several categories (e.g. "Breakfast" and "Vegetarian")
+  categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'FoodCategory' }],
+
 
-  
   menuId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'FoodMenu',
@@ -20,7 +56,97 @@ const foodSchema = new mongoose.Schema({
     type: String,
     enum: ['Available', 'Unavailable'],
     default: 'Available'
-  }
+  },
+
+  // Search: normalized/transliterated words for the text index, name prefixes for autocomplete
+  searchKeywords: { type: [String], select: false },
+  searchPrefixes: { type: [String], select: false, index: true }
 }, { timestamps: true });
 
+foodSchema.index({ categories: 1, status: 1 });
+foodSchema.index(
+  { foodName: 'text', ingredients: 'text', searchKeywords: 'text' },
+  { weights: { foodName: 10, ingredients: 3, searchKeywords: 2 }, default_language: 'none', name: 'food_search' }
+);
+
+const foodSearchFields = (food) => buildSearchFields([food.foodName, food.ingredients], [food.foodName]);
+
+// Keep the search fields in step with the name and ingredients
+foodSchema.pre('save', function (next) {
+  if (this.isNew || this.isModified('foodName') || this.isModified('ingredients')) {
+    Object.assign(this, foodSearchFields(this));
+  }
+  next();
+});
+
+foodSchema.post('findOneAndUpdate', async function (doc) {
+  const update = this.getUpdate() || {};
+  const changed = { ...update, ...update.$set };
+  if (!doc || !('foodName' in changed || 'ingredients' in changed)) return;
+  const food = await this.model.findById(doc._id).select('foodName ingredients');
+  if (food) await this.model.updateOne({ _id: food._id }, { $set: foodSearchFields(food) });
+});
+
+foodSchema.statics.searchFieldsFor = foodSearchFields;
+
+// --- Validate a customer's option selection and price it from the current menu ---
+// selectedOptions: [{ groupId, optionId }]
+foodSchema.methods.priceSelection = function (selectedOptions = []) {
+  if (!Array.isArray(selectedOptions)) {
+    throw new Error(`Selected options for ${this.foodName} must be an array.`);
+  }
+
+  const chosenByGroup = new Map(); // groupId -> Set of optionIds
+  for (const selection of selectedOptions) {
+    const group = this.optionGroups.id(selection?.groupId);
+    if (!group) {
+      throw new Error(`Invalid option group for ${this.foodName}: ${selection?.groupId}`);
+    }
+    const option = group.options.id(selection.optionId);
+    if (!option) {
+      throw new Error(`Invalid option for "${group.name}" on ${this.foodName}: ${selection.optionId}`);
+    }
+    if (!option.isAvailable) {
+      throw new Error(`"${option.name}" is currently unavailable for ${this.foodName}.`);
+    }
+
+    const key = group._id.toString();
+    if (!chosenByGroup.has(key)) chosenByGroup.set(key, new Set());
+    chosenByGroup.get(key).add(option._id.toString());
+  }
+
+  let unitPrice = this.price;
+  const options = [];
+  for (const group of this.optionGroups) {
+    const chosen = chosenByGroup.get(group._id.toString()) || new Set();
+    const min = group.required ? Math.max(group.minSelections, 1) : group.minSelections;
+
+    if (chosen.size < min) {
+      throw new Error(`Please choose at least ${min} option(s) for "${group.name}" on ${this.foodName}.`);
+    }
+    if (chosen.size > group.maxSelections) {
+      throw new Error(`Choose at most ${group.maxSelections} option(s) for "${group.name}" on ${this.foodName}.`);
+    }
+
+    group.options
+      .filter((option) => chosen.has(option._id.toString()))
+      .forEach((option) => {
+        unitPrice += option.priceDelta;
+        options.push({
+          groupId: group._id,
+          groupName: group.name,
+          optionId: option._id,
+          optionName: option.name,
+          priceDelta: option.priceDelta
+        });
+      });
+  }
+
+  if (unitPrice < 0) {
+    throw new Error(`Invalid price for ${this.foodName} with the selected options.`);
+  }
+
+  return { unitPrice, options };
+};
+
 export default mongoose.model('Food', foodSchema);
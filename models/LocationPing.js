@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+/**
+ * LocationPing Schema for MongoDB using Mongoose
+ * Courier GPS fixes recorded while they carry an order, stored in a
+ * time-series collection so a delivery's route can be replayed later.
+ * @module models/LocationPing
+ */
+
+const RETENTION_DAYS = parseInt(process.env.LOCATION_HISTORY_RETENTION_DAYS || '180', 10);
+
+const locationPingSchema = new mongoose.Schema(
+  {
+    recordedAt: { type: Date, required: true, default: Date.now },
+    meta: {
+      orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+      courierId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+    },
+    lat: { type: Number, required: true, min: -90, max: 90 },
+    lng: { type: Number, required: true, min: -180, max: 180 },
+    accuracy: { type: Number }, // metres, as reported by the device
+    speed: { type: Number },
+    heading: { type: Number }
+  },
+  {
+    timeseries: { timeField: 'recordedAt', metaField: 'meta', granularity: 'seconds' },
+    expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60,
+    versionKey: false
+  }
+);
+
+locationPingSchema.index({ 'meta.orderId': 1, recordedAt: 1 });
+
+const LocationPing = mongoose.model('LocationPing', locationPingSchema);
+
+export default LocationPing;
@@ -1,23 +1,113 @@
 import mongoose from "mongoose";
 import Food from "./Food.js";          
 import Restaurant from '../models/restaurantModel.js';
+import Promotion from "./Promotion.js";
 import {computeDeliveryFee} from "../utils/computeDeliveryFee.js"; 
+import { PAYMENT_METHODS, DEFAULT_PAYMENT_METHOD, ON_DELIVERY_METHODS } from "../utils/paymentProviders.js";
 
 // --- Transaction sub-schema ---
 const transactionSchema = new mongoose.Schema({
   totalPrice: { type: mongoose.Schema.Types.Decimal128, required: true },
+  method: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    default: DEFAULT_PAYMENT_METHOD,
+  },
   status: {
     type: String,
-    enum: ["Pending", "Paid"],
+    enum: ["Pending", "Paid", "Failed", "Expired", "Refunded"],
     default: "Pending",
   },
   refId: { type: String, unique: true, sparse: true },
   createdAt: { type: Date, default: Date.now },
+  lastReconciledAt: { type: Date },
+  // Part of totalPrice paid from the customer's wallet
+  walletAmount: { type: mongoose.Schema.Types.Decimal128, default: 0 },
+  // Cash on delivery: the courier who confirmed collecting the cash
+  collectedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  collectedAt: { type: Date },
+  refund: {
+    type: { type: String, enum: ["Full", "Partial", "None"] },
+    amount: { type: mongoose.Schema.Types.Decimal128, default: 0 },
+    walletAmount: { type: mongoose.Schema.Types.Decimal128, default: 0 }, // credited to the wallet
+    status: { type: String, enum: ["Pending", "Succeeded", "Failed", "NotRequired"] },
+    reasonCode: { type: String },
+    providerRef: { type: String },
+    error: { type: String },
+    requestedAt: { type: Date },
+    processedAt: { type: Date },
+  },
 });
 
+// --- Payment status transitions a provider callback may apply ---
+const PAYMENT_TRANSITIONS = {
+  Paid: ["Pending", "Failed", "Expired"], // late success after a failed/expired attempt still counts
+  Failed: ["Pending"],
+  Expired: ["Pending"],
+  Refunded: ["Paid"],
+};
+
+// Orders customers actually paid for (refunded ones stay visible in history)
+const PAID_STATUSES = ["Paid", "Refunded"];
+
+// Orders that are live for kitchen/courier/customer: paid, or cash still to be collected
+const SETTLED_FILTER = {
+  $or: [
+    { "transaction.status": { $in: PAID_STATUSES } },
+    { "transaction.method": { $in: ON_DELIVERY_METHODS }, "transaction.status": "Pending" },
+  ],
+};
+
+// --- Cancellation reason codes, by who may use them ---
+const CANCELLATION_REASONS = {
+  Customer: ["CHANGED_MIND", "ORDERED_BY_MISTAKE", "TAKING_TOO_LONG", "OTHER"],
+  Manager: ["OUT_OF_STOCK", "RESTAURANT_CLOSED", "TOO_BUSY", "OTHER"],
+  Admin: [
+    "CHANGED_MIND",
+    "ORDERED_BY_MISTAKE",
+    "TAKING_TOO_LONG",
+    "OUT_OF_STOCK",
+    "RESTAURANT_CLOSED",
+    "TOO_BUSY",
+    "COURIER_UNAVAILABLE",
+    "CUSTOMER_UNREACHABLE",
+    "FRAUD_SUSPECTED",
+    "OTHER",
+  ],
+};
+
+// --- Why a restaurant declined an order (auto-reject uses NOT_ACCEPTED_IN_TIME) ---
+const REJECTION_REASONS = ["OUT_OF_STOCK", "TOO_BUSY", "CLOSING", "RESTAURANT_CLOSED", "OTHER"];
+const AUTO_REJECT_REASON = "NOT_ACCEPTED_IN_TIME";
+
+// Statuses each role may cancel from
+const CANCELLABLE_STATUSES = {
+  Customer: ["Pending", "Preparing"],
+  Manager: ["Pending", "Preparing", "Cooked"],
+  Admin: ["Pending", "Preparing", "Cooked", "Delivering"],
+};
+
+// --- Refund policy: by status, overridden when the platform side is at fault ---
+const REFUND_BY_STATUS = {
+  Pending: "Full",
+  Preparing: "Full",
+  Cooked: "Partial", // food is made: refund delivery fee and tip only
+  Delivering: "None",
+};
+const FULL_REFUND_REASONS = [
+  "OUT_OF_STOCK",
+  "RESTAURANT_CLOSED",
+  "TOO_BUSY",
+  "CLOSING",
+  "COURIER_UNAVAILABLE",
+  AUTO_REJECT_REASON,
+];
+const NO_REFUND_REASONS = ["FRAUD_SUSPECTED"];
+
 // --- Allowed order status transitions ---
+// The kitchen accepts a Pending order into Preparing before it can be Cooked
 const STATUS_FLOW = {
-  Pending: ["Cooked", "Cancelled"],
+  Pending: ["Preparing", "Cancelled"],
   Preparing: ["Cooked", "Cancelled"],
   Cooked: ["Delivering", "Cancelled"],
   Delivering: ["Completed", "Cancelled"],
@@ -25,6 +115,42 @@ const STATUS_FLOW = {
   Cancelled: []
 };
 
+const canTransition = (from, to) => Boolean(STATUS_FLOW[from]?.includes(to));
+
+// Statuses in which an order holds its courier
+const ACTIVE_DELIVERY_STATUSES = ["Preparing", "Cooked", "Delivering"];
+
+// --- Status history entry: append-only record of every status transition ---
+const STATUS_CHANGE_SOURCES = ["REST", "Socket", "System"];
+
+const statusHistorySchema = new mongoose.Schema(
+  {
+    from: { type: String, default: null }, // null for the entry written at creation
+    to: { type: String, required: true },
+    at: { type: Date, required: true },
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    actorRole: {
+      type: String,
+      enum: ["Customer", "Manager", "Delivery_Person", "Admin", "System"],
+      default: "System",
+    },
+    source: { type: String, enum: STATUS_CHANGE_SOURCES, default: "System" },
+    note: { type: String, maxlength: 500 },
+  },
+  { _id: false }
+);
+
+// change: { actor (user doc, omitted for system jobs), source, note }
+const buildStatusEntry = (from, to, { actor, source = "System", note } = {}) => ({
+  from: from || null,
+  to,
+  at: new Date(),
+  actorId: actor?._id || null,
+  actorRole: actor?.role || "System",
+  source,
+  ...(note ? { note } : {}),
+});
+
 // --- Order schema ---
 const orderSchema = new mongoose.Schema(
   {
@@ -45,11 +171,31 @@ const orderSchema = new mongoose.Schema(
         price: { type: mongoose.Schema.Types.Decimal128, required: true, min: 0 },
         name: { type: String, required: true },
         foodImage: { type: String },
+        // Snapshot of the chosen options; price above already includes their deltas
+        selectedOptions: [
+          {
+            _id: false,
+            groupId: { type: mongoose.Schema.Types.ObjectId },
+            groupName: { type: String },
+            optionId: { type: mongoose.Schema.Types.ObjectId },
+            optionName: { type: String },
+            priceDelta: { type: Number, default: 0 },
+          },
+        ],
       },
     ],
     foodTotal: { type: mongoose.Schema.Types.Decimal128, required: true },
     deliveryFee: { type: mongoose.Schema.Types.Decimal128, default: 0 },
     tip: { type: mongoose.Schema.Types.Decimal128, default: 0, min: 0 },
+    // Promo discount: totalPrice = foodTotal + deliveryFee + tip - discount.amount
+    discount: {
+      promotionId: { type: mongoose.Schema.Types.ObjectId, ref: "Promotion", index: true },
+      code: { type: String },
+      discountType: { type: String, enum: ["Percentage", "Fixed", "FreeDelivery"] },
+      foodDiscount: { type: mongoose.Schema.Types.Decimal128, default: 0 },
+      deliveryDiscount: { type: mongoose.Schema.Types.Decimal128, default: 0 },
+      amount: { type: mongoose.Schema.Types.Decimal128, default: 0 },
+    },
     totalPrice: { type: mongoose.Schema.Types.Decimal128, required: true },
 
     typeOfOrder: {
@@ -76,6 +222,10 @@ const orderSchema = new mongoose.Schema(
     },
     description: { type: String },
 
+    // Pre-orders: held out of the manager's live queue until releasedAt is set
+    scheduledFor: { type: Date, index: true },
+    releasedAt: { type: Date },
+
     restaurantId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Restaurant",
@@ -94,6 +244,13 @@ const orderSchema = new mongoose.Schema(
       ref: "Delivery",
     },
 
+    // Parent checkout when the order was placed as part of a multi-restaurant cart
+    checkoutId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Checkout",
+      index: true,
+    },
+
     orderCode: { type: String, unique: true, sparse: true },
     userVerificationCode: { type: String },
     deliveryVerificationCode: { type: String },
@@ -103,10 +260,102 @@ const orderSchema = new mongoose.Schema(
       type: transactionSchema,
       required: true,
     },
+
+    // Restaurant settlement this order was paid out in
+    payoutId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RestaurantPayout",
+      default: null,
+      index: true,
+    },
+
+    cancellation: {
+      reasonCode: { type: String },
+      note: { type: String, maxlength: 500 },
+      cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      role: { type: String, enum: ["Customer", "Manager", "Admin", "System"] },
+      previousStatus: { type: String },
+      cancelledAt: { type: Date },
+    },
+
+    // Delivery milestones: manual steps plus geofence arrivals
+    deliveryTimeline: {
+      acceptedAt: { type: Date },
+      arrivedAtRestaurantAt: { type: Date }, // geofence around restaurantLocation
+      pickedUpAt: { type: Date },
+      arrivingAt: { type: Date }, // geofence around destinationLocation
+      deliveredAt: { type: Date },
+    },
+
+    // Restaurant's answer to a released order; rejections cancel it with a refund
+    restaurantDecision: {
+      outcome: { type: String, enum: ["Accepted", "Rejected", "AutoRejected"] },
+      decidedAt: { type: Date },
+      decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      reasonCode: { type: String },
+      responseSeconds: { type: Number, min: 0 }, // from release to decision
+    },
+
+    // Kitchen: set when the restaurant accepts the order (Pending → Preparing)
+    preparation: {
+      acceptedAt: { type: Date },
+      prepMinutes: { type: Number, min: 0 },
+      estimatedReadyAt: { type: Date },
+      bumps: [
+        {
+          _id: false,
+          at: { type: Date },
+          byId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+          minutes: { type: Number }, // shift applied to the estimate (negative = earlier)
+          reason: { type: String, maxlength: 200 },
+        },
+      ],
+    },
+
+    // Every status transition, oldest first; only ever appended to
+    statusHistory: { type: [statusHistorySchema], default: [] },
+
+    // Courier dispatch: offered to the nearest couriers one at a time, then broadcast
+    dispatch: {
+      status: { type: String, enum: ["Offering", "Broadcast", "Assigned"] },
+      currentCourierId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      offerExpiresAt: { type: Date, default: null },
+      broadcastAt: { type: Date },
+      offers: [
+        {
+          _id: false,
+          courierId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+          distanceKm: { type: Number },
+          offeredAt: { type: Date },
+          respondedAt: { type: Date },
+          outcome: {
+            type: String,
+            enum: ["Pending", "Accepted", "Rejected", "TimedOut", "Withdrawn"],
+            default: "Pending",
+          },
+          reason: { type: String, maxlength: 200 },
+        },
+      ],
+    },
   },
   { timestamps: true }
 );
 
+orderSchema.index({ "dispatch.status": 1, "dispatch.offerExpiresAt": 1 });
+orderSchema.index({ orderStatus: 1, "preparation.estimatedReadyAt": 1 });
+// A courier carries one order at a time: concurrent claims by the same courier fail here
+orderSchema.index(
+  { deliveryId: 1 },
+  {
+    unique: true,
+    name: "one_active_delivery_per_courier",
+    partialFilterExpression: {
+      deliveryId: { $type: "objectId" },
+      orderStatus: { $in: ACTIVE_DELIVERY_STATUSES },
+    },
+  }
+);
+
 // --- Utility: Generate 6-digit verification code ---
 const generateVerificationCode = () => {
   return String(Math.floor(100000 + Math.random() * 900000));
@@ -122,8 +371,33 @@ const generateOrderCode = async function() {
   }
   return orderId;
 };
-// --- Static method: validate & compute order ---
-// --- Static method: validate & compute order ---
+
+// --- Static method: split cart items into one group per restaurant ---
+orderSchema.statics.groupItemsByRestaurant = async function (orderItems) {
+  if (!orderItems || orderItems.length === 0) {
+    throw new Error("No order items provided.");
+  }
+
+  const foodIds = orderItems.map((item) => item.foodId);
+  const foods = await Food.find({ _id: { $in: foodIds } }).populate("menuId");
+  const foodMap = new Map(foods.map((food) => [food._id.toString(), food]));
+
+  const groups = new Map(); // restaurantId -> orderItems
+  for (const item of orderItems) {
+    const food = foodMap.get(item.foodId?.toString());
+    if (!food) throw new Error(`Food item not found: ${item.foodId}`);
+    if (!food.menuId?.restaurantId) {
+      throw new Error(`Invalid menu data for food item: ${item.foodId}`);
+    }
+
+    const restaurantId = food.menuId.restaurantId.toString();
+    if (!groups.has(restaurantId)) groups.set(restaurantId, []);
+    groups.get(restaurantId).push(item);
+  }
+
+  return groups;
+};
+
 // --- Static method: validate & compute order ---
 orderSchema.statics.validateAndComputeOrder = async function ({
   orderItems,
@@ -132,6 +406,9 @@ orderSchema.statics.validateAndComputeOrder = async function ({
   destinationLocation,
   tip,
   description,
+  promoCode,
+  userId,
+  scheduledFor,
 }) {
   // --- Basic validation ---
   if (!orderItems || orderItems.length === 0) {
@@ -177,6 +454,23 @@ orderSchema.statics.validateAndComputeOrder = async function ({
     throw new Error("Description must be a string.");
   }
 
+  // Parse and validate scheduled time
+  let scheduledDate = null;
+  if (scheduledFor) {
+    scheduledDate = new Date(scheduledFor);
+    if (isNaN(scheduledDate.getTime())) {
+      throw new Error("scheduledFor must be a valid date.");
+    }
+    const minMinutes = parseInt(process.env.SCHEDULED_ORDER_MIN_MINUTES || "30", 10);
+    const maxDays = parseInt(process.env.SCHEDULED_ORDER_MAX_DAYS || "7", 10);
+    if (scheduledDate.getTime() < Date.now() + minMinutes * 60 * 1000) {
+      throw new Error(`Scheduled orders must be at least ${minMinutes} minutes in the future.`);
+    }
+    if (scheduledDate.getTime() > Date.now() + maxDays * 24 * 60 * 60 * 1000) {
+      throw new Error(`Orders can be scheduled at most ${maxDays} days ahead.`);
+    }
+  }
+
   // --- Food & restaurant validation ---
   let foodTotal = 0;
   let restaurantId = null;
@@ -200,7 +494,8 @@ orderSchema.statics.validateAndComputeOrder = async function ({
       throw new Error("All items must be from the same restaurant.");
     }
 
-    const priceNum = parseFloat(food.price.toString());
+    // Price options server-side against the current menu
+    const { unitPrice: priceNum, options } = food.priceSelection(item.selectedOptions);
     foodTotal += priceNum * item.quantity;
 
     // ✅ Normalize order item with correct values
@@ -210,12 +505,24 @@ orderSchema.statics.validateAndComputeOrder = async function ({
       price: mongoose.Types.Decimal128.fromString(priceNum.toFixed(2)),
       name: food.foodName,
       foodImage: food.image || "",
+      selectedOptions: options,
     });
   }
 
   const restaurant = await Restaurant.findById(restaurantId);
   if (!restaurant) throw new Error("Restaurant not found.");
 
+  // Pre-orders need the restaurant open at the requested time, others right now
+  const { isOpen, reason } = restaurant.openStatusAt(scheduledDate || new Date());
+  if (!isOpen) {
+    if (scheduledDate) throw new Error(`${restaurant.name} is closed at the requested time.`);
+    throw new Error(
+      reason === "Paused"
+        ? `${restaurant.name} has paused new orders. Please try again shortly.`
+        : `${restaurant.name} is closed right now.`
+    );
+  }
+
   const restaurantLocation = {
     lat: restaurant.location.coordinates[1],
     lng: restaurant.location.coordinates[0],
@@ -240,7 +547,7 @@ orderSchema.statics.validateAndComputeOrder = async function ({
   const totalPrice = foodTotal + deliveryFee + parsedTip;
 
   // ✅ Convert to Decimal128 before returning
-  return {
+  const computed = {
     orderItems: normalizedOrderItems,
     foodTotal: mongoose.Types.Decimal128.fromString(foodTotal.toFixed(2)),
     restaurantId,
@@ -254,9 +561,167 @@ orderSchema.statics.validateAndComputeOrder = async function ({
     totalPrice: mongoose.Types.Decimal128.fromString(totalPrice.toFixed(2)),
     typeOfOrder,
     description,
+    scheduledFor: scheduledDate,
     orderCode: await generateOrderCode.call(this),
     userVerificationCode: generateVerificationCode(),
   };
+
+  return promoCode ? this.applyPromotion(computed, { promoCode, userId }) : computed;
+};
+
+// --- Static method: apply a promo code to a computed order ---
+orderSchema.statics.applyPromotion = async function (computed, { promoCode, userId }) {
+  const toNumber = (value) => parseFloat(value?.toString() || "0");
+  const toDecimal = (value) => mongoose.Types.Decimal128.fromString(value.toFixed(2));
+
+  const discount = await Promotion.evaluate({
+    code: promoCode,
+    userId,
+    restaurantId: computed.restaurantId,
+    foodTotal: toNumber(computed.foodTotal),
+    deliveryFee: toNumber(computed.deliveryFee),
+  });
+
+  const totalPrice = Math.max(toNumber(computed.totalPrice) - discount.amount, 0);
+
+  return {
+    ...computed,
+    discount: {
+      ...discount,
+      foodDiscount: toDecimal(discount.foodDiscount),
+      deliveryDiscount: toDecimal(discount.deliveryDiscount),
+      amount: toDecimal(discount.amount),
+    },
+    totalPrice: toDecimal(totalPrice),
+  };
+};
+
+// --- Static method: is a scheduled order still outside the release lead time? ---
+orderSchema.statics.scheduledLeadTimeMs = function () {
+  return parseInt(process.env.SCHEDULED_ORDER_LEAD_MINUTES || "45", 10) * 60 * 1000;
+};
+
+// --- Static method: how long a restaurant has to accept a released order ---
+orderSchema.statics.acceptTimeoutMs = function () {
+  return parseInt(process.env.RESTAURANT_ACCEPT_TIMEOUT_MINUTES || "5", 10) * 60 * 1000;
+};
+
+// --- Static method: how long before the estimated ready time a courier is sent ---
+orderSchema.statics.dispatchLeadTimeMs = function () {
+  return parseFloat(process.env.DISPATCH_LEAD_MINUTES || "10") * 60 * 1000;
+};
+
+// --- Static method: orders couriers can be sent for: cooked, or due out of the kitchen soon ---
+orderSchema.statics.readyForPickupFilter = function (now = new Date()) {
+  return {
+    $or: [
+      { orderStatus: "Cooked" },
+      {
+        orderStatus: "Preparing",
+        "preparation.estimatedReadyAt": { $lte: new Date(now.getTime() + this.dispatchLeadTimeMs()) },
+      },
+    ],
+  };
+};
+
+// Restaurant decision fields for an accept/reject made now
+orderSchema.methods.buildRestaurantDecision = function (outcome, { by, reasonCode, now = new Date() } = {}) {
+  const releasedAt = this.releasedAt || this.createdAt;
+  return {
+    outcome,
+    decidedAt: now,
+    decidedBy: by || null,
+    ...(reasonCode ? { reasonCode } : {}),
+    responseSeconds: Math.max(Math.round((now.getTime() - releasedAt.getTime()) / 1000), 0),
+  };
+};
+
+orderSchema.methods.isHeldForSchedule = function (now = new Date()) {
+  if (!this.scheduledFor || this.releasedAt) return false;
+  return this.scheduledFor.getTime() - now.getTime() > this.constructor.scheduledLeadTimeMs();
+};
+
+// --- Static method: hand a delivery order to a courier in one conditional update ---
+// Couriers may claim it while it is still being prepared if it is due out of the kitchen
+// soon (readyForPickupFilter), so they arrive as it is ready.
+// Returns the updated order, or null if it was no longer available to this courier.
+orderSchema.statics.claimForDelivery = async function (orderId, courier) {
+  const { modifiedCount } = await this.updateOne(
+    {
+      _id: orderId,
+      typeOfOrder: "Delivery",
+      deliveryId: null,
+      deliveryVehicle: courier.deliveryMethod,
+      $and: [
+        SETTLED_FILTER,
+        this.readyForPickupFilter(),
+        // While an offer is out only the offered courier may take it
+        { $or: [{ "dispatch.status": { $ne: "Offering" } }, { "dispatch.currentCourierId": courier._id }] },
+      ],
+    },
+    {
+      $set: {
+        deliveryId: courier._id,
+        deliveryVerificationCode: generateVerificationCode(),
+        "deliveryTimeline.acceptedAt": new Date(),
+        "dispatch.status": "Assigned",
+        "dispatch.currentCourierId": null,
+        "dispatch.offerExpiresAt": null,
+      },
+    }
+  );
+  if (modifiedCount === 0) return null;
+  return this.findById(orderId).populate("userId", "_id");
+};
+
+// --- Status history: set a new status on a loaded order, recording who changed it ---
+// The pre-save hook appends the history entry.
+orderSchema.methods.setStatus = function (status, change = {}) {
+  this.orderStatus = status;
+  this.$locals.statusChange = change;
+  return this;
+};
+
+// For conditional updateOne() status changes: { $push: { statusHistory: entry } }
+orderSchema.statics.buildStatusEntry = buildStatusEntry;
+
+// For conditional updateOne() status changes, which skip the hooks that enforce STATUS_FLOW
+orderSchema.statics.canTransition = canTransition;
+
+// --- Statics: cancellation rules ---
+orderSchema.statics.PAYMENT_TRANSITIONS = PAYMENT_TRANSITIONS;
+orderSchema.statics.PAID_STATUSES = PAID_STATUSES;
+orderSchema.statics.ACTIVE_DELIVERY_STATUSES = ACTIVE_DELIVERY_STATUSES;
+orderSchema.statics.CANCELLATION_REASONS = CANCELLATION_REASONS;
+orderSchema.statics.CANCELLABLE_STATUSES = CANCELLABLE_STATUSES;
+orderSchema.statics.REJECTION_REASONS = REJECTION_REASONS;
+orderSchema.statics.AUTO_REJECT_REASON = AUTO_REJECT_REASON;
+
+// --- Method: decide refund type and amount for cancelling from the current status ---
+orderSchema.methods.decideRefund = function (reasonCode) {
+  const toNumber = (value) => parseFloat(value?.toString() || "0");
+
+  // Only money actually taken can go back: before cash is collected that is the wallet part
+  const paidSoFar =
+    this.transaction?.status === "Paid"
+      ? toNumber(this.totalPrice)
+      : toNumber(this.transaction?.walletAmount);
+
+  let type = REFUND_BY_STATUS[this.orderStatus] || "None";
+  if (FULL_REFUND_REASONS.includes(reasonCode)) type = "Full";
+  if (NO_REFUND_REASONS.includes(reasonCode)) type = "None";
+
+  let amount = 0;
+  if (type === "Full") {
+    amount = toNumber(this.totalPrice);
+  } else if (type === "Partial") {
+    const deliveryCharged = toNumber(this.deliveryFee) - toNumber(this.discount?.deliveryDiscount);
+    amount = Math.max(deliveryCharged, 0) + toNumber(this.tip);
+  }
+
+  amount = Math.round(Math.min(amount, paidSoFar) * 100) / 100;
+  if (amount <= 0) type = "None";
+  return { type, amount };
 };
 
 // --- Pre-update hook: only allow orderStatus & deliveryId updates ---
@@ -299,15 +764,20 @@ orderSchema.pre("findOneAndUpdate", async function (next) {
         return next(new Error("Cannot change status of a completed or cancelled order"));
       }
 
-      if (!STATUS_FLOW[currentStatus]?.includes(newStatus)) {
+      if (!canTransition(currentStatus, newStatus)) {
         return next(
           new Error(`Invalid status transition: ${currentStatus} → ${newStatus}`)
         );
       }
     }
 
-    // Re-apply sanitized update
-    this.setUpdate({ $set: update });
+    // Re-apply sanitized update, recording the transition (pass { statusChange } in the options)
+    if (update.orderStatus && update.orderStatus !== docToUpdate.orderStatus) {
+      const entry = buildStatusEntry(docToUpdate.orderStatus, update.orderStatus, this.getOptions().statusChange);
+      this.setUpdate({ $set: update, $push: { statusHistory: entry } });
+    } else {
+      this.setUpdate({ $set: update });
+    }
 
     next();
   } catch (err) {
@@ -315,18 +785,43 @@ orderSchema.pre("findOneAndUpdate", async function (next) {
   }
 });
 
-// --- Pre-find hook: ignore unpaid orders ---
-orderSchema.pre("find", function (next) {
-  // Only return orders where transaction.Status = "Paid"
-  this.where({ "transaction.status": "Paid" });
+// --- Status history is append-only: updates may $push to it, nothing else ---
+orderSchema.pre(["updateOne", "updateMany"], function (next) {
+  const update = this.getUpdate() || {};
+  const touchesHistory = (fields) => Object.keys(fields || {}).some((f) => f.startsWith("statusHistory"));
+  const rewrites = ["$set", "$unset", "$pull", "$pullAll", "$pop", "$rename"].some((op) => touchesHistory(update[op]));
+  if (rewrites || touchesHistory(update)) {
+    return next(new Error("Order status history can only be appended to"));
+  }
+  next();
+});
+
+// --- Remember the loaded status so save() can record where it came from ---
+orderSchema.post("init", function () {
+  this.$locals.loadedStatus = this.orderStatus;
+});
+
+// --- Pre-save hook: append a history entry on creation and on every status change ---
+orderSchema.pre("save", function (next) {
+  if (this.isNew) {
+    // Orders are placed by their customer
+    const change = this.$locals.statusChange || { actor: { _id: this.userId, role: "Customer" }, source: "REST" };
+    this.statusHistory.push(buildStatusEntry(null, this.orderStatus, change));
+  } else if (this.isModified("orderStatus") && this.orderStatus !== this.$locals.loadedStatus) {
+    if (!canTransition(this.$locals.loadedStatus, this.orderStatus)) {
+      return next(new Error(`Invalid status transition: ${this.$locals.loadedStatus} → ${this.orderStatus}`));
+    }
+    this.statusHistory.push(buildStatusEntry(this.$locals.loadedStatus, this.orderStatus, this.$locals.statusChange));
+  }
+  this.$locals.loadedStatus = this.orderStatus;
+  delete this.$locals.statusChange;
   next();
 });
 
-// (Optional) also for findOne
-// --- Pre-find hook: ignore unpaid orders (except when explicitly bypassed)
+// --- Pre-find hook: ignore unsettled orders (except when explicitly bypassed)
 orderSchema.pre(["find", "findOne"], function (next) {
   if (!this.getOptions().bypassPaidFilter) {
-    this.where({ "transaction.status": "Paid" });
+    this.and([SETTLED_FILTER]);
   }
   next();
 });
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+/**
+ * PaymentDiscrepancy Schema for MongoDB using Mongoose
+ * A payment the reconciler could not settle on its own. One open record per
+ * transaction and kind; repeat sightings bump `occurrences`.
+ * @module models/PaymentDiscrepancy
+ */
+const paymentDiscrepancySchema = new mongoose.Schema(
+  {
+    txRef: { type: String, required: true, index: true },
+    checkoutId: { type: mongoose.Schema.Types.ObjectId, ref: 'Checkout' },
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    topUpId: { type: mongoose.Schema.Types.ObjectId, ref: 'WalletTopUp' },
+    kind: {
+      type: String,
+      enum: ['AmountMismatch', 'VerifyError', 'WalletShortfall', 'UnexpectedRefund'],
+      required: true
+    },
+    localStatus: { type: String },
+    providerStatus: { type: String },
+    expectedAmount: { type: Number },
+    providerAmount: { type: Number },
+    details: { type: String },
+
+    occurrences: { type: Number, default: 1 },
+    lastSeenAt: { type: Date, default: Date.now },
+
+    resolvedAt: { type: Date, default: null },
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    resolutionNote: { type: String, maxlength: 500 }
+  },
+  { timestamps: true }
+);
+
+paymentDiscrepancySchema.index({ resolvedAt: 1, lastSeenAt: -1 });
+
+/**
+ * Open (or bump) the unresolved discrepancy for txRef + kind.
+ */
+paymentDiscrepancySchema.statics.record = function ({ txRef, kind, ...fields }) {
+  return this.findOneAndUpdate(
+    { txRef, kind, resolvedAt: null },
+    {
+      $set: { ...fields, lastSeenAt: new Date() },
+      $inc: { occurrences: 1 },
+      $setOnInsert: { txRef, kind }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const PaymentDiscrepancy = mongoose.model('PaymentDiscrepancy', paymentDiscrepancySchema);
+
+export default PaymentDiscrepancy;
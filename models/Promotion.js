@@ -0,0 +1,179 @@
+import mongoose from 'mongoose';
+
+/**
+ * Promotion Schema for MongoDB using Mongoose
+ * @module models/Promotion
+ */
+const promotionSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'Promo code is required'],
+      unique: true,
+      trim: true,
+      uppercase: true,
+      minlength: [3, 'Promo code must be at least 3 characters long'],
+      maxlength: [30, 'Promo code must not exceed 30 characters']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Description must not exceed 200 characters']
+    },
+
+    // Discount Rules
+    discountType: {
+      type: String,
+      enum: ['Percentage', 'Fixed', 'FreeDelivery'],
+      required: [true, 'Discount type is required']
+    },
+    value: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount value cannot be negative'],
+      validate: {
+        validator: function (v) {
+          return this.discountType !== 'Percentage' || v <= 100;
+        },
+        message: 'Percentage discount must not exceed 100'
+      }
+    },
+    maxDiscount: {
+      type: Number,
+      min: [0, 'Maximum discount cannot be negative']
+    },
+    minBasket: {
+      type: Number,
+      default: 0,
+      min: [0, 'Minimum basket cannot be negative']
+    },
+
+    // Usage Limits
+    perUserLimit: {
+      type: Number,
+      default: 1,
+      min: [1, 'Per-user limit must be at least 1']
+    },
+    usageLimit: {
+      type: Number,
+      min: [1, 'Usage limit must be at least 1']
+    },
+
+    // Scope: empty means every restaurant
+    restaurantIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Restaurant'
+      }
+    ],
+
+    // Validity Window
+    startsAt: {
+      type: Date,
+      default: Date.now
+    },
+    endsAt: {
+      type: Date,
+      validate: {
+        validator: function (v) {
+          return !v || !this.startsAt || v > this.startsAt;
+        },
+        message: 'endsAt must be after startsAt'
+      }
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Look up a promo code and compute its discount line for one order.
+ * Throws an Error with a customer-facing message when the code can't be used.
+ */
+promotionSchema.statics.evaluate = async function ({
+  code,
+  userId,
+  restaurantId,
+  foodTotal,
+  deliveryFee = 0
+}) {
+  if (!code || typeof code !== 'string') {
+    throw new Error('Promo code must be a string.');
+  }
+
+  const promotion = await this.findOne({ code: code.trim().toUpperCase(), isActive: true });
+  if (!promotion) throw new Error('Invalid promo code.');
+
+  const now = new Date();
+  if ((promotion.startsAt && promotion.startsAt > now) || (promotion.endsAt && promotion.endsAt < now)) {
+    throw new Error('This promo code is not valid at this time.');
+  }
+
+  if (
+    promotion.restaurantIds.length > 0 &&
+    !promotion.restaurantIds.some((id) => id.toString() === restaurantId?.toString())
+  ) {
+    throw new Error('This promo code is not valid for this restaurant.');
+  }
+
+  if (foodTotal < promotion.minBasket) {
+    throw new Error(`This promo code requires a minimum order of ${promotion.minBasket} ETB.`);
+  }
+
+  // Paid orders and ones still awaiting payment (unpaid checkouts, cash on delivery) count towards usage
+  const Order = mongoose.model('Order');
+  const usageFilter = {
+    'discount.promotionId': promotion._id,
+    'transaction.status': { $in: ['Pending', 'Paid'] },
+    orderStatus: { $ne: 'Cancelled' }
+  };
+  if (promotion.usageLimit) {
+    const totalUses = await Order.countDocuments(usageFilter);
+    if (totalUses >= promotion.usageLimit) {
+      throw new Error('This promo code has reached its usage limit.');
+    }
+  }
+  const userUses = await Order.countDocuments({ ...usageFilter, userId });
+  if (userUses >= promotion.perUserLimit) {
+    throw new Error('You have already used this promo code.');
+  }
+
+  let foodDiscount = 0;
+  let deliveryDiscount = 0;
+  if (promotion.discountType === 'Percentage') {
+    foodDiscount = (foodTotal * promotion.value) / 100;
+  } else if (promotion.discountType === 'Fixed') {
+    foodDiscount = promotion.value;
+  } else if (promotion.discountType === 'FreeDelivery') {
+    deliveryDiscount = deliveryFee;
+  }
+
+  if (promotion.maxDiscount !== undefined && promotion.maxDiscount !== null) {
+    foodDiscount = Math.min(foodDiscount, promotion.maxDiscount);
+    deliveryDiscount = Math.min(deliveryDiscount, promotion.maxDiscount);
+  }
+  foodDiscount = round2(Math.min(foodDiscount, foodTotal));
+  deliveryDiscount = round2(Math.min(deliveryDiscount, deliveryFee));
+
+  return {
+    promotionId: promotion._id,
+    code: promotion.code,
+    discountType: promotion.discountType,
+    description: promotion.description,
+    foodDiscount,
+    deliveryDiscount,
+    amount: round2(foodDiscount + deliveryDiscount)
+  };
+};
+
+// Model
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+export default Promotion;
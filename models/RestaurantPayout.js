@@ -0,0 +1,151 @@
+import mongoose from 'mongoose';
+import Restaurant from './restaurantModel.js';
+
+/**
+ * RestaurantPayout Schema for MongoDB using Mongoose
+ * What the platform owes a restaurant for one settlement period: paid and
+ * completed orders, less the platform commission.
+ * @module models/RestaurantPayout
+ */
+
+const DEFAULT_COMMISSION_RATE = parseFloat(process.env.PLATFORM_COMMISSION_RATE || '0.15');
+
+const restaurantPayoutSchema = new mongoose.Schema(
+  {
+    restaurantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Restaurant',
+      required: true
+    },
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true },
+
+    // Totals
+    orderCount: { type: Number, default: 0 },
+    grossSales: { type: mongoose.Schema.Types.Decimal128, default: 0 },
+    commissionRate: { type: Number, required: true, min: 0, max: 1 },
+    commission: { type: mongoose.Schema.Types.Decimal128, default: 0 },
+    netPayout: { type: mongoose.Schema.Types.Decimal128, default: 0 },
+    currency: { type: String, default: 'ETB' },
+
+    // Settlement
+    status: {
+      type: String,
+      enum: ['Pending', 'Paid'],
+      default: 'Pending'
+    },
+    paidAt: { type: Date },
+    paidBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    paymentReference: { type: String, trim: true, maxlength: 100 },
+    note: { type: String, trim: true, maxlength: 500 },
+    generatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  { timestamps: true }
+);
+
+restaurantPayoutSchema.index({ restaurantId: 1, periodStart: 1, periodEnd: 1 }, { unique: true });
+restaurantPayoutSchema.index({ status: 1, periodEnd: -1 });
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const toNumber = (value) => parseFloat(value?.toString() || '0');
+const toDecimal = (n) => mongoose.Types.Decimal128.fromString(n.toFixed(2));
+
+// Orders a restaurant has earned but not yet been paid out for
+const unsettledFilter = (restaurantId) => ({
+  restaurantId: new mongoose.Types.ObjectId(restaurantId.toString()),
+  orderStatus: 'Completed',
+  'transaction.status': 'Paid',
+  payoutId: null
+});
+
+const commissionRateFor = (restaurant) =>
+  restaurant?.commissionRate !== undefined && restaurant?.commissionRate !== null
+    ? restaurant.commissionRate
+    : DEFAULT_COMMISSION_RATE;
+
+// Restaurants are paid for the food; delivery fees and tips go to couriers and
+// promo discounts are platform-funded, so neither reduces the payout.
+const splitGross = (grossSales, commissionRate) => {
+  const commission = round2(grossSales * commissionRate);
+  return { commission, netPayout: round2(grossSales - commission) };
+};
+
+/**
+ * Create the payout for a restaurant and period and claim its orders.
+ * Every unsettled order created before periodEnd is included, so orders
+ * completed late roll into the next payout instead of being lost.
+ * Returns null when the period was already generated or has no orders.
+ */
+restaurantPayoutSchema.statics.generate = async function ({
+  restaurantId,
+  periodStart,
+  periodEnd,
+  generatedBy
+}) {
+  const Order = mongoose.model('Order');
+  const restaurant = await Restaurant.findById(restaurantId);
+  if (!restaurant) throw new Error('Restaurant not found.');
+
+  let payout;
+  try {
+    payout = await this.create({
+      restaurantId,
+      periodStart,
+      periodEnd,
+      commissionRate: commissionRateFor(restaurant),
+      generatedBy
+    });
+  } catch (err) {
+    if (err.code === 11000) return null;
+    throw err;
+  }
+
+  // Claim orders first so a concurrent run can't count them twice
+  await Order.updateMany(
+    { ...unsettledFilter(restaurantId), createdAt: { $lt: periodEnd } },
+    { $set: { payoutId: payout._id } }
+  );
+
+  const [totals] = await Order.aggregate([
+    { $match: { payoutId: payout._id } },
+    { $group: { _id: null, orderCount: { $sum: 1 }, grossSales: { $sum: '$foodTotal' } } }
+  ]);
+  if (!totals) {
+    await payout.deleteOne();
+    return null;
+  }
+
+  const grossSales = toNumber(totals.grossSales);
+  const { commission, netPayout } = splitGross(grossSales, payout.commissionRate);
+  payout.orderCount = totals.orderCount;
+  payout.grossSales = toDecimal(grossSales);
+  payout.commission = toDecimal(commission);
+  payout.netPayout = toDecimal(netPayout);
+  await payout.save();
+  return payout;
+};
+
+// Running total of what the restaurant will be paid in its next payout
+restaurantPayoutSchema.statics.outstandingFor = async function (restaurantId) {
+  const Order = mongoose.model('Order');
+  const restaurant = await Restaurant.findById(restaurantId);
+  const commissionRate = commissionRateFor(restaurant);
+
+  const [totals] = await Order.aggregate([
+    { $match: unsettledFilter(restaurantId) },
+    { $group: { _id: null, orderCount: { $sum: 1 }, grossSales: { $sum: '$foodTotal' } } }
+  ]);
+  const grossSales = toNumber(totals?.grossSales);
+  return {
+    orderCount: totals?.orderCount || 0,
+    grossSales,
+    commissionRate,
+    ...splitGross(grossSales, commissionRate)
+  };
+};
+
+restaurantPayoutSchema.statics.DEFAULT_COMMISSION_RATE = DEFAULT_COMMISSION_RATE;
+
+const RestaurantPayout = mongoose.model('RestaurantPayout', restaurantPayoutSchema);
+
+export default RestaurantPayout;
@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+import WalletLedgerEntry from './WalletLedgerEntry.js';
+
+/**
+ * Wallet Schema for MongoDB using Mongoose
+ * Stored balance per customer. The balance is kept in step with the ledger:
+ * change it only through Wallet.credit() / Wallet.debit().
+ * @module models/Wallet
+ */
+const walletSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true
+    },
+    balance: { type: mongoose.Schema.Types.Decimal128, default: 0 },
+    currency: { type: String, default: 'ETB' }
+  },
+  { timestamps: true }
+);
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const toDecimal = (n) => mongoose.Types.Decimal128.fromString(n.toFixed(2));
+
+// Current balance as a number (0 when the user has no wallet yet)
+walletSchema.statics.getBalance = async function (userId) {
+  const wallet = await this.findOne({ userId });
+  return wallet ? parseFloat(wallet.balance.toString()) : 0;
+};
+
+/**
+ * Move money in or out of a wallet and write both ledger entries.
+ * Debits never take the balance below zero. With an idempotencyKey, a
+ * repeated call returns the first entry instead of moving money again.
+ * @returns {Promise<{ entry: object, balance: number, duplicate: boolean }>}
+ */
+walletSchema.statics.post = async function ({
+  userId,
+  direction,
+  amount,
+  type,
+  idempotencyKey,
+  reason,
+  createdBy,
+  checkoutId,
+  orderId,
+  topUpId
+}) {
+  const value = round2(parseFloat(amount));
+  if (!(value > 0)) throw new Error('Wallet amount must be a positive number.');
+
+  const account = WalletLedgerEntry.walletAccount(userId);
+  if (idempotencyKey) {
+    const existing = await WalletLedgerEntry.findOne({ account, idempotencyKey });
+    if (existing) {
+      return { entry: existing, balance: await this.getBalance(userId), duplicate: true };
+    }
+  }
+
+  // 1️⃣ Move the balance atomically (debits only when funds are there)
+  const delta = direction === 'Credit' ? value : -value;
+  const filter = { userId };
+  if (direction === 'Debit') filter.balance = { $gte: toDecimal(value) };
+  const wallet = await this.findOneAndUpdate(
+    filter,
+    { $inc: { balance: toDecimal(delta) } },
+    { new: true, upsert: direction === 'Credit', setDefaultsOnInsert: true }
+  );
+  if (!wallet) throw new Error('Insufficient wallet balance.');
+
+  // 2️⃣ Record both sides of the movement
+  const common = {
+    transactionId: new mongoose.Types.ObjectId(),
+    amount: toDecimal(value),
+    type,
+    idempotencyKey,
+    reason,
+    createdBy,
+    checkoutId,
+    orderId,
+    topUpId
+  };
+  try {
+    const [entry] = await WalletLedgerEntry.insertMany([
+      { ...common, account, userId, direction, balanceAfter: wallet.balance },
+      {
+        ...common,
+        account: WalletLedgerEntry.COUNTER_ACCOUNTS[type],
+        direction: direction === 'Credit' ? 'Debit' : 'Credit'
+      }
+    ]);
+    return { entry, balance: parseFloat(wallet.balance.toString()), duplicate: false };
+  } catch (err) {
+    // Undo the balance change; a duplicate key means a concurrent call already posted it
+    await this.updateOne({ userId }, { $inc: { balance: toDecimal(-delta) } });
+    if (err.code === 11000 && idempotencyKey) {
+      const existing = await WalletLedgerEntry.findOne({ account, idempotencyKey });
+      return { entry: existing, balance: await this.getBalance(userId), duplicate: true };
+    }
+    throw err;
+  }
+};
+
+walletSchema.statics.credit = function (options) {
+  return this.post({ ...options, direction: 'Credit' });
+};
+
+walletSchema.statics.debit = function (options) {
+  return this.post({ ...options, direction: 'Debit' });
+};
+
+const Wallet = mongoose.model('Wallet', walletSchema);
+
+export default Wallet;
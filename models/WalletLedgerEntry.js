@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+/**
+ * WalletLedgerEntry Schema for MongoDB using Mongoose
+ * Double-entry ledger behind customer wallets. Every money movement is one
+ * transactionId with two entries: the customer's wallet account and the
+ * platform account on the other side, so credits and debits always balance.
+ * @module models/WalletLedgerEntry
+ */
+
+// Platform account on the other side of each entry type
+const COUNTER_ACCOUNTS = {
+  TopUp: 'external:topups', // money that came in through a payment provider
+  Refund: 'platform:refunds',
+  Promotion: 'platform:promotions',
+  CheckoutPayment: 'platform:orders',
+  CheckoutReversal: 'platform:orders',
+  Adjustment: 'platform:adjustments'
+};
+
+const walletLedgerEntrySchema = new mongoose.Schema(
+  {
+    transactionId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+    // "wallet:<userId>" or a platform account
+    account: { type: String, required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    direction: {
+      type: String,
+      enum: ['Credit', 'Debit'],
+      required: true
+    },
+    amount: { type: mongoose.Schema.Types.Decimal128, required: true },
+    type: {
+      type: String,
+      enum: Object.keys(COUNTER_ACCOUNTS),
+      required: true
+    },
+    // Wallet side only: balance right after this entry
+    balanceAfter: { type: mongoose.Schema.Types.Decimal128 },
+
+    // Same key twice never moves money twice (e.g. a retried refund)
+    idempotencyKey: { type: String },
+    checkoutId: { type: mongoose.Schema.Types.ObjectId, ref: 'Checkout' },
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    topUpId: { type: mongoose.Schema.Types.ObjectId, ref: 'WalletTopUp' },
+    reason: { type: String, maxlength: 500 },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+walletLedgerEntrySchema.index({ account: 1, createdAt: -1 });
+walletLedgerEntrySchema.index(
+  { account: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
+walletLedgerEntrySchema.statics.COUNTER_ACCOUNTS = COUNTER_ACCOUNTS;
+walletLedgerEntrySchema.statics.walletAccount = (userId) => `wallet:${userId}`;
+
+const WalletLedgerEntry = mongoose.model('WalletLedgerEntry', walletLedgerEntrySchema);
+
+export default WalletLedgerEntry;
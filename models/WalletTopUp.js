@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+import { PAYMENT_METHODS, DEFAULT_PAYMENT_METHOD } from '../utils/paymentProviders.js';
+
+/**
+ * WalletTopUp Schema for MongoDB using Mongoose
+ * A customer loading money into their wallet through a payment provider.
+ * The wallet is credited once the provider confirms the payment.
+ * @module models/WalletTopUp
+ */
+const walletTopUpSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    amount: { type: mongoose.Schema.Types.Decimal128, required: true },
+    transaction: {
+      method: {
+        type: String,
+        enum: PAYMENT_METHODS,
+        default: DEFAULT_PAYMENT_METHOD
+      },
+      status: {
+        type: String,
+        enum: ['Pending', 'Paid', 'Failed', 'Expired', 'Refunded'],
+        default: 'Pending'
+      },
+      txRef: { type: String, unique: true, sparse: true },
+      refId: { type: String },
+      lastReconciledAt: { type: Date }
+    }
+  },
+  { timestamps: true }
+);
+
+walletTopUpSchema.index({ 'transaction.status': 1, createdAt: 1 });
+
+const WalletTopUp = mongoose.model('WalletTopUp', walletTopUpSchema);
+
+export default WalletTopUp;
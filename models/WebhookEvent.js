@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+/**
+ * WebhookEvent Schema for MongoDB using Mongoose
+ * Every payment-provider callback we receive, with what we did about it.
+ * @module models/WebhookEvent
+ */
+const webhookEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      enum: ['Chapa', 'Telebirr'],
+      default: 'Chapa'
+    },
+    // 'webhook' = signed POST, 'callback' = unsigned GET redirect,
+    // 'reconciler' = our own verify call for a payment stuck in Pending
+    source: {
+      type: String,
+      enum: ['webhook', 'callback', 'reconciler'],
+      required: true
+    },
+    event: { type: String },
+    txRef: { type: String, index: true },
+    refId: { type: String },
+    providerStatus: { type: String },
+    signatureValid: { type: Boolean },
+    payload: { type: mongoose.Schema.Types.Mixed },
+
+    outcome: {
+      type: String,
+      enum: ['Processed', 'Duplicate', 'Ignored', 'Rejected', 'Failed'],
+      required: true
+    },
+    previousStatus: { type: String },
+    resultingStatus: { type: String },
+    error: { type: String }
+  },
+  { timestamps: true }
+);
+
+webhookEventSchema.index({ txRef: 1, createdAt: -1 });
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+export default WebhookEvent;
@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 import 'mongoose-geojson-schema';
+import { getOpenStatus } from '../utils/openHours.js';
+import { buildSearchFields } from '../utils/search.js';
 
 /**
  * Restaurant Schema for MongoDB using Mongoose
@@ -103,25 +105,30 @@ const restaurantSchema = new mongoose.Schema(
   ],
 
     
-    isOpenNow: {
-    type: Boolean,
-    default: function () {
-      const now = new Date();
-      const dayIndex = now.getDay();
-      const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-      const currentDay = days[dayIndex];
-
-      // Current time in HH:MM
-      const currentTime = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes()
-        .toString()
-        .padStart(2, '0')}`;
-
-      const daySchedule = this.openHours.find(s => s.day === currentDay);
-      if (!daySchedule || daySchedule.isClosed) return false;
-
-      return currentTime >= daySchedule.from && currentTime <= daySchedule.to;
-    }
-  },
+    // How the restaurant orders its menu sections; categories not listed follow alphabetically
+    categoryOrder: [{ type: mongoose.Schema.Types.ObjectId, ref: 'FoodCategory' }],
+
+    // Date-specific hours ("YYYY-MM-DD", Addis Ababa) replacing the weekly ones, e.g. closed for Timkat
+    holidays: [
+      {
+        date: {
+          type: String,
+          required: true,
+          match: [/^\d{4}-\d{2}-\d{2}$/, 'Holiday date must be YYYY-MM-DD']
+        },
+        isClosed: { type: Boolean, default: true },
+        from: { type: String }, // hours when open on the day
+        to: { type: String },
+        note: { type: String, trim: true, maxlength: 100 }
+      }
+    ],
+
+    // Temporary pause ("too busy, back in 30 min"); closed for orders until then
+    ordersPausedUntil: {
+      type: Date,
+      default: null
+    },
+
     // Status
     isDeliveryAvailable: {
       type: Boolean,
@@ -133,6 +140,36 @@ const restaurantSchema = new mongoose.Schema(
       select: false
     },
 
+    // Settlement: platform commission on food sales (empty = platform default)
+    commissionRate: {
+      type: Number,
+      min: [0, 'Commission rate cannot be negative'],
+      max: [1, 'Commission rate must not exceed 1 (100%)']
+    },
+
+    // Order accept/reject counts; acceptanceRate and rankingScore are derived from them
+    orderDecisions: {
+      accepted: { type: Number, default: 0, min: 0 },
+      rejected: { type: Number, default: 0, min: 0 },
+      autoRejected: { type: Number, default: 0, min: 0 }
+    },
+    acceptanceRate: {
+      type: Number,
+      default: 1,
+      min: 0,
+      max: 1
+    },
+    // Listing order: rating blended with acceptance rate
+    rankingScore: {
+      type: Number,
+      default: 0,
+      index: true
+    },
+
+    // Search: normalized/transliterated words for the text index, name prefixes for autocomplete
+    searchKeywords: { type: [String], select: false },
+    searchPrefixes: { type: [String], select: false, index: true },
+
     // Cached Rating Metrics
     ratingAverage: {
       type: Number,
@@ -172,6 +209,13 @@ restaurantSchema.index(
  * Optimize queries by manager
  */
 restaurantSchema.index({ managerId: 1 });
+/**
+ * Full-text search over names and cuisines (see utils/search.js)
+ */
+restaurantSchema.index(
+  { name: 'text', cuisineTypes: 'text', searchKeywords: 'text' },
+  { weights: { name: 10, cuisineTypes: 4, searchKeywords: 2 }, default_language: 'none', name: 'restaurant_search' }
+);
 
 // Middleware
 /**
@@ -195,6 +239,29 @@ restaurantSchema.pre('save', async function (next) {
   next();
 });
 
+const restaurantSearchFields = (restaurant) => {
+  const texts = [restaurant.name, ...(restaurant.cuisineTypes || [])];
+  return buildSearchFields(texts, texts);
+};
+
+/**
+ * Keep the search fields in step with the name and cuisines
+ */
+restaurantSchema.pre('save', function (next) {
+  if (this.isNew || this.isModified('name') || this.isModified('cuisineTypes')) {
+    Object.assign(this, restaurantSearchFields(this));
+  }
+  next();
+});
+
+restaurantSchema.post('findOneAndUpdate', async function (doc) {
+  const update = this.getUpdate() || {};
+  const changed = { ...update, ...update.$set };
+  if (!doc || !('name' in changed || 'cuisineTypes' in changed)) return;
+  const restaurant = await this.model.findById(doc._id).select('name cuisineTypes');
+  if (restaurant) await this.model.updateOne({ _id: restaurant._id }, { $set: restaurantSearchFields(restaurant) });
+});
+
 /**
  * Handle duplicate key errors
  */
@@ -217,6 +284,20 @@ restaurantSchema.virtual('shortDescription').get(function () {
     : this.description;
 });
 
+/**
+ * Open for orders right now (hours, holidays and pause), computed on every read
+ */
+restaurantSchema.virtual('isOpenNow').get(function () {
+  return getOpenStatus(this).isOpen;
+});
+
+// Open status at a given moment, with why it is closed
+restaurantSchema.methods.openStatusAt = function (date = new Date()) {
+  return getOpenStatus(this, date);
+};
+
+restaurantSchema.statics.searchFieldsFor = restaurantSearchFields;
+
 // Static method to update rating metrics
 restaurantSchema.statics.updateRatingMetrics = async function (restaurantId) {
   const ratings = await mongoose.model('Rating').find({ restaurant: restaurantId });
@@ -230,8 +311,82 @@ restaurantSchema.statics.updateRatingMetrics = async function (restaurantId) {
     ratingAverage,
     ratingQuantity
   });
+  await this.refreshRanking(restaurantId);
 };
 
+/**
+ * Decisions assumed accepted before any are recorded, so a couple of early
+ * rejections don't sink a new restaurant's acceptance rate
+ */
+const ACCEPTANCE_PRIOR = 10;
+const RANKING_WEIGHTS = {
+  rating: parseFloat(process.env.RANKING_RATING_WEIGHT || '0.7'),
+  acceptance: parseFloat(process.env.RANKING_ACCEPTANCE_WEIGHT || '0.3')
+};
+
+// Static method to record an accept/reject and refresh the ranking
+restaurantSchema.statics.recordOrderDecision = async function (restaurantId, outcome) {
+  const field = { Accepted: 'accepted', Rejected: 'rejected', AutoRejected: 'autoRejected' }[outcome];
+  if (!field) throw new Error(`Unknown order decision: ${outcome}`);
+  await this.updateOne({ _id: restaurantId }, { $inc: { [`orderDecisions.${field}`]: 1 } });
+  await this.refreshRanking(restaurantId);
+};
+
+// acceptanceRate and rankingScore from the stored counts, as an update pipeline
+const rankingPipeline = () => {
+  const count = (field) => ({ $ifNull: [`$orderDecisions.${field}`, 0] });
+  return [
+    {
+      $set: {
+        acceptanceRate: {
+          $divide: [
+            { $add: [count('accepted'), ACCEPTANCE_PRIOR] },
+            { $add: [count('accepted'), count('rejected'), count('autoRejected'), ACCEPTANCE_PRIOR] }
+          ]
+        }
+      }
+    },
+    {
+      $set: {
+        rankingScore: {
+          $add: [
+            { $multiply: [{ $divide: [{ $ifNull: ['$ratingAverage', 0] }, 5] }, RANKING_WEIGHTS.rating] },
+            { $multiply: ['$acceptanceRate', RANKING_WEIGHTS.acceptance] }
+          ]
+        }
+      }
+    }
+  ];
+};
+
+// The same formula for a document about to be saved
+const rankingOf = ({ ratingAverage, orderDecisions }) => {
+  const { accepted = 0, rejected = 0, autoRejected = 0 } = orderDecisions || {};
+  const acceptanceRate = (accepted + ACCEPTANCE_PRIOR) / (accepted + rejected + autoRejected + ACCEPTANCE_PRIOR);
+  return {
+    acceptanceRate,
+    rankingScore: ((ratingAverage || 0) / 5) * RANKING_WEIGHTS.rating + acceptanceRate * RANKING_WEIGHTS.acceptance
+  };
+};
+
+// Static method to recompute acceptanceRate and rankingScore from stored counts
+restaurantSchema.statics.refreshRanking = async function (restaurantId) {
+  await this.updateOne({ _id: restaurantId }, rankingPipeline());
+};
+
+// Static method to recompute every restaurant's ranking (backfill, or after the weights change)
+restaurantSchema.statics.refreshAllRankings = function () {
+  return this.updateMany({}, rankingPipeline());
+};
+
+// New restaurants rank from the prior instead of below every restaurant with a decision
+restaurantSchema.pre('save', function (next) {
+  if (this.isNew || this.isModified('ratingAverage') || this.isModified('orderDecisions')) {
+    Object.assign(this, rankingOf(this));
+  }
+  next();
+});
+
 // Model
 const Restaurant = mongoose.model('Restaurant', restaurantSchema);
 
@@ -173,6 +173,27 @@ const userSchema = new mongoose.Schema(
       }
     },
 
+    // Courier availability: only Online couriers get order offers and broadcasts
+    courierStatus: {
+      type: String,
+      enum: ['Online', 'Paused', 'Offline'],
+      default: function () {
+        return this.role === 'Delivery_Person' ? 'Offline' : undefined;
+      }
+    },
+    currentShiftId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CourierShift',
+      default: null
+    },
+
+    // Firebase Cloud Messaging tokens, one per signed-in device
+    pushTokens: {
+      type: [String],
+      default: [],
+      select: false
+    },
+
     isPhoneVerified: {
       type: Boolean,
       default: false
@@ -0,0 +1,30 @@
+import express from 'express';
+import {
+  getMyCart,
+  addItemToCart,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  checkoutCart
+} from '../controllers/cartController.js';
+import { protect } from '../controllers/authController.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router
+  .route('/')
+  .get(getMyCart)
+  .delete(clearCart);
+
+router.post('/items', addItemToCart);
+router
+  .route('/items/:itemId')
+  .patch(updateCartItem)
+  .delete(removeCartItem);
+
+// Split into one order per restaurant with a single combined payment
+router.post('/checkout', checkoutCart);
+
+export default router;
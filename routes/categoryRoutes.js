@@ -7,6 +7,7 @@ const router = express.Router();
 // Public routes
 router.get('/', categoryController.getAllCategories);
 router.get('/:id', categoryController.getCategory);
+router.get('/:id/foods', categoryController.getCategoryFoods);
 
 // Protected routes (Admin only)
 router.use(protect);
@@ -8,9 +8,40 @@ import {
   deleteDelivery,
   cancelDeliveryAssignment
 } from '../controllers/deliverController.js';
+import {
+  getMyEarnings,
+  getMyEarningsSummary,
+  requestPayout,
+  getPayoutRequests,
+  approvePayoutRequest,
+  rejectPayoutRequest,
+  grantBonus,
+  getCourierPerformance
+} from '../controllers/courierEarningsController.js';
+import {
+  startShift,
+  updateShiftStatus,
+  endShift,
+  getShifts
+} from '../controllers/courierShiftController.js';
 import { protect, restrictTo } from '../controllers/authController.js';
 const router = express.Router();
 
+// Courier shifts and earnings (before '/:id')
+router.post('/shifts/start', protect, restrictTo('Delivery_Person'), startShift);
+router.patch('/shifts/current', protect, restrictTo('Delivery_Person'), updateShiftStatus);
+router.post('/shifts/end', protect, restrictTo('Delivery_Person'), endShift);
+router.get('/shifts', protect, restrictTo('Delivery_Person', 'Admin'), getShifts);
+router.get('/performance', protect, restrictTo('Admin'), getCourierPerformance);
+router.get('/earnings', protect, restrictTo('Delivery_Person'), getMyEarnings);
+router.get('/earnings/summary', protect, restrictTo('Delivery_Person'), getMyEarningsSummary);
+router.route('/payout-requests')
+  .post(protect, restrictTo('Delivery_Person'), requestPayout)
+  .get(protect, restrictTo('Delivery_Person', 'Admin'), getPayoutRequests);
+router.patch('/payout-requests/:id/approve', protect, restrictTo('Admin'), approvePayoutRequest);
+router.patch('/payout-requests/:id/reject', protect, restrictTo('Admin'), rejectPayoutRequest);
+router.post('/bonuses', protect, restrictTo('Admin'), grantBonus);
+
 router.route('/')
   .post(protect,assignDeliveryToOrder)
   .get(getAllDeliveries);
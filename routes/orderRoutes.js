@@ -10,20 +10,31 @@ import {
   getAvailableCookedOrdersCount,
   getOrdersByRestaurantId,
   chapaWebhook,
+  telebirrWebhook,
   verifyOrderDelivery,
   acceptOrder,
+  rejectDeliveryOffer,
   pickUpOrder,
   getOrdersByDeliveryMan,
   getDeliveryOrderHistory,
-  getOrdersByStatus
+  getOrdersByStatus,
+  cancelOrder
 } from '../controllers/orderController.js';
-import { protect } from '../controllers/authController.js'; // Auth middleware (JWT)
+import { getOrderRoute, getOrderTimeline } from '../controllers/trackingController.js';
+import {
+  getKitchenQueue,
+  acceptKitchenOrder,
+  rejectKitchenOrder,
+  bumpReadyTime,
+} from '../controllers/kitchenController.js';
+import { protect, restrictTo } from '../controllers/authController.js'; // Auth middleware (JWT)
 
 const router = express.Router();
 
 // Payment webhook - MUST be before dynamic routes
 router.post('/chapa-webhook', chapaWebhook);
 router.get("/chapa-webhook", chapaWebhook);
+router.post('/telebirr-notify', telebirrWebhook);
 
 // Order creation and payment
 router.post('/place-order', protect, placeOrder);
@@ -34,9 +45,19 @@ router.get('/my-orders', protect, getMyOrders);
 router.get('/current', protect, getCurrentOrders);
 router.get('/get-all-orders/:status',protect,getOrdersByStatus);
 
+// Restaurant kitchen queue
+router.get('/kitchen/queue', protect, restrictTo('Manager', 'Admin'), getKitchenQueue);
+router.post('/:orderId/kitchen/accept', protect, restrictTo('Manager', 'Admin'), acceptKitchenOrder);
+router.post('/:orderId/kitchen/reject', protect, restrictTo('Manager', 'Admin'), rejectKitchenOrder);
+router.patch('/:orderId/kitchen/ready-time', protect, restrictTo('Manager', 'Admin'), bumpReadyTime);
+
 router.post('/accept-for-delivery', protect, acceptOrder);
+router.post('/:orderId/reject-offer', protect, restrictTo('Delivery_Person'), rejectDeliveryOffer);
 // Order status and delivery
 router.patch('/:orderId/status', protect, updateOrderStatus);
+router.get('/:orderId/route', protect, restrictTo('Admin'), getOrderRoute);
+router.get('/:orderId/timeline', protect, restrictTo('Customer', 'Manager', 'Admin'), getOrderTimeline);
+router.post('/:orderId/cancel', protect, restrictTo('Customer', 'Manager', 'Admin'), cancelOrder);
 router.post('/verify-delivery', protect, verifyOrderDelivery);
 router.post('/verify-restaurant-pickup', protect, pickUpOrder);
 
@@ -0,0 +1,17 @@
+import express from 'express';
+import * as paymentController from '../controllers/paymentController.js';
+import { protect, restrictTo } from '../controllers/authController.js';
+
+const router = express.Router();
+
+// Methods customers can pick at checkout
+router.get('/methods', paymentController.getPaymentMethods);
+
+// Admin only
+router.use(protect, restrictTo('Admin'));
+
+router.get('/discrepancies', paymentController.getPaymentDiscrepancies);
+router.patch('/discrepancies/:id/resolve', paymentController.resolvePaymentDiscrepancy);
+router.post('/reconcile', paymentController.runPaymentReconciliation);
+
+export default router;
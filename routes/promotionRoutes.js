@@ -0,0 +1,21 @@
+import express from 'express';
+import * as promotionController from '../controllers/promotionController.js';
+import { protect, restrictTo } from '../controllers/authController.js';
+
+const router = express.Router();
+
+// Admin only
+router.use(protect, restrictTo('Admin'));
+
+router
+  .route('/')
+  .get(promotionController.getAllPromotions)
+  .post(promotionController.createPromotion);
+
+router
+  .route('/:id')
+  .get(promotionController.getPromotion)
+  .patch(promotionController.updatePromotion)
+  .delete(promotionController.deletePromotion);
+
+export default router;
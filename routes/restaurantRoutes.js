@@ -45,6 +45,12 @@ router.route('/:id')
     restaurantController.deleteRestaurant
   );
 
+// Temporarily stop taking orders ({ minutes }, default 30) or resume early
+router
+  .route('/:id/pause')
+  .patch(protect, restrictTo('Manager', 'Admin'), restaurantController.pauseOrders)
+  .delete(protect, restrictTo('Manager', 'Admin'), restaurantController.resumeOrders);
+
 // Enhanced endpoint with menu and categories
 router.get('/:id/menu', restaurantController.getRestaurantWithMenu);
 
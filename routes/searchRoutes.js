@@ -0,0 +1,10 @@
+import express from 'express';
+import * as searchController from '../controllers/searchController.js';
+
+const router = express.Router();
+
+// Public: restaurants and dishes in one search, plus autocomplete while typing
+router.get('/', searchController.search);
+router.get('/suggest', searchController.suggest);
+
+export default router;
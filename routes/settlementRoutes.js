@@ -0,0 +1,29 @@
+import express from 'express';
+import * as settlementController from '../controllers/settlementController.js';
+import { protect, restrictTo } from '../controllers/authController.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// Managers (own restaurant, read-only) and admins
+router.get(
+  '/restaurants/:restaurantId/statements',
+  restrictTo('Manager', 'Admin'),
+  settlementController.getRestaurantStatements
+);
+router.get(
+  '/payouts/:id/statement',
+  restrictTo('Manager', 'Admin'),
+  settlementController.downloadStatement
+);
+
+// Admin only
+router.use(restrictTo('Admin'));
+
+router.get('/payouts', settlementController.getAllPayouts);
+router.post('/payouts/generate', settlementController.generatePayouts);
+router.patch('/payouts/:id/settle', settlementController.settlePayout);
+router.patch('/restaurants/:restaurantId/commission', settlementController.setRestaurantCommission);
+
+export default router;
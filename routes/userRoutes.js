@@ -24,9 +24,18 @@ import {
   getMyAddresses,
   editAddress,
   deleteAddress,
-  saveCurrentAddress
+  saveCurrentAddress,
+  registerPushToken,
+  removePushToken
 } from '../controllers/userController.js';
 
+import {
+  getMyWallet,
+  topUpWallet,
+  getUserWallet,
+  adjustUserWallet
+} from '../controllers/walletController.js';
+
 import upload from '../utils/upload.js';
 
 const router = express.Router();
@@ -95,6 +104,26 @@ router.patch('/address/:addressId', editAddress);
 // Delete an address
 router.delete('/address/:addressId', deleteAddress);
 
+// =======================
+// 🔔 Push Notification Routes
+// =======================
+
+// Register / remove this device's push token
+router
+  .route('/push-tokens')
+  .post(registerPushToken)
+  .delete(removePushToken);
+
+// =======================
+// 👛 Wallet Routes
+// =======================
+
+// Balance and ledger entries of current user
+router.get('/wallet', getMyWallet);
+
+// Load money into the wallet through a payment provider
+router.post('/wallet/top-up', topUpWallet);
+
 
 // =======================
 // 🛡️ Admin-Only Routes
@@ -107,6 +136,10 @@ router
   .route('/')
   .get(getAllUsers).post( upload.single('profilePicture'), createUser);
 router.get('/getUser', getUser);
+
+// Admin: inspect / adjust a user's wallet (audit reason required)
+router.get('/:id/wallet', getUserWallet);
+router.post('/:id/wallet/adjustments', adjustUserWallet);
 // Admin: Get / update / delete specific user by ID
 router
   .route('/:id')
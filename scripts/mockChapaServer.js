@@ -0,0 +1,128 @@
+// Local stand-in for the Chapa API, for exercising payments without real money.
+//
+//   CHAPA_WEBHOOK_SECRET=dev node scripts/mockChapaServer.js
+//
+// Run the API with CHAPA_API_URL=http://localhost:4010/v1 and the same
+// CHAPA_WEBHOOK_SECRET. Open a checkout_url (optionally ?status=failed|expired)
+// to settle the transaction; the mock then sends a signed webhook to the API.
+// Tests build the same app in-process with createMockChapa().
+import { pathToFileURL } from 'url';
+import express from 'express';
+import axios from 'axios';
+import { signChapaPayload } from '../utils/chapa.js';
+
+/**
+ * Express app that answers like the Chapa API and signs its webhooks.
+ * @param {{ webhookUrl: string, webhookSecret: string, log?: boolean }} options
+ * @returns {import('express').Express}
+ */
+export const createMockChapa = ({ webhookUrl, webhookSecret, log = true }) => {
+  const transactions = new Map(); // tx_ref -> { amount, currency, status, reference, refunded }
+  const verifyFailures = new Map(); // tx_ref -> verify calls still to answer with a 500
+
+  const app = express();
+  app.use(express.json());
+
+  const sendWebhook = async (event, tx, txRef) => {
+    const body = JSON.stringify({
+      event,
+      tx_ref: txRef,
+      reference: tx.reference,
+      status: tx.status,
+      amount: tx.amount,
+      currency: tx.currency,
+    });
+    const signature = signChapaPayload(body, webhookSecret);
+    try {
+      const response = await axios.post(webhookUrl, body, {
+        headers: { 'Content-Type': 'application/json', 'x-chapa-signature': signature },
+        validateStatus: () => true,
+      });
+      if (log) console.log(`↪️  ${event} ${txRef} → ${response.status}`, response.data);
+      return response.status;
+    } catch (err) {
+      console.error(`Webhook delivery failed for ${txRef}:`, err.message);
+      return null;
+    }
+  };
+
+  app.post('/v1/transaction/initialize', (req, res) => {
+    const { tx_ref: txRef, amount, currency } = req.body;
+    if (!txRef || !amount) {
+      return res.status(400).json({ status: 'failed', message: 'tx_ref and amount are required' });
+    }
+    if (transactions.has(txRef)) {
+      return res.status(400).json({ status: 'failed', message: 'Transaction reference has been used before' });
+    }
+    transactions.set(txRef, { amount, currency, status: 'pending', reference: `MOCK${Date.now()}`, refunded: 0 });
+    res.json({
+      status: 'success',
+      message: 'Hosted Link',
+      data: { checkout_url: `${req.protocol}://${req.get('host')}/checkout/${encodeURIComponent(txRef)}` },
+    });
+  });
+
+  app.get('/v1/transaction/verify/:txRef', (req, res) => {
+    const failuresLeft = verifyFailures.get(req.params.txRef) || 0;
+    if (failuresLeft > 0) {
+      verifyFailures.set(req.params.txRef, failuresLeft - 1);
+      return res.status(500).json({ status: 'failed', message: 'Mock verify outage', data: null });
+    }
+    const tx = transactions.get(req.params.txRef);
+    if (!tx) return res.status(404).json({ status: 'failed', message: 'Invalid transaction or Transaction not found', data: null });
+    res.json({
+      status: 'success',
+      message: 'Payment details',
+      data: { tx_ref: req.params.txRef, reference: tx.reference, status: tx.status, amount: tx.amount, currency: tx.currency },
+    });
+  });
+
+  app.post('/v1/refund/:txRef', async (req, res) => {
+    const tx = transactions.get(req.params.txRef);
+    if (!tx || tx.status !== 'success') {
+      return res.status(400).json({ status: 'failed', message: 'Transaction is not refundable' });
+    }
+    const amount = parseFloat(req.body.amount || tx.amount);
+    tx.refunded += amount;
+    const reference = `MOCKREF${Date.now()}`;
+    res.json({ status: 'success', message: 'Refund processed', data: { refund_reference: reference, amount } });
+    if (tx.refunded >= parseFloat(tx.amount)) await sendWebhook('charge.refunded', tx, req.params.txRef);
+  });
+
+  // "Customer pays": settle the transaction and fire the webhook
+  app.get('/checkout/:txRef', async (req, res) => {
+    const tx = transactions.get(req.params.txRef);
+    if (!tx) return res.status(404).send('Unknown transaction');
+    tx.status = ['failed', 'expired'].includes(req.query.status) ? req.query.status : 'success';
+    const event = tx.status === 'success' ? 'charge.success' : `charge.${tx.status}`;
+    const webhookStatus = await sendWebhook(event, tx, req.params.txRef);
+    res.json({ txRef: req.params.txRef, status: tx.status, webhookStatus });
+  });
+
+  // Re-send the last webhook, to check duplicate handling
+  app.post('/mock/resend/:txRef', async (req, res) => {
+    const tx = transactions.get(req.params.txRef);
+    if (!tx) return res.status(404).json({ message: 'Unknown transaction' });
+    const event = tx.status === 'success' ? 'charge.success' : `charge.${tx.status}`;
+    res.json({ webhookStatus: await sendWebhook(event, tx, req.params.txRef) });
+  });
+
+  // Make the next `times` verify calls fail, to check the retry path
+  app.post('/mock/fail-verify/:txRef', (req, res) => {
+    const times = parseInt(req.body?.times, 10) || 1;
+    verifyFailures.set(req.params.txRef, times);
+    res.json({ txRef: req.params.txRef, failVerify: times });
+  });
+
+  return app;
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const PORT = process.env.CHAPA_MOCK_PORT || 4010;
+  const WEBHOOK_URL = process.env.CHAPA_MOCK_WEBHOOK_URL || 'http://localhost:3000/api/v1/orders/chapa-webhook';
+  const WEBHOOK_SECRET = process.env.CHAPA_WEBHOOK_SECRET || 'dev';
+
+  createMockChapa({ webhookUrl: WEBHOOK_URL, webhookSecret: WEBHOOK_SECRET }).listen(PORT, () => {
+    console.log(`🧪 Mock Chapa listening on http://localhost:${PORT}/v1 → webhooks to ${WEBHOOK_URL}`);
+  });
+}
@@ -0,0 +1,32 @@
+// Fill in the search fields of restaurants and foods saved before search
+// existed (or after the normalization rules change), and build the indexes.
+// Also recomputes restaurant ranking scores, which listings and search sort by.
+//
+//   node scripts/reindexSearch.js
+//
+// Reads DATABASE from config.env like the server.
+import '../loadEnv.js';
+import mongoose from 'mongoose';
+import Restaurant from '../models/restaurantModel.js';
+import Food from '../models/Food.js';
+
+const reindex = async (Model, fields) => {
+  let count = 0;
+  // includeInactive: soft-deleted restaurants keep correct fields if restored
+  for await (const doc of Model.find({}, fields, { includeInactive: true }).cursor()) {
+    await Model.updateOne({ _id: doc._id }, { $set: Model.searchFieldsFor(doc) });
+    count += 1;
+  }
+  await Model.syncIndexes();
+  console.log(`✅ ${Model.modelName}: ${count} documents reindexed`);
+};
+
+await mongoose.connect(process.env.DATABASE);
+try {
+  await reindex(Restaurant, 'name cuisineTypes');
+  await reindex(Food, 'foodName ingredients');
+  const { modifiedCount } = await Restaurant.refreshAllRankings();
+  console.log(`✅ Restaurant: ${modifiedCount} ranking scores refreshed`);
+} finally {
+  await mongoose.disconnect();
+}
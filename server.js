@@ -1,8 +1,14 @@
+import './loadEnv.js';
 import mongoose from 'mongoose';
-import dotenv from 'dotenv';
 import http from 'http';
 import app from './app.js';
 import { initSocket } from './socket.js';
+import { registerEventSubscribers } from './events/index.js';
+import { startScheduledOrderJob } from './jobs/releaseScheduledOrders.js';
+import { startPaymentReconciliationJob } from './jobs/reconcilePayments.js';
+import { startPayoutJob } from './jobs/generatePayouts.js';
+import { startDispatchOfferJob } from './jobs/expireDispatchOffers.js';
+import { startAutoRejectJob } from './jobs/autoRejectOrders.js';
 
 process.on('uncaughtException', (err) => {
   console.error('UNCAUGHT EXCEPTION! 💥 Shutting down...');
@@ -10,9 +16,6 @@ process.on('uncaughtException', (err) => {
   process.exit(1);
 });
 
-dotenv.config({ path: './config.env' });
-
-
 const DB = process.env.DATABASE;
 const PORT = process.env.PORT || 3000;
 
@@ -25,6 +28,11 @@ mongoose
   .connect(DB)
   .then(() => {
     console.log('✅ DB connection successful!');
+    startScheduledOrderJob();
+    startPaymentReconciliationJob();
+    startPayoutJob();
+    startDispatchOfferJob();
+    startAutoRejectJob();
   })
   .catch((err) => {
     console.error('DB connection error:', err.message);
@@ -33,8 +41,11 @@ mongoose
 
 const httpServer = http.createServer(app);
 
-// Initialize Socket.IO
-const io = initSocket(httpServer);
+// Initialize Socket.IO (attaches the Redis adapter when REDIS_URL is set)
+const io = await initSocket(httpServer);
+
+// Deliver domain events over sockets, push and SMS
+registerEventSubscribers();
 
 // Start Server
 httpServer.listen(PORT, () => {
@@ -1,18 +1,91 @@
 import { Server } from 'socket.io';
+import { createAdapter } from '@socket.io/redis-adapter';
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import User from './models/userModel.js';
 import Order from './models/Order.js';
+import LocationPing from './models/LocationPing.js';
 import { db } from './firebase.js';
-// Global Maps for Tracking
-const activeDeliveryOrders = new Map(); // deliveryPersonId -> { orderId, userId }
-const lastDeliveryLocations = new Map(); // deliveryPersonId -> location
-const deliverySockets = new Map(); // deliveryId -> Set of socketIds
-const managerSockets = new Map(); // managerId -> Set of socketIds
-const adminSockets = new Map(); // adminId -> Set of socketIds
+import { setIO, getIO } from './utils/socket.js';
+import { acceptDeliveryOrder, rejectDispatchOffer } from './utils/dispatcher.js';
+import { completeDelivery } from './utils/completeDelivery.js';
+import AppError from './utils/appError.js';
+import { getRoute } from './utils/routing.js';
+import { checkGeofences, forgetGeofences } from './utils/geofence.js';
+import { connectRedis } from './utils/redis.js';
+import { createSharedMap } from './utils/sharedState.js';
+// Tracking state shared across instances (Redis when configured)
+const activeDeliveryOrders = createSharedMap('activeDeliveryOrders'); // deliveryPersonId -> { orderId, userId }
+const lastDeliveryLocations = createSharedMap('lastDeliveryLocations'); // deliveryPersonId -> location
+// Per-instance caches: a courier's pings are handled by the instance holding their socket
+const lastPingSavedAt = new Map(); // deliveryPersonId -> ms timestamp of last persisted ping
+const lastEtas = new Map(); // orderId -> { stage, etaSeconds, checkedAt } last ETA sent to the customer
+
+const PING_MIN_INTERVAL_MS = parseFloat(process.env.LOCATION_PING_MIN_INTERVAL_SECONDS || '5') * 1000;
+const ETA_CHECK_INTERVAL_MS = parseFloat(process.env.ETA_CHECK_INTERVAL_SECONDS || '15') * 1000;
+const ETA_MIN_CHANGE_SECONDS = parseFloat(process.env.ETA_MIN_CHANGE_SECONDS || '60');
+
+// Per-user rooms replace socket id maps, so emits reach devices on any instance
+const courierRoom = (courierId) => `courier:${courierId}`;
+const managerRoom = (managerId) => `manager:${managerId}`;
+const ADMIN_ROOM = 'admins';
+// Online couriers also sit in a room named after their vehicle
+export const DELIVERY_VEHICLES = ['Car', 'Motor', 'Bicycle'];
+
+// Keep the courier's trail for the order they carry (throttled per courier)
+const persistLocationPing = async (deliveryPersonId, activeOrder, location) => {
+  const now = Date.now();
+  if (now - (lastPingSavedAt.get(deliveryPersonId) || 0) < PING_MIN_INTERVAL_MS) return;
+  lastPingSavedAt.set(deliveryPersonId, now);
+
+  await LocationPing.create({
+    recordedAt: new Date(now),
+    meta: { orderId: activeOrder.orderId, courierId: deliveryPersonId },
+    lat: Number(location.latitude),
+    lng: Number(location.longitude),
+    accuracy: location.accuracy,
+    speed: location.speed,
+    heading: location.heading,
+  });
+};
 
-// Generate Verification Code
-const generateVerificationCode = () =>
-  Math.floor(100000 + Math.random() * 900000).toString();
+// Recompute the courier's ETA (to pickup before pickup, to the customer while
+// Delivering) and push it to the customer when it moves meaningfully
+const updateDeliveryEta = async (io, activeOrder, location) => {
+  const now = Date.now();
+  const last = lastEtas.get(activeOrder.orderId);
+  if (last && now - last.checkedAt < ETA_CHECK_INTERVAL_MS) return;
+  lastEtas.set(activeOrder.orderId, { ...last, checkedAt: now });
+
+  const order = await Order.findById(activeOrder.orderId).select(
+    'orderStatus restaurantLocation destinationLocation deliveryVehicle'
+  );
+  if (!order || !['Preparing', 'Cooked', 'Delivering'].includes(order.orderStatus)) return;
+
+  const stage = order.orderStatus === 'Delivering' ? 'ToCustomer' : 'ToRestaurant';
+  const route = await getRoute({
+    from: { lat: Number(location.latitude), lng: Number(location.longitude) },
+    to: stage === 'ToRestaurant' ? order.restaurantLocation : order.destinationLocation,
+    vehicle: order.deliveryVehicle,
+  });
+  const etaSeconds = Math.round(route.durationSeconds);
+
+  const changed =
+    !last?.stage ||
+    last.stage !== stage ||
+    Math.abs(last.etaSeconds - etaSeconds) >= ETA_MIN_CHANGE_SECONDS;
+  if (!changed) return;
+
+  lastEtas.set(activeOrder.orderId, { stage, etaSeconds, checkedAt: now });
+  io.to(`customer:${activeOrder.userId}`).emit('deliveryEta', {
+    orderId: activeOrder.orderId,
+    stage,
+    etaSeconds,
+    eta: new Date(now + etaSeconds * 1000),
+    distanceKm: Math.round(route.distanceKm * 100) / 100,
+    source: route.source,
+  });
+};
 
 // Populate Active Orders
 const populateActiveOrders = async (io) => {
@@ -22,27 +95,22 @@ const populateActiveOrders = async (io) => {
       deliveryId: { $exists: true, $ne: null }
     }).populate('userId', '_id').select('_id deliveryId userId orderStatus');
 
-    activeOrders.forEach((order) => {
+    for (const order of activeOrders) {
       if (order.deliveryId && order.userId) {
         const deliveryPersonIdStr = order.deliveryId.toString();
-        activeDeliveryOrders.set(deliveryPersonIdStr, {
+        await activeDeliveryOrders.set(deliveryPersonIdStr, {
           orderId: order._id.toString(),
           userId: order.userId._id.toString()
         });
         console.log(`💾 Loaded active order ${order._id} for delivery person ${deliveryPersonIdStr}`);
       }
-    });
+    }
 
     console.log(`✅ Loaded ${activeOrders.length} active delivering orders into memory`);
 
-    for (const deliveryPersonIdStr of activeDeliveryOrders.keys()) {
-      const sockets = deliverySockets.get(deliveryPersonIdStr);
-      if (sockets && sockets.size > 0) {
-        sockets.forEach((sid) => {
-          io.to(sid).emit('requestLocationUpdate', { reason: 'serverRestartActiveOrder' });
-        });
-        console.log(`📡 Requested location update from connected delivery person ${deliveryPersonIdStr} for active order`);
-      }
+    for (const [deliveryPersonIdStr] of await activeDeliveryOrders.entries()) {
+      io.to(courierRoom(deliveryPersonIdStr)).emit('requestLocationUpdate', { reason: 'serverRestartActiveOrder' });
+      console.log(`📡 Requested location update from delivery person ${deliveryPersonIdStr} for active order`);
     }
   } catch (err) {
     console.error('❌ Error populating active orders:', err);
@@ -87,7 +155,7 @@ export const notifyCustomer = (io, customerId, message) => {
 
 // Notify Delivery Group Helper
 export const notifyDeliveryGroup = (io, deliveryMethod, message) => {
-  if (!['Car', 'Motor', 'Bicycle'].includes(deliveryMethod)) {
+  if (!DELIVERY_VEHICLES.includes(deliveryMethod)) {
     console.log('❌ Invalid delivery method');
     return;
   }
@@ -95,21 +163,83 @@ export const notifyDeliveryGroup = (io, deliveryMethod, message) => {
   console.log(`📢 Sent message to ${deliveryMethod} group: ${JSON.stringify(message)}`);
 };
 
+// Delivery updates go to the customer, the order's courier and the couriers
+// of its vehicle (who may have it in their list), not to every socket
+export const notifyDeliveryParties = (io, { customerId, courierId, deliveryVehicle }, event, data) => {
+  const rooms = [
+    customerId && `customer:${customerId}`,
+    courierId && courierRoom(courierId),
+    DELIVERY_VEHICLES.includes(deliveryVehicle) && deliveryVehicle,
+  ].filter(Boolean);
+  if (rooms.length > 0) io.to(rooms).emit(event, data);
+};
+
+// Notify Admins Helper
+export const notifyAdmins = (io, event, data) => {
+  io.to(ADMIN_ROOM).emit(event, data);
+};
+
 // Notify Manager Helper
-export const notifyRestaurantManager = (io, managerId, orderData) => {
-  const sockets = managerSockets.get(managerId.toString());
-  if (sockets && sockets.size > 0) {
-    sockets.forEach((sid) => {
-      io.to(sid).emit('newOrder', orderData);
-    });
-    console.log(`✅ Notified manager ${managerId} on ${sockets.size} device(s)`);
-  } else {
-    console.log(`⚠️ Manager ${managerId} is not connected`);
+export const notifyRestaurantManager = (io, managerId, orderData, event = 'newOrder') => {
+  io.to(managerRoom(managerId)).emit(event, orderData);
+  console.log(`✅ Sent ${event} to manager ${managerId}`);
+};
+
+// Notify Delivery Person Helper
+export const notifyDeliveryPerson = (io, deliveryPersonId, event, message) => {
+  io.to(courierRoom(deliveryPersonId)).emit(event, message);
+  console.log(`✅ Sent ${event} to delivery person ${deliveryPersonId}`);
+};
+
+// Start relaying a courier's location for the order they just accepted
+export const setActiveDeliveryOrder = async (io, deliveryPersonId, activeOrder) => {
+  await activeDeliveryOrders.set(deliveryPersonId.toString(), activeOrder);
+};
+
+// Stop relaying a courier's location for an order that is no longer active
+export const clearActiveDeliveryOrder = async (io, deliveryPersonId) => {
+  const deliveryPersonIdStr = deliveryPersonId.toString();
+  const activeOrder = await activeDeliveryOrders.get(deliveryPersonIdStr);
+  if (activeOrder) {
+    lastEtas.delete(activeOrder.orderId);
+    forgetGeofences(activeOrder.orderId);
   }
+  await activeDeliveryOrders.delete(deliveryPersonIdStr);
+  await lastDeliveryLocations.delete(deliveryPersonIdStr);
+};
+
+// Online couriers (in their vehicle room on any instance) with a known location
+// and no active order, for the dispatcher
+export const getAvailableCouriers = async (deliveryMethod) => {
+  const io = getIO();
+  if (!io) return [];
+
+  const sockets = await io.in(deliveryMethod).fetchSockets();
+  const courierIds = new Set(
+    sockets
+      .filter((s) => s.data.role === 'Delivery_Person' && s.data.deliveryMethod === deliveryMethod)
+      .map((s) => s.data.userId)
+  );
+
+  const couriers = [];
+  for (const courierId of courierIds) {
+    if (await activeDeliveryOrders.get(courierId)) continue;
+    const location = await lastDeliveryLocations.get(courierId);
+    if (!location) continue;
+    couriers.push({ courierId, location });
+  }
+  return couriers;
+};
+
+// Courier went online/paused/offline: join or leave the vehicle room on every device
+export const setCourierAvailability = (io, courierId, deliveryMethod, online) => {
+  const devices = io.in(courierRoom(courierId));
+  if (online) devices.socketsJoin(deliveryMethod);
+  else devices.socketsLeave(deliveryMethod);
 };
 
 // Initialize Socket.IO
-export const initSocket = (httpServer) => {
+export const initSocket = async (httpServer) => {
   const CLIENT_URL = process.env.CLIENT_URL || '*';
   const io = new Server(httpServer, {
     cors: {
@@ -118,13 +248,27 @@ export const initSocket = (httpServer) => {
     },
   });
 
+  // With Redis, rooms and emits span every instance behind the load balancer
+  const pubClient = await connectRedis();
+  if (pubClient) {
+    const subClient = pubClient.duplicate();
+    subClient.on('error', (err) => console.error('❌ Redis subscriber error:', err.message));
+    await subClient.connect();
+    io.adapter(createAdapter(pubClient, subClient));
+  }
+
   io.use(authenticateSocket);
 
+  // Share the instance with controllers that emit through getIO()
+  setIO(io);
+
   // Populate active orders on startup
 //   populateActiveOrders(io);
 
   io.on('connection', (socket) => {
     const { _id: userId, role, deliveryMethod } = socket.user;
+    // Visible to fetchSockets() from other instances
+    socket.data = { userId: userId.toString(), role, deliveryMethod };
 
     console.log(
       `🔗 User connected: ${socket.id}, Role: ${role}, UserId: ${userId}`
@@ -138,10 +282,7 @@ export const initSocket = (httpServer) => {
 
     // Admin connection
     if (role === 'Admin') {
-      if (!adminSockets.has(userId.toString())) {
-        adminSockets.set(userId.toString(), new Set());
-      }
-      adminSockets.get(userId.toString()).add(socket.id);
+      socket.join(ADMIN_ROOM);
       console.log(`🛡️ Admin ${userId} connected on socket ${socket.id}`);
       socket.emit('message', 'Welcome Admin! You are connected.');
     }
@@ -156,7 +297,7 @@ export const initSocket = (httpServer) => {
 
     // Delivery Person connection
     if (role === 'Delivery_Person') {
-      if (!['Car', 'Motor', 'Bicycle'].includes(deliveryMethod)) {
+      if (!DELIVERY_VEHICLES.includes(deliveryMethod)) {
         socket.emit(
           'errorMessage',
           'Invalid delivery method. Allowed: Car, Motor, Bicycle'
@@ -164,28 +305,33 @@ export const initSocket = (httpServer) => {
         socket.disconnect(true);
         return;
       }
-      socket.join(deliveryMethod);
-
-      if (!deliverySockets.has(userId.toString())) {
-        deliverySockets.set(userId.toString(), new Set());
+      // Offers and broadcasts only reach couriers who are online
+      if (socket.user.courierStatus === 'Online') {
+        socket.join(deliveryMethod);
       }
-      deliverySockets.get(userId.toString()).add(socket.id);
 
-      console.log(`🚚 Delivery person ${userId} joined ${deliveryMethod} group`);
+      socket.join(courierRoom(userId));
+
+      const courierStatus = socket.user.courierStatus || 'Offline';
+      console.log(`🚚 Delivery person ${userId} connected (${deliveryMethod}, ${courierStatus})`);
       socket.emit(
         'message',
-        `Welcome Delivery_Person! You are in the ${deliveryMethod} group.`
+        courierStatus === 'Online'
+          ? `Welcome Delivery_Person! You are in the ${deliveryMethod} group.`
+          : `Welcome Delivery_Person! You are ${courierStatus}; start or resume your shift to receive orders.`
       );
 
-      const userIdStr = userId.toString();
-      if (activeDeliveryOrders.has(userIdStr)) {
-        socket.activeOrder = activeDeliveryOrders.get(userIdStr);
-        console.log(`🔄 Restored active order ${socket.activeOrder.orderId} for reconnecting delivery person ${userId}`);
-        socket.emit('requestLocationUpdate', { reason: 'activeOrderRestored' });
-        console.log(`📡 Requested location update from ${userId} for active order`);
-      } else {
-        console.log(`ℹ️ No active order found for delivery person ${userId} on connect`);
-      }
+      activeDeliveryOrders.get(userId.toString()).then((activeOrder) => {
+        if (activeOrder) {
+          console.log(`🔄 Restored active order ${activeOrder.orderId} for reconnecting delivery person ${userId}`);
+          socket.emit('requestLocationUpdate', { reason: 'activeOrderRestored' });
+          console.log(`📡 Requested location update from ${userId} for active order`);
+        } else {
+          console.log(`ℹ️ No active order found for delivery person ${userId} on connect`);
+        }
+      }).catch((err) => {
+        console.error('❌ Error restoring active order:', err.message);
+      });
 
       socket.on('locationUpdate', async ({ location }) => {
         if (!location || !location.latitude || !location.longitude) {
@@ -195,31 +341,38 @@ export const initSocket = (httpServer) => {
 
         try {
           const deliveryPersonId = socket.user._id.toString();
-          lastDeliveryLocations.set(deliveryPersonId, location);
+          await lastDeliveryLocations.set(deliveryPersonId, location);
 
-          if (!socket.activeOrder && activeDeliveryOrders.has(deliveryPersonId)) {
-            socket.activeOrder = activeDeliveryOrders.get(deliveryPersonId);
-            console.log(`🔄 Synced activeOrder from global for ${deliveryPersonId}`);
-          }
+          // Read from the shared store: the order may have been accepted through another instance
+          const activeOrder = await activeDeliveryOrders.get(deliveryPersonId);
 
-          adminSockets.forEach((socketsSet) => {
-            socketsSet.forEach((sid) => {
-              io.to(sid).emit('deliveryLocationUpdate', { 
-                userId: deliveryPersonId,
-                location,
-                deliveryPersonId
-              });
+          if (activeOrder?.orderId) {
+            persistLocationPing(deliveryPersonId, activeOrder, location).catch((err) => {
+              console.error('❌ Error saving location ping:', err.message);
             });
+          }
+
+          io.to(ADMIN_ROOM).emit('deliveryLocationUpdate', {
+            userId: deliveryPersonId,
+            location,
+            deliveryPersonId
           });
 
-          if (socket.activeOrder?.userId) {
-            const customerRoom = `customer:${socket.activeOrder.userId}`;
+          if (activeOrder?.userId) {
+            const customerRoom = `customer:${activeOrder.userId}`;
             io.to(customerRoom).emit('deliveryLocationUpdate', {
               deliveryPersonId,
               location,
-              orderId: socket.activeOrder.orderId,
+              orderId: activeOrder.orderId,
+            });
+            console.log(`📍 Location update sent to customer ${activeOrder.userId} for order ${activeOrder.orderId}`);
+
+            updateDeliveryEta(io, activeOrder, location).catch((err) => {
+              console.error('❌ Error updating delivery ETA:', err.message);
+            });
+            checkGeofences(io, activeOrder, location).catch((err) => {
+              console.error('❌ Error checking geofences:', err.message);
             });
-            console.log(`📍 Location update sent to customer ${socket.activeOrder.userId} for order ${socket.activeOrder.orderId}`);
           } else {
             console.debug(`ℹ️ No active order for ${deliveryPersonId} – skipping customer notify`);
           }
@@ -230,171 +383,110 @@ export const initSocket = (httpServer) => {
         }
       });
 
-      socket.on("acceptOrder", async ({ orderId }, callback) => {
-    const session = await mongoose.startSession();
-  session.startTransaction();
-
-  try {
-    const deliveryPersonId = socket.user._id;
-
-    if (!orderId) throw new Error("Order ID is required.");
+      socket.on('acceptOrder', async ({ orderId } = {}, callback = () => {}) => {
+        try {
+          if (!orderId) throw new AppError('Order ID is required.', 400);
+          if (!mongoose.isValidObjectId(orderId)) throw new AppError('Invalid order ID format.', 400);
+          const deliveryPersonId = socket.user._id;
 
-    const existingOrder = await Order.findOne({
-      deliveryId: deliveryPersonId,
-      orderStatus: { $nin: ["Completed", "Cancelled"] },
-    }).session(session);
+          // Same atomic claim as the REST route: only one courier can win
+          const order = await acceptDeliveryOrder(orderId, socket.user);
 
-    if (existingOrder)
-      throw new Error(
-        "You already have an active order. Complete or cancel it before accepting a new one."
-      );
+          // ✅ Store active order data
+          const activeOrderData = {
+            orderId,
+            userId: order.userId._id.toString(),
+          };
+          await activeDeliveryOrders.set(deliveryPersonId.toString(), activeOrderData);
+
+          // ✅ Save initial delivery location info in Firebase
+          if (db) {
+            await db.ref(`deliveryLocations/${deliveryPersonId}`).set({
+              orderId,
+              deliveryPersonId: deliveryPersonId.toString(),
+              status: 'active',
+              lat: 0,
+              lng: 0,
+              lastUpdated: Date.now(),
+            });
+          }
 
-    const order = await Order.findById(orderId)
-      .populate("userId", "_id")
-      .session(session);
-
-    if (!order) throw new Error("Order is not available for acceptance.");
-
-    const orderVehicle = order.deliveryVehicle;
-    if (socket.user.deliveryMethod !== orderVehicle)
-      throw new Error("You are not eligible to accept the order.");
-
-    const pickUpcode = generateVerificationCode();
-    order.deliveryVerificationCode = pickUpcode;
-    order.deliveryId = deliveryPersonId;
-    await order.save({ session });
-
-    await session.commitTransaction();
-
-    // ✅ Store active order data
-    const activeOrderData = {
-      orderId,
-      userId: order.userId._id.toString(),
-    };
-    activeDeliveryOrders.set(deliveryPersonId.toString(), activeOrderData);
-    socket.activeOrder = activeOrderData;
-
-    // ✅ Save initial delivery location info in Firebase
-    const locationRef = firebaseDB.ref(`deliveryLocations/${deliveryPersonId}`);
-    await locationRef.set({
-      orderId,
-      deliveryPersonId,
-      status: "active",
-      lat: 0,
-      lng: 0,
-      lastUpdated: Date.now(),
-    });
+          // ✅ Send confirmation to the delivery person
+          callback({
+            status: 'success',
+            message: `Order ${order.orderCode} accepted.`,
+            data: {
+              restaurantLocation: order.restaurantLocation,
+              deliverLocation: order.destinationLocation,
+              deliveryFee: parseFloat(order.deliveryFee?.toString() || '0'),
+              tip: parseFloat(order.tip?.toString() || '0'),
+              distanceKm: order.distanceKm,
+              description: order.description,
+              status: order.orderStatus,
+              orderCode: order.orderCode,
+              pickUpVerification: order.deliveryVerificationCode,
+              readyBy: order.orderStatus === 'Preparing' ? order.preparation?.estimatedReadyAt : null,
+            },
+          });
+        } catch (error) {
+          console.error('Error accepting order:', error.message);
+          callback({
+            status: 'error',
+            statusCode: error.statusCode || 500,
+            message: error.message || 'An error occurred while accepting the order.',
+          });
+        }
+      });
 
-    // ✅ Send confirmation to the delivery person
-    callback({
-      status: "success",
-      message: `Order ${order.orderCode} accepted.`,
-      data: {
-        restaurantLocation: order.restaurantLocation,
-        deliverLocation: order.destinationLocation,
-        deliveryFee: parseFloat(order.deliveryFee?.toString() || "0"),
-        tip: parseFloat(order.tip?.toString() || "0"),
-        distanceKm: order.distanceKm,
-        description: order.description,
-        status: order.orderStatus,
-        orderCode: order.orderCode,
-        pickUpVerification: order.deliveryVerificationCode,
-      },
-    });
-  } catch (error) {
-    await session.abortTransaction();
-    console.error("Error accepting order:", error);
-    callback({
-      status: "error",
-      message: error.message || "An error occurred while accepting the order.",
-    });
-  } finally {
-    session.endSession();
-  }
-});
+      // Courier passed on a dispatch offer: offer the order to the next nearest courier
+      socket.on('rejectOffer', async ({ orderId, reason } = {}, callback = () => {}) => {
+        try {
+          if (!orderId) throw new Error('Order ID is required.');
+          const rejected = await rejectDispatchOffer(orderId, socket.user._id, reason);
+          if (!rejected) throw new Error('You do not hold an offer for this order.');
+          callback({ status: 'success', message: 'Offer rejected.' });
+        } catch (error) {
+          callback({ status: 'error', message: error.message });
+        }
+      });
 
-      socket.on('completeOrder', async ({ orderId }, callback) => {
-        const session = await mongoose.startSession();
-        session.startTransaction();
+      // Same hand-over as the REST route: verification code, cash collection and courier earnings
+      socket.on('completeOrder', async ({ orderId, verificationCode, cashCollected } = {}, callback = () => {}) => {
         try {
-          const order = await Order.findById(orderId).populate('userId', '_id').session(session);
-          if (!order || order.deliveryId.toString() !== socket.user._id.toString()) {
-            throw new Error('Cannot complete this order.');
-          }
-          order.orderStatus = 'Completed';
-          await order.save({ session });
-          await session.commitTransaction();
-          
-          const deliveryPersonIdStr = socket.user._id.toString();
-          activeDeliveryOrders.delete(deliveryPersonIdStr);
-          lastDeliveryLocations.delete(deliveryPersonIdStr);
-          delete socket.activeOrder;
-          
-          notifyCustomer(io, order.userId._id.toString(), { 
-            type: 'orderCompleted', 
-            orderId,
-            message: `Your order ${order.orderCode} has been completed!`
+          if (!orderId || !verificationCode) throw new AppError('Order ID and verification code are required.', 400);
+          const order = await completeDelivery({ _id: orderId }, socket.user, {
+            verificationCode,
+            cashCollected,
+            source: 'Socket',
           });
-          adminSockets.forEach((socketsSet) => {
-            socketsSet.forEach((sid) => {
-              io.to(sid).emit('orderCompleted', { 
-                orderId, 
-                deliveryPersonId: socket.user._id 
-              });
-            });
-          });
-          
-          callback({ status: 'success', message: 'Order completed.' });
+          callback({ status: 'success', message: `Order ${order.orderCode} completed.` });
         } catch (error) {
-          await session.abortTransaction();
-          callback({ status: 'error', message: error.message });
-        } finally {
-          session.endSession();
+          callback({ status: 'error', statusCode: error.statusCode || 500, message: error.message });
         }
       });
     }
 
     // Manager connection
     if (role === 'Manager') {
-      if (!managerSockets.has(userId.toString())) {
-        managerSockets.set(userId.toString(), new Set());
-      }
-      managerSockets.get(userId.toString()).add(socket.id);
-      console.log(`🏢 Manager ${userId} mapped to socket ${socket.id}`);
+      socket.join(managerRoom(userId));
+      console.log(`🏢 Manager ${userId} joined room ${managerRoom(userId)} on socket ${socket.id}`);
       socket.emit('message', 'Welcome Manager! You are connected.');
     }
 
-    // Handle disconnect
-    socket.on('disconnect', () => {
+    // Handle disconnect (the socket has already left its rooms)
+    socket.on('disconnect', async () => {
       console.log(`❌ User disconnected: ${socket.id}`);
 
       if (role === 'Delivery_Person') {
-        if (socket.activeOrder) {
-          console.log(`⚠️ Clearing activeOrder for disconnected delivery person ${userId}`);
-          activeDeliveryOrders.delete(userId.toString());
-          lastDeliveryLocations.delete(userId.toString());
-          delete socket.activeOrder;
-        }
-
-        if (deliverySockets.has(userId.toString())) {
-          deliverySockets.get(userId.toString()).delete(socket.id);
-          if (deliverySockets.get(userId.toString()).size === 0) {
-            deliverySockets.delete(userId.toString());
+        // Keep the active order so it is restored on reconnect; the trail is persisted
+        try {
+          const remaining = await io.in(courierRoom(userId)).fetchSockets();
+          if (remaining.length === 0) {
+            await lastDeliveryLocations.delete(userId.toString());
+            lastPingSavedAt.delete(userId.toString());
           }
-        }
-      }
-
-      if (role === 'Manager' && managerSockets.has(userId.toString())) {
-        managerSockets.get(userId.toString()).delete(socket.id);
-        if (managerSockets.get(userId.toString()).size === 0) {
-          managerSockets.delete(userId.toString());
-        }
-      }
-
-      if (role === 'Admin' && adminSockets.has(userId.toString())) {
-        adminSockets.get(userId.toString()).delete(socket.id);
-        if (adminSockets.get(userId.toString()).size === 0) {
-          adminSockets.delete(userId.toString());
+        } catch (err) {
+          console.error('❌ Error cleaning up delivery person state:', err.message);
         }
       }
     });
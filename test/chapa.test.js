@@ -0,0 +1,47 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mapChapaStatus, signChapaPayload, verifyChapaSignature } from '../utils/chapa.js';
+
+const body = JSON.stringify({ event: 'charge.success', tx_ref: 'checkout-1', status: 'success' });
+const signature = signChapaPayload(body, process.env.CHAPA_WEBHOOK_SECRET);
+
+describe('verifyChapaSignature', () => {
+  it('accepts the body signed with the webhook secret', () => {
+    assert.equal(verifyChapaSignature(body, { 'x-chapa-signature': signature }), true);
+    assert.equal(verifyChapaSignature(body, { 'chapa-signature': signature }), true);
+  });
+
+  it('rejects a tampered body', () => {
+    const tampered = body.replace('checkout-1', 'checkout-2');
+    assert.equal(verifyChapaSignature(tampered, { 'x-chapa-signature': signature }), false);
+  });
+
+  it('rejects a signature made with another secret', () => {
+    const forged = signChapaPayload(body, 'not-the-secret');
+    assert.equal(verifyChapaSignature(body, { 'x-chapa-signature': forged }), false);
+  });
+
+  it('rejects missing, malformed and truncated signatures', () => {
+    assert.equal(verifyChapaSignature(body, {}), false);
+    assert.equal(verifyChapaSignature(body, { 'x-chapa-signature': 'zz-not-hex' }), false);
+    assert.equal(verifyChapaSignature(body, { 'x-chapa-signature': signature.slice(0, 32) }), false);
+    assert.equal(verifyChapaSignature('', { 'x-chapa-signature': signature }), false);
+  });
+});
+
+describe('mapChapaStatus', () => {
+  it('maps Chapa statuses to transaction statuses', () => {
+    assert.equal(mapChapaStatus('success'), 'Paid');
+    assert.equal(mapChapaStatus('FAILED'), 'Failed');
+    assert.equal(mapChapaStatus('cancelled'), 'Failed');
+    assert.equal(mapChapaStatus('expired'), 'Expired');
+    assert.equal(mapChapaStatus('pending'), 'Pending');
+    assert.equal(mapChapaStatus(undefined), 'Pending');
+  });
+
+  it('treats refund events as Refunded whatever the status', () => {
+    assert.equal(mapChapaStatus('success', 'charge.refunded'), 'Refunded');
+    assert.equal(mapChapaStatus(null, 'refund.success'), 'Refunded');
+  });
+});
@@ -0,0 +1,133 @@
+import './helpers/env.js';
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectTestDb, disconnectTestDb, skipWithoutDb } from './helpers/db.js';
+import { close, listen } from './helpers/http.js';
+
+const post = (url, body, headers = {}) =>
+  fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+  });
+
+describe('Chapa webhook against the mock Chapa server', { skip: skipWithoutDb }, () => {
+  let mock;
+  let api;
+  let Order;
+  let Checkout;
+  let WebhookEvent;
+  let PaymentDiscrepancy;
+  let createPendingCheckout;
+  let signChapaPayload;
+  const paidOrderIds = [];
+
+  before(async () => {
+    // utils/chapa.js reads CHAPA_API_URL on import, so the mock's port must be known first
+    mock = await listen();
+    process.env.CHAPA_API_URL = `${mock.url}/v1`;
+
+    const { default: app } = await import('../app.js');
+    const { createMockChapa } = await import('../scripts/mockChapaServer.js');
+    const { subscribe, EVENTS } = await import('../events/eventBus.js');
+    ({ signChapaPayload } = await import('../utils/chapa.js'));
+    ({ createPendingCheckout } = await import('./helpers/fixtures.js'));
+    ({ default: Order } = await import('../models/Order.js'));
+    ({ default: Checkout } = await import('../models/Checkout.js'));
+    ({ default: WebhookEvent } = await import('../models/WebhookEvent.js'));
+    ({ default: PaymentDiscrepancy } = await import('../models/PaymentDiscrepancy.js'));
+
+    api = await listen(app);
+    mock.server.on(
+      'request',
+      createMockChapa({
+        webhookUrl: `${api.url}/api/v1/orders/chapa-webhook`,
+        webhookSecret: process.env.CHAPA_WEBHOOK_SECRET,
+        log: false,
+      })
+    );
+    subscribe(EVENTS.ORDER_PAID, 'test', ({ orderId }) => paidOrderIds.push(orderId));
+    await connectTestDb('chapa_webhook');
+  });
+
+  after(async () => {
+    await close(api?.server);
+    await close(mock?.server);
+    await disconnectTestDb();
+  });
+
+  const initializeOnMock = async (txRef, checkout, amount = checkout.totalPrice.toString()) => {
+    const response = await post(`${mock.url}/v1/transaction/initialize`, { tx_ref: txRef, amount, currency: 'ETB' });
+    assert.equal(response.status, 200);
+  };
+  const outcomesOf = async (txRef) =>
+    (await WebhookEvent.find({ txRef }).sort('createdAt')).map((event) => event.outcome);
+  const statusOf = async (checkout) => (await Checkout.findById(checkout._id)).transaction.status;
+
+  it('rejects a webhook whose signature does not match, without touching the payment', async () => {
+    const { checkout, txRef } = await createPendingCheckout();
+    await initializeOnMock(txRef, checkout);
+
+    const body = JSON.stringify({ event: 'charge.success', tx_ref: txRef, status: 'success' });
+    const response = await post(`${api.url}/api/v1/orders/chapa-webhook`, body, {
+      'x-chapa-signature': signChapaPayload(body, 'forged-secret'),
+    });
+
+    assert.equal(response.status, 401);
+    assert.equal(await statusOf(checkout), 'Pending');
+    const [event] = await WebhookEvent.find({ txRef });
+    assert.equal(event.outcome, 'Rejected');
+    assert.equal(event.signatureValid, false);
+  });
+
+  it('processes a replayed event once and answers the replay as a duplicate', async () => {
+    const { checkout, orders, txRef } = await createPendingCheckout({ orderCount: 2 });
+    await initializeOnMock(txRef, checkout);
+
+    const paid = await (await fetch(`${mock.url}/checkout/${txRef}`)).json();
+    assert.equal(paid.webhookStatus, 200);
+    const replay = await (await post(`${mock.url}/mock/resend/${txRef}`, {})).json();
+    assert.equal(replay.webhookStatus, 200);
+
+    assert.equal(await statusOf(checkout), 'Paid');
+    assert.deepEqual(await outcomesOf(txRef), ['Processed', 'Duplicate']);
+    for (const order of orders) {
+      const stored = await Order.findById(order._id);
+      assert.equal(stored.transaction.status, 'Paid');
+      assert.ok(stored.releasedAt);
+      // The restaurant hears about each order once
+      assert.equal(paidOrderIds.filter((id) => id === order._id.toString()).length, 1);
+    }
+  });
+
+  it('fails the webhook while verify is down and applies it when Chapa retries', async () => {
+    const { checkout, orders, txRef } = await createPendingCheckout();
+    await initializeOnMock(txRef, checkout);
+    await post(`${mock.url}/mock/fail-verify/${txRef}`, { times: 1 });
+
+    const first = await (await fetch(`${mock.url}/checkout/${txRef}`)).json();
+    assert.equal(first.webhookStatus, 500);
+    assert.equal(await statusOf(checkout), 'Pending');
+
+    const retry = await (await post(`${mock.url}/mock/resend/${txRef}`, {})).json();
+    assert.equal(retry.webhookStatus, 200);
+    assert.equal(await statusOf(checkout), 'Paid');
+    assert.equal((await Order.findById(orders[0]._id)).transaction.status, 'Paid');
+    assert.deepEqual(await outcomesOf(txRef), ['Failed', 'Processed']);
+  });
+
+  it('does not release orders when Chapa reports a different amount', async () => {
+    const { checkout, orders, txRef } = await createPendingCheckout();
+    await initializeOnMock(txRef, checkout, '1');
+
+    const paid = await (await fetch(`${mock.url}/checkout/${txRef}`)).json();
+    assert.equal(paid.webhookStatus, 200);
+    assert.equal(await statusOf(checkout), 'Pending');
+    assert.equal((await Order.findById(orders[0]._id, null, { bypassPaidFilter: true })).releasedAt, undefined);
+    assert.deepEqual(await outcomesOf(txRef), ['Rejected']);
+
+    const discrepancy = await PaymentDiscrepancy.findOne({ txRef, kind: 'AmountMismatch' });
+    assert.equal(discrepancy.expectedAmount, 250);
+    assert.equal(discrepancy.providerAmount, 1);
+  });
+});
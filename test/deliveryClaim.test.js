@@ -0,0 +1,131 @@
+import './helpers/env.js';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { io as connectSocket } from 'socket.io-client';
+import { connectTestDb, disconnectTestDb, skipWithoutDb } from './helpers/db.js';
+import { close, listen } from './helpers/http.js';
+
+// REST (POST /orders/accept-for-delivery) and socket (acceptOrder) claims race
+// for the same order; exactly one courier may win it.
+describe('Claiming a delivery order concurrently', { skip: skipWithoutDb }, () => {
+  let api;
+  let Order;
+  let User;
+  let CourierShift;
+  let createOnlineCourier;
+  let createCookedOrder;
+  const sockets = [];
+
+  before(async () => {
+    const { default: app } = await import('../app.js');
+    const { initSocket } = await import('../socket.js');
+    ({ default: Order } = await import('../models/Order.js'));
+    ({ default: User } = await import('../models/userModel.js'));
+    ({ default: CourierShift } = await import('../models/CourierShift.js'));
+    ({ createOnlineCourier, createCookedOrder } = await import('./helpers/fixtures.js'));
+
+    api = await listen(app);
+    await initSocket(api.server);
+    await connectTestDb('delivery_claim');
+  });
+
+  beforeEach(async () => {
+    await Order.deleteMany({});
+  });
+
+  after(async () => {
+    sockets.forEach((socket) => socket.disconnect());
+    await close(api?.server);
+    await disconnectTestDb();
+  });
+
+  const connect = (token) =>
+    new Promise((resolve, reject) => {
+      const socket = connectSocket(api.url, { auth: { token }, transports: ['websocket'], reconnection: false });
+      sockets.push(socket);
+      socket.once('connect', () => resolve(socket));
+      socket.once('connect_error', reject);
+    });
+
+  // Both paths answer with { ok, statusCode }
+  const claimOverRest = async (token, orderId) => {
+    const response = await fetch(`${api.url}/api/v1/orders/accept-for-delivery`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ orderId }),
+    });
+    return { via: 'REST', ok: response.status === 200, statusCode: response.status };
+  };
+  const claimOverSocket = async (socket, orderId) => {
+    const reply = await socket.timeout(10000).emitWithAck('acceptOrder', { orderId: orderId.toString() });
+    return { via: 'socket', ok: reply.status === 'success', statusCode: reply.status === 'success' ? 200 : reply.statusCode };
+  };
+
+  it('lets exactly one of many couriers win the order; the rest get 409', async () => {
+    const couriers = await Promise.all(Array.from({ length: 8 }, () => createOnlineCourier()));
+    const socketCouriers = couriers.slice(0, 4);
+    const restCouriers = couriers.slice(4);
+    const connected = await Promise.all(socketCouriers.map(({ token }) => connect(token)));
+    const order = await createCookedOrder({ deliveryVehicle: 'Motor' });
+
+    const results = await Promise.all([
+      ...connected.map((socket) => claimOverSocket(socket, order._id)),
+      ...restCouriers.map(({ token }) => claimOverRest(token, order._id)),
+    ]);
+
+    const winners = results.filter((result) => result.ok);
+    assert.equal(winners.length, 1, JSON.stringify(results));
+    assert.deepEqual(
+      results.filter((result) => !result.ok).map((result) => result.statusCode),
+      Array(results.length - 1).fill(409)
+    );
+
+    const stored = await Order.findById(order._id);
+    assert.ok(couriers.some(({ courier }) => courier._id.equals(stored.deliveryId)));
+    assert.equal(stored.dispatch.status, 'Assigned');
+  });
+
+  it('lets a courier claiming two orders at once over REST and socket keep only one', async () => {
+    for (let round = 0; round < 5; round += 1) {
+      const { courier, token } = await createOnlineCourier();
+      const socket = await connect(token);
+      const [first, second] = await Promise.all([createCookedOrder(), createCookedOrder()]);
+
+      const results = await Promise.all([claimOverRest(token, first._id), claimOverSocket(socket, second._id)]);
+
+      assert.equal(results.filter((result) => result.ok).length, 1, JSON.stringify(results));
+      assert.equal(results.find((result) => !result.ok).statusCode, 400);
+      assert.equal(await Order.countDocuments({ deliveryId: courier._id }), 1);
+    }
+  });
+
+  it('refuses couriers who are paused or off shift, over REST and socket', async () => {
+    const paused = await createOnlineCourier();
+    const offShift = await createOnlineCourier();
+    const pausedSocket = await connect(paused.token);
+    const offShiftSocket = await connect(offShift.token);
+    // Changed after connecting: the socket's copy of the user is stale
+    await User.updateOne({ _id: paused.courier._id }, { courierStatus: 'Paused' });
+    await CourierShift.updateOne({ courierId: offShift.courier._id }, { status: 'Closed', endedAt: new Date() });
+    const order = await createCookedOrder();
+
+    const results = await Promise.all([
+      claimOverRest(paused.token, order._id),
+      claimOverSocket(pausedSocket, order._id),
+      claimOverRest(offShift.token, order._id),
+      claimOverSocket(offShiftSocket, order._id),
+    ]);
+
+    assert.deepEqual(results.map((result) => result.statusCode), [403, 403, 403, 403]);
+    assert.ok(!(await Order.findById(order._id)).deliveryId);
+  });
+
+  it('answers a malformed order id with 400, over REST and socket', async () => {
+    const { token } = await createOnlineCourier();
+    const socket = await connect(token);
+
+    const results = await Promise.all([claimOverRest(token, 'not-an-id'), claimOverSocket(socket, 'not-an-id')]);
+
+    assert.deepEqual(results.map((result) => result.statusCode), [400, 400]);
+  });
+});
@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// Integration suites need a MongoDB server; a standalone one will do, since
+// nothing uses transactions (the claim race relies on a unique index), e.g.
+//   TEST_MONGODB_URI=mongodb://localhost:27017 npm test
+const TEST_MONGODB_URI = process.env.TEST_MONGODB_URI;
+
+// `skip` option for suites that need the database
+export const skipWithoutDb = TEST_MONGODB_URI ? false : 'TEST_MONGODB_URI is not set';
+
+// Connect to a fresh database for one test file, with every model's indexes built
+export const connectTestDb = async (name) => {
+  await mongoose.connect(TEST_MONGODB_URI, { dbName: `gebeta_test_${name}` });
+  await mongoose.connection.dropDatabase();
+  await Promise.all(mongoose.modelNames().map((modelName) => mongoose.model(modelName).createIndexes()));
+};
+
+export const disconnectTestDb = async () => {
+  if (mongoose.connection.readyState !== 1) return;
+  await mongoose.connection.dropDatabase();
+  await mongoose.disconnect();
+};
@@ -0,0 +1,6 @@
+// Settings the app reads at import time. Import this before anything from the app.
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.CHAPA_SECRET_KEY = process.env.CHAPA_SECRET_KEY || 'CHASECK_TEST-key';
+process.env.CHAPA_WEBHOOK_SECRET = process.env.CHAPA_WEBHOOK_SECRET || 'test-webhook-secret';
+process.env.AFROMESSAGE_API_TOKEN = process.env.AFROMESSAGE_API_TOKEN || 'test-token';
@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import Checkout from '../../models/Checkout.js';
+import CourierShift from '../../models/CourierShift.js';
+import Order from '../../models/Order.js';
+import User from '../../models/userModel.js';
+
+const { ObjectId } = mongoose.Types;
+
+let sequence = 0;
+const nextCode = () => `T${Date.now().toString(36).toUpperCase()}${(sequence += 1)}`;
+
+/**
+ * Order for one dish. Fields not given get values that pass the schema.
+ * @param {object} [fields]
+ */
+export const buildOrder = (fields = {}) => ({
+  userId: new ObjectId(),
+  restaurantId: new ObjectId(),
+  orderItems: [{ foodId: new ObjectId(), quantity: 1, price: 200, name: 'Kitfo' }],
+  foodTotal: 200,
+  deliveryFee: 50,
+  totalPrice: 250,
+  typeOfOrder: 'Delivery',
+  deliveryVehicle: 'Motor',
+  orderCode: nextCode(),
+  transaction: { totalPrice: 250, method: 'Chapa', status: 'Pending' },
+  ...fields,
+});
+
+/**
+ * Unpaid checkout with `orderCount` child orders, as checkout creates them.
+ * @returns {Promise<{ checkout: object, orders: object[], txRef: string }>}
+ */
+export const createPendingCheckout = async ({ orderCount = 1, method = 'Chapa' } = {}) => {
+  const userId = new ObjectId();
+  const checkoutId = new ObjectId();
+  const txRef = `checkout-${checkoutId}`;
+
+  const orders = await Order.create(
+    Array.from({ length: orderCount }, () =>
+      buildOrder({ userId, checkoutId, transaction: { totalPrice: 250, method, status: 'Pending' } })
+    )
+  );
+  const checkout = await Checkout.create({
+    _id: checkoutId,
+    userId,
+    orders: orders.map((order) => order._id),
+    foodTotal: 200 * orderCount,
+    deliveryFee: 50 * orderCount,
+    totalPrice: 250 * orderCount,
+    transaction: { method, status: 'Pending', txRef },
+  });
+  return { checkout, orders, txRef };
+};
+
+let phoneSequence = 0;
+
+/**
+ * Courier on an open shift, Online, with a bearer token for REST and sockets.
+ * @returns {Promise<{ courier: object, token: string }>}
+ */
+export const createOnlineCourier = async ({ deliveryMethod = 'Motor' } = {}) => {
+  phoneSequence += 1;
+  const courierId = new ObjectId();
+  const shift = await CourierShift.create({ courierId });
+  const courier = await User.create({
+    _id: courierId,
+    firstName: 'Courier',
+    phone: `+2519${String(10000000 + phoneSequence)}`,
+    password: 'test-password',
+    passwordConfirm: 'test-password',
+    role: 'Delivery_Person',
+    fcnNumber: `FCN${phoneSequence}`,
+    deliveryMethod,
+    courierStatus: 'Online',
+    currentShiftId: shift._id,
+  });
+  const token = jwt.sign({ id: courier._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+  return { courier, token };
+};
+
+/**
+ * Paid delivery order the kitchen has finished, waiting for a courier.
+ * @param {object} [fields]
+ */
+export const createCookedOrder = (fields = {}) =>
+  Order.create(
+    buildOrder({
+      orderStatus: 'Cooked',
+      transaction: { totalPrice: 250, method: 'Chapa', status: 'Paid' },
+      ...fields,
+    })
+  );
@@ -0,0 +1,18 @@
+import http from 'http';
+
+// Listen on a free port; resolves with the server and its base URL
+export const listen = (handler) =>
+  new Promise((resolve, reject) => {
+    const server = http.createServer(handler);
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+
+export const close = (server) =>
+  new Promise((resolve) => {
+    if (!server) return resolve();
+    server.closeAllConnections?.();
+    server.close(() => resolve());
+  });
@@ -0,0 +1,39 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Order from '../models/Order.js';
+
+describe('Order.canTransition', () => {
+  it('takes a pending order through the kitchen before it is cooked', () => {
+    assert.equal(Order.canTransition('Pending', 'Preparing'), true);
+    assert.equal(Order.canTransition('Preparing', 'Cooked'), true);
+    assert.equal(Order.canTransition('Pending', 'Cooked'), false);
+  });
+
+  it('allows cancelling until the order is completed', () => {
+    ['Pending', 'Preparing', 'Cooked', 'Delivering'].forEach((status) => {
+      assert.equal(Order.canTransition(status, 'Cancelled'), true, status);
+    });
+    assert.equal(Order.canTransition('Completed', 'Cancelled'), false);
+  });
+
+  it('never moves an order backwards or out of a final status', () => {
+    assert.equal(Order.canTransition('Delivering', 'Cooked'), false);
+    assert.equal(Order.canTransition('Cooked', 'Preparing'), false);
+    assert.equal(Order.canTransition('Cancelled', 'Pending'), false);
+    assert.equal(Order.canTransition('Unknown', 'Pending'), false);
+  });
+});
+
+describe('Order.readyForPickupFilter', () => {
+  it('matches cooked orders and those due out of the kitchen within the dispatch lead time', () => {
+    const now = new Date('2026-01-01T12:00:00Z');
+    const [cooked, preparing] = Order.readyForPickupFilter(now).$or;
+    assert.deepEqual(cooked, { orderStatus: 'Cooked' });
+    assert.equal(preparing.orderStatus, 'Preparing');
+    assert.equal(
+      preparing['preparation.estimatedReadyAt'].$lte.getTime(),
+      now.getTime() + Order.dispatchLeadTimeMs()
+    );
+  });
+});
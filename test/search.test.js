@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { editDistance, fuzzyQuery, fuzzyScore } from '../utils/search.js';
+
+describe('editDistance', () => {
+  it('counts insertions, deletions and substitutions', () => {
+    assert.equal(editDistance('tibs', 'tibs'), 0);
+    assert.equal(editDistance('tibz', 'tibs'), 1);
+    assert.equal(editDistance('shiro', 'shir'), 1);
+    assert.equal(editDistance('kitfo', 'kitfos'), 1);
+    assert.equal(editDistance('injera', 'enjira'), 2);
+  });
+
+  it('gives up once the distance exceeds the limit', () => {
+    assert.equal(editDistance('injera', 'enjira', 1), Infinity);
+    assert.equal(editDistance('tibs', 'tibsandmore', 2), Infinity);
+  });
+});
+
+describe('fuzzyScore', () => {
+  it('matches names with a typo in longer words', () => {
+    const { words } = fuzzyQuery('Tibz');
+    assert.ok(fuzzyScore(['Special Tibs'], words) > 0);
+    assert.ok(fuzzyScore(['Special Tibs'], words) < fuzzyScore(['Special Tibz'], words));
+  });
+
+  it('needs every query word to match', () => {
+    const { words } = fuzzyQuery('shirp firfir');
+    assert.ok(fuzzyScore(['Shiro Firfir'], words) > 0);
+    assert.equal(fuzzyScore(['Shiro Wot'], words), 0);
+  });
+
+  it('takes short words only as spelled', () => {
+    const { words } = fuzzyQuery('wat');
+    assert.equal(fuzzyScore(['Doro Wot'], words), 0);
+    assert.equal(fuzzyScore(['Doro Wat'], words), 1);
+  });
+
+  it('looks up candidates by the first letters of each word', () => {
+    assert.deepEqual(fuzzyQuery('Tibz tibz ክትፎ').prefixes, ['ti', 'kt']);
+  });
+});
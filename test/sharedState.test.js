@@ -0,0 +1,92 @@
+import './helpers/env.js';
+import { after, afterEach, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectRedis, disconnectRedis, getRedis } from '../utils/redis.js';
+import { createSharedMap } from '../utils/sharedState.js';
+
+// Redis-backed cases need a Redis server, e.g. TEST_REDIS_URL=redis://localhost:6379/15 npm test
+const TEST_REDIS_URL = process.env.TEST_REDIS_URL;
+const configuredRedisUrl = process.env.REDIS_URL;
+
+const restoreRedisUrl = () => {
+  if (configuredRedisUrl === undefined) delete process.env.REDIS_URL;
+  else process.env.REDIS_URL = configuredRedisUrl;
+};
+
+describe('createSharedMap without Redis', () => {
+  before(() => {
+    delete process.env.REDIS_URL;
+  });
+  after(restoreRedisUrl);
+
+  it('keeps values in memory', async () => {
+    const map = createSharedMap('test:memory');
+    await map.set('courier-1', { orderId: 'o1' });
+    assert.deepEqual(await map.get('courier-1'), { orderId: 'o1' });
+    assert.deepEqual(await map.entries(), [['courier-1', { orderId: 'o1' }]]);
+    await map.delete('courier-1');
+    assert.equal(await map.get('courier-1'), undefined);
+  });
+});
+
+describe('createSharedMap with REDIS_URL set but no connection', () => {
+  before(() => {
+    process.env.REDIS_URL = 'redis://127.0.0.1:1';
+  });
+  after(restoreRedisUrl);
+
+  it('rejects instead of falling back to memory', async () => {
+    const map = createSharedMap('test:unconnected');
+    assert.equal(getRedis(), null);
+    await assert.rejects(map.set('courier-1', { orderId: 'o1' }), /Redis is not connected/);
+    await assert.rejects(map.get('courier-1'), /Redis is not connected/);
+    await assert.rejects(map.entries(), /Redis is not connected/);
+    await assert.rejects(map.delete('courier-1'), /Redis is not connected/);
+  });
+});
+
+describe('createSharedMap over Redis', { skip: TEST_REDIS_URL ? false : 'TEST_REDIS_URL is not set' }, () => {
+  const name = `test:${process.pid}`;
+
+  before(async () => {
+    process.env.REDIS_URL = TEST_REDIS_URL;
+    await connectRedis();
+  });
+
+  afterEach(async () => {
+    await getRedis()?.del(`gebeta:${name}`);
+  });
+
+  after(async () => {
+    await disconnectRedis();
+    restoreRedisUrl();
+  });
+
+  it('shares values between maps of the same name, as between instances', async () => {
+    const instanceA = createSharedMap(name);
+    const instanceB = createSharedMap(name);
+
+    await instanceA.set('courier-1', { orderId: 'o1', userId: 'u1' });
+    assert.deepEqual(await instanceB.get('courier-1'), { orderId: 'o1', userId: 'u1' });
+
+    await instanceB.set('courier-2', { orderId: 'o2', userId: 'u2' });
+    const entries = new Map(await instanceA.entries());
+    assert.deepEqual(entries.get('courier-2'), { orderId: 'o2', userId: 'u2' });
+    assert.equal(entries.size, 2);
+
+    await instanceA.delete('courier-1');
+    assert.equal(await instanceB.get('courier-1'), undefined);
+  });
+
+  it('stores values in a Redis hash as JSON', async () => {
+    await createSharedMap(name).set('courier-1', { lat: 9.01, lng: 38.76 });
+    assert.equal(await getRedis().hGet(`gebeta:${name}`, 'courier-1'), '{"lat":9.01,"lng":38.76}');
+  });
+
+  it('rejects once the connection has been closed', async () => {
+    const map = createSharedMap(name);
+    await disconnectRedis();
+    await assert.rejects(map.get('courier-1'), /Redis is not connected/);
+    await connectRedis();
+  });
+});
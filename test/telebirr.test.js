@@ -0,0 +1,21 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fromMerchOrderId, toMerchOrderId } from '../utils/telebirr.js';
+
+const id = '64b7f0c2a1e4d5f6a7b8c9d0';
+
+describe('telebirr merchant order ids', () => {
+  it('round-trips checkout, order and top-up references', () => {
+    ['checkout', 'order', 'topup'].forEach((prefix) => {
+      const txRef = `${prefix}-${id}`;
+      assert.equal(toMerchOrderId(txRef), `${prefix}${id}`);
+      assert.equal(fromMerchOrderId(toMerchOrderId(txRef)), txRef);
+    });
+  });
+
+  it('leaves unknown ids alone', () => {
+    assert.equal(fromMerchOrderId(`refund${id}`), `refund${id}`);
+    assert.equal(fromMerchOrderId('checkout123'), 'checkout123');
+  });
+});
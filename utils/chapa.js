@@ -0,0 +1,131 @@
+import crypto from 'crypto';
+import axios from 'axios';
+
+// Point CHAPA_API_URL at scripts/mockChapaServer.js for local runs
+const CHAPA_API_URL = (process.env.CHAPA_API_URL || 'https://api.chapa.co/v1').replace(/\/$/, '');
+const CHAPA_CALLBACK_URL =
+  process.env.CHAPA_CALLBACK_URL || 'https://gebeta-delivery1.onrender.com/api/v1/orders/chapa-webhook';
+
+const getSecretKey = () => {
+  const chapaSecretKey = process.env.CHAPA_SECRET_KEY;
+  if (!chapaSecretKey) throw new Error('CHAPA_SECRET_KEY is not configured');
+  return chapaSecretKey;
+};
+
+const chapaHeaders = () => ({
+  Authorization: `Bearer ${getSecretKey()}`,
+  'Content-Type': 'application/json',
+});
+
+export const initializeChapaPayment = async ({ amount, currency, txRef, user }) => {
+  if (!amount || !currency || !txRef) {
+    throw new Error('amount, currency, and txRef are required.');
+  }
+
+  if (!user?.firstName || !user?.lastName) {
+    throw new Error('User first name and last name are required.');
+  }
+
+  // Payload to send to Chapa
+  const requestPayload = {
+    amount: amount.toString(),
+    currency,
+    first_name: user.firstName,
+    phone_number: user.phone || 'N/A',
+    tx_ref: txRef,
+
+    callback_url: CHAPA_CALLBACK_URL,
+    // return_url:"https://your-app.com/payment-success", // Replace with your frontend success page
+    customization: {
+      title: 'Order Payment',
+      description: `Payment for order ${txRef}`,
+    },
+  };
+
+  const response = await axios.post(`${CHAPA_API_URL}/transaction/initialize`, requestPayload, {
+    headers: chapaHeaders(),
+    timeout: 35000,
+  });
+  if (!response?.data || response.data.status !== 'success') {
+    throw new Error(`Chapa payment initialization failed: ${response?.data?.message || 'Unknown error'}`);
+  }
+  return {
+    tx_ref: txRef,
+    checkout_url: response.data.data.checkout_url,
+  };
+};
+
+/**
+ * Ask Chapa for the authoritative state of a transaction.
+ * @returns {{ status: string, refId: string|null, amount: number|null, data: object }}
+ */
+export const verifyChapaTransaction = async (txRef) => {
+  const response = await axios.get(`${CHAPA_API_URL}/transaction/verify/${encodeURIComponent(txRef)}`, {
+    headers: chapaHeaders(),
+    timeout: 35000,
+    // Unknown or failed transactions come back as 4xx with a JSON body
+    validateStatus: (code) => code < 500,
+  });
+  const data = response.data?.data || {};
+  let status = data.status || 'pending';
+  if (response.data?.status !== 'success') status = response.status === 404 ? 'not_found' : 'failed';
+  return {
+    status,
+    refId: data.reference || null,
+    amount: data.amount !== undefined ? parseFloat(data.amount) : null,
+    data: response.data,
+  };
+};
+
+// Refund (part of) a Chapa transaction
+export const requestChapaRefund = async ({ txRef, amount, reason }) => {
+  const response = await axios.post(
+    `${CHAPA_API_URL}/refund/${encodeURIComponent(txRef)}`,
+    { reason, amount: amount.toFixed(2) },
+    { headers: chapaHeaders(), timeout: 35000 }
+  );
+  if (!response?.data || response.data.status !== 'success') {
+    throw new Error(`Chapa refund failed: ${response?.data?.message || 'Unknown error'}`);
+  }
+  return {
+    providerRef: response.data.data?.refund_reference || response.data.data?.merchant_reference || null,
+  };
+};
+
+export const signChapaPayload = (rawBody, secret) =>
+  crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+/**
+ * Check the HMAC-SHA256 signature Chapa puts on webhook requests.
+ * Chapa signs the raw body with the webhook secret and sends it in
+ * `x-chapa-signature` (older integrations use `chapa-signature`).
+ */
+export const verifyChapaSignature = (rawBody, headers = {}) => {
+  const secret = process.env.CHAPA_WEBHOOK_SECRET;
+  if (!secret) throw new Error('CHAPA_WEBHOOK_SECRET is not configured');
+  if (!rawBody) return false;
+
+  const expected = Buffer.from(signChapaPayload(rawBody, secret), 'hex');
+  return ['x-chapa-signature', 'chapa-signature'].some((name) => {
+    const received = headers[name];
+    if (typeof received !== 'string' || !/^[0-9a-f]+$/i.test(received)) return false;
+    const buf = Buffer.from(received, 'hex');
+    return buf.length === expected.length && crypto.timingSafeEqual(buf, expected);
+  });
+};
+
+// Chapa transaction/event status → our transaction.status
+export const mapChapaStatus = (chapaStatus, event) => {
+  if (event === 'charge.refunded' || event === 'refund.success') return 'Refunded';
+  switch ((chapaStatus || '').toLowerCase()) {
+    case 'success':
+      return 'Paid';
+    case 'failed':
+    case 'cancelled':
+      return 'Failed';
+    case 'expired':
+      return 'Expired';
+    default:
+      return 'Pending';
+  }
+};
@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Checkout from '../models/Checkout.js';
+import CourierEarning from '../models/CourierEarning.js';
+import AppError from './appError.js';
+import { getIO } from './socket.js';
+import { getPaymentProvider } from './paymentProviders.js';
+import { clearActiveDeliveryOrder } from '../socket.js';
+import { publish, EVENTS } from '../events/eventBus.js';
+
+const toNumber = (value) => parseFloat(value?.toString() || '0');
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Checkout is settled once every cash order in it has been collected
+const settleCashCheckout = async (checkoutId) => {
+  const outstanding = await Order.countDocuments({
+    checkoutId,
+    'transaction.status': 'Pending',
+    orderStatus: { $ne: 'Cancelled' },
+  });
+  if (outstanding === 0) {
+    await Checkout.updateOne(
+      { _id: checkoutId, 'transaction.status': 'Pending' },
+      { $set: { 'transaction.status': 'Paid' } }
+    );
+  }
+};
+
+/**
+ * Hand an order over to its customer: check their verification code, take
+ * the cash on cash-on-delivery orders, mark it Completed and credit the
+ * courier. The REST route and the socket handler both go through here.
+ * @param {{ _id?: string, orderCode?: string }} lookup - the order being delivered
+ * @param {object} courier - courier completing it (must hold the order)
+ * @param {{ verificationCode: string, cashCollected?: boolean, source: 'REST'|'Socket' }} details
+ * @returns {Promise<object>} the completed order
+ */
+export const completeDelivery = async (lookup, courier, { verificationCode, cashCollected, source }) => {
+  if (lookup._id && !mongoose.isValidObjectId(lookup._id)) {
+    throw new AppError('Invalid order ID format.', 400);
+  }
+
+  const order = await Order.findOne({ ...lookup, deliveryId: courier._id, orderStatus: 'Delivering' });
+  if (!order) throw new AppError('Order not found or not assigned to you.', 404);
+
+  if (String(order.userVerificationCode) !== String(verificationCode)) {
+    throw new AppError('Invalid verification code.', 400);
+  }
+
+  // Cash on delivery: the courier must confirm the cash was collected
+  const cashDue = round2(toNumber(order.totalPrice) - toNumber(order.transaction.walletAmount));
+  const settlesOnDelivery =
+    getPaymentProvider(order.transaction.method).settlement === 'OnDelivery' &&
+    order.transaction.status === 'Pending';
+  if (settlesOnDelivery) {
+    if (cashCollected !== true) {
+      throw new AppError(
+        `This order is cash on delivery. Collect ${cashDue} ETB and confirm with cashCollected: true.`,
+        400
+      );
+    }
+    order.transaction.status = 'Paid';
+    order.transaction.collectedBy = courier._id;
+    order.transaction.collectedAt = new Date();
+  }
+
+  order.setStatus('Completed', { actor: courier, source });
+  order.deliveryTimeline.deliveredAt = new Date();
+  await order.save();
+
+  const io = getIO();
+  if (io) await clearActiveDeliveryOrder(io, courier._id);
+  publish(EVENTS.ORDER_DELIVERED, {
+    orderId: order._id,
+    orderCode: order.orderCode,
+    courierId: order.deliveryId,
+    customerId: order.userId,
+  });
+
+  // Credit the courier: fee share and tip, less any cash they now hold
+  try {
+    await CourierEarning.recordDelivery(order, { cashCollected: settlesOnDelivery ? cashDue : 0 });
+  } catch (err) {
+    console.error(`Failed to record courier earnings for order ${order._id}:`, err.message);
+  }
+
+  if (settlesOnDelivery && order.checkoutId) await settleCashCheckout(order.checkoutId);
+
+  return order;
+};
@@ -1,21 +1,18 @@
-import axios from 'axios';
+import { getRoute } from './routing.js';
 
 export const computeDeliveryFee = async ({ restaurantLocation, destinationLocation, deliveryVehicle }) => {
   if (!destinationLocation?.lat || !destinationLocation?.lng) {
     throw new Error('Delivery coordinates are required.');
   }
 
-  const origins = `${restaurantLocation.lng},${restaurantLocation.lat}`; // OSRM uses lng,lat
-  const destinations = `${destinationLocation.lng},${destinationLocation.lat}`;
-  const mode = deliveryVehicle === 'Bicycle' ? 'bike' : 'driving'; // OSRM modes: driving, bike, foot
-  const osrmUrl = `https://router.project-osrm.org/route/v1/${mode}/${origins};${destinations}?overview=false`;
-  const osrmResponse = await axios.get(osrmUrl);
-  const distanceInMeters = osrmResponse?.data?.routes?.[0]?.distance;
-  const durationInSeconds = osrmResponse?.data?.routes?.[0]?.duration;
-  if (!distanceInMeters) {
-    throw new Error('Failed to calculate delivery distance.');
-  }
-  const distanceKm = distanceInMeters / 1000;
+  // Fees need a real road distance, so no straight-line fallback here
+  const { distanceKm, durationSeconds: durationInSeconds } = await getRoute({
+    from: restaurantLocation,
+    to: destinationLocation,
+    vehicle: deliveryVehicle,
+    fallback: false,
+  });
+  const distanceInMeters = distanceKm * 1000;
 
   const rateConfig = {
     Car: {
@@ -0,0 +1,283 @@
+import Order from '../models/Order.js';
+import Restaurant from '../models/restaurantModel.js';
+import User from '../models/userModel.js';
+import CourierShift from '../models/CourierShift.js';
+import AppError from './appError.js';
+import { getIO } from './socket.js';
+import { haversineKm } from './geo.js';
+import { getAvailableCouriers, notifyDeliveryGroup, notifyDeliveryPerson } from '../socket.js';
+import { publish, EVENTS } from '../events/eventBus.js';
+
+// Offer cooked orders to the nearest free courier, one at a time; after
+// DISPATCH_MAX_OFFERS offers (or when nobody is nearby) fall back to a broadcast.
+// Orders still being prepared are dispatched DISPATCH_LEAD_MINUTES before their
+// estimated ready time, so the courier arrives as the food is ready.
+
+export const OFFER_TIMEOUT_MS = parseFloat(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS || '30') * 1000;
+export const MAX_OFFERS = parseInt(process.env.DISPATCH_MAX_OFFERS || '3', 10);
+const MAX_RADIUS_KM = parseFloat(process.env.DISPATCH_MAX_RADIUS_KM || '10');
+
+// Payload couriers see for an order, whether offered directly or broadcast
+const buildDeliveryMessage = async (order) => {
+  const restaurant = await Restaurant.findById(order.restaurantId).select('name');
+  return {
+    orderId: order._id,
+    orderCode: order.orderCode,
+    restaurantLocation: order.restaurantLocation,
+    restaurantName: restaurant?.name || '',
+    deliveryLocation: order.destinationLocation,
+    deliveryFee: parseFloat(order.deliveryFee?.toString() || '0'),
+    tip: parseFloat(order.tip?.toString() || '0'),
+    readyBy: order.orderStatus === 'Cooked' ? null : order.preparation?.estimatedReadyAt || null,
+    createdAt: order.createdAt,
+    customer: order.userId,
+  };
+};
+
+// Connected couriers for the order's vehicle, nearest first, skipping anyone
+// already offered this order or holding another open offer
+const rankCouriers = async (order) => {
+  const offered = new Set((order.dispatch?.offers || []).map((offer) => offer.courierId.toString()));
+  const [holdingOffers, onDelivery] = await Promise.all([
+    Order.distinct('dispatch.currentCourierId', { 'dispatch.status': 'Offering', _id: { $ne: order._id } }),
+    Order.distinct('deliveryId', { orderStatus: { $in: ['Preparing', 'Cooked', 'Delivering'] } }),
+  ]);
+  const busy = new Set([...holdingOffers, ...onDelivery].filter(Boolean).map((id) => id.toString()));
+
+  const available = await getAvailableCouriers(order.deliveryVehicle);
+  return available
+    .filter(({ courierId }) => !offered.has(courierId) && !busy.has(courierId))
+    .map(({ courierId, location }) => ({
+      courierId,
+      distanceKm: haversineKm(order.restaurantLocation, {
+        lat: Number(location.latitude),
+        lng: Number(location.longitude),
+      }),
+    }))
+    .filter(({ distanceKm }) => Number.isFinite(distanceKm) && distanceKm <= MAX_RADIUS_KM)
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+};
+
+const isDispatchable = (order) =>
+  order &&
+  ['Preparing', 'Cooked'].includes(order.orderStatus) &&
+  order.typeOfOrder === 'Delivery' &&
+  !order.deliveryId &&
+  order.dispatch?.status !== 'Broadcast' &&
+  order.dispatch?.status !== 'Assigned';
+
+// Give up on one-at-a-time offers and let every courier in the group see it
+const broadcastOrder = async (order) => {
+  const { modifiedCount } = await Order.updateOne(
+    { _id: order._id, 'dispatch.status': { $nin: ['Broadcast', 'Assigned'] } },
+    {
+      $set: {
+        'dispatch.status': 'Broadcast',
+        'dispatch.currentCourierId': null,
+        'dispatch.offerExpiresAt': null,
+        'dispatch.broadcastAt': new Date(),
+      },
+    }
+  );
+  if (modifiedCount === 0) return;
+
+  const io = getIO();
+  if (io) notifyDeliveryGroup(io, order.deliveryVehicle, await buildDeliveryMessage(order));
+  console.log(`📢 Dispatch fell back to broadcast for order ${order._id}`);
+};
+
+/**
+ * Offer the order to the next nearest courier, or broadcast it once
+ * MAX_OFFERS couriers have passed on it or nobody is in range.
+ */
+export const dispatchOrder = async (orderId) => {
+  const order = await Order.findById(orderId);
+  if (!isDispatchable(order) || order.dispatch?.currentCourierId) return;
+
+  const offers = order.dispatch?.offers || [];
+  if (offers.length >= MAX_OFFERS) return broadcastOrder(order);
+
+  const [nearest] = await rankCouriers(order);
+  if (!nearest) return broadcastOrder(order);
+
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + OFFER_TIMEOUT_MS);
+
+  // Claim the offer slot so concurrent calls don't offer the order twice
+  const { modifiedCount } = await Order.updateOne(
+    {
+      _id: order._id,
+      orderStatus: { $in: ['Preparing', 'Cooked'] },
+      'dispatch.currentCourierId': null,
+      'dispatch.status': { $nin: ['Broadcast', 'Assigned'] },
+      [`dispatch.offers.${offers.length}`]: { $exists: false },
+    },
+    {
+      $set: {
+        'dispatch.status': 'Offering',
+        'dispatch.currentCourierId': nearest.courierId,
+        'dispatch.offerExpiresAt': expiresAt,
+      },
+      $push: {
+        'dispatch.offers': {
+          courierId: nearest.courierId,
+          distanceKm: Math.round(nearest.distanceKm * 100) / 100,
+          offeredAt: now,
+          outcome: 'Pending',
+        },
+      },
+    }
+  );
+  if (modifiedCount === 0) return;
+
+  const io = getIO();
+  if (io) {
+    notifyDeliveryPerson(io, nearest.courierId, 'deliveryOffer', {
+      ...(await buildDeliveryMessage(order)),
+      distanceToRestaurantKm: Math.round(nearest.distanceKm * 100) / 100,
+      expiresAt,
+    });
+  }
+  console.log(`🎯 Offered order ${order._id} to courier ${nearest.courierId} (${nearest.distanceKm.toFixed(2)} km)`);
+};
+
+// Close the courier's pending offer with the given outcome; false if they no longer hold it
+const closeOffer = async (orderId, courierId, outcome, { reason, expiredBefore } = {}) => {
+  const filter = {
+    _id: orderId,
+    'dispatch.status': 'Offering',
+    'dispatch.currentCourierId': courierId,
+    'dispatch.offers': { $elemMatch: { courierId, outcome: 'Pending' } },
+  };
+  if (expiredBefore) filter['dispatch.offerExpiresAt'] = { $lte: expiredBefore };
+
+  const update = {
+    'dispatch.currentCourierId': null,
+    'dispatch.offerExpiresAt': null,
+    'dispatch.offers.$.outcome': outcome,
+    'dispatch.offers.$.respondedAt': new Date(),
+  };
+  if (reason) update['dispatch.offers.$.reason'] = reason;
+
+  const { modifiedCount } = await Order.updateOne(filter, { $set: update });
+  return modifiedCount > 0;
+};
+
+// Courier turned the offer down: move on to the next one
+export const rejectDispatchOffer = async (orderId, courierId, reason) => {
+  const closed = await closeOffer(orderId, courierId, 'Rejected', { reason });
+  if (closed) await dispatchOrder(orderId);
+  return closed;
+};
+
+// Offers nobody answered in time
+export const expireDispatchOffers = async () => {
+  const now = new Date();
+  const expired = await Order.find(
+    { 'dispatch.status': 'Offering', 'dispatch.offerExpiresAt': { $lte: now } },
+    '_id dispatch.currentCourierId',
+    { bypassPaidFilter: true }
+  );
+
+  for (const order of expired) {
+    const courierId = order.dispatch.currentCourierId;
+    const closed = await closeOffer(order._id, courierId, 'TimedOut', { expiredBefore: now });
+    if (!closed) continue;
+
+    const io = getIO();
+    if (io) notifyDeliveryPerson(io, courierId, 'deliveryOfferExpired', { orderId: order._id });
+    await dispatchOrder(order._id);
+  }
+  return expired.length;
+};
+
+// Orders in the kitchen whose ready time is close enough to send a courier
+export const dispatchDueOrders = async () => {
+  const due = await Order.find(
+    {
+      orderStatus: 'Preparing',
+      typeOfOrder: 'Delivery',
+      deliveryId: null,
+      'dispatch.status': null,
+      'preparation.estimatedReadyAt': { $lte: new Date(Date.now() + Order.dispatchLeadTimeMs()) },
+    },
+    '_id'
+  );
+  for (const order of due) await dispatchOrder(order._id);
+  return due.length;
+};
+
+/**
+ * Accept a cooked order for delivery. The REST route and the socket handler
+ * both go through here, so exactly one courier can win an order; everyone
+ * else gets a 409.
+ */
+export const acceptDeliveryOrder = async (orderId, courier) => {
+  // Socket users are loaded at connect time, so read the courier's availability fresh
+  const [fresh, onShift] = await Promise.all([
+    User.findById(courier._id).select('courierStatus deliveryMethod'),
+    CourierShift.exists({ courierId: courier._id, status: 'Open' }),
+  ]);
+  if (!onShift || fresh?.courierStatus !== 'Online') {
+    throw new AppError('Start your shift and go Online to accept orders.', 403);
+  }
+
+  const activeOrderError = () =>
+    new AppError('You already have an active order. Complete or cancel it before accepting a new one.', 400);
+
+  // Early answer; the one_active_delivery_per_courier index settles concurrent claims
+  const active = await Order.exists({
+    deliveryId: courier._id,
+    orderStatus: { $in: Order.ACTIVE_DELIVERY_STATUSES },
+  });
+  if (active) throw activeOrderError();
+
+  let order;
+  try {
+    order = await Order.claimForDelivery(orderId, fresh);
+  } catch (err) {
+    if (err.code === 11000) throw activeOrderError();
+    throw err;
+  }
+  if (!order) {
+    // Work out why so the courier gets a useful answer
+    const current = await Order.findById(orderId);
+    if (!current) throw new AppError('Order is not available for acceptance.', 404);
+    if (current.deliveryId) throw new AppError('This order has already been accepted by another courier.', 409);
+    if (current.deliveryVehicle !== fresh.deliveryMethod) {
+      throw new AppError('You are not eligible to accept the order.', 403);
+    }
+    if (current.dispatch?.status === 'Offering') {
+      throw new AppError('This order is currently offered to another courier.', 409);
+    }
+    if (current.orderStatus === 'Pending' || current.orderStatus === 'Preparing') {
+      throw new AppError('This order is not ready for pickup yet.', 409);
+    }
+    throw new AppError(`Order is ${current.orderStatus} and can no longer be accepted.`, 409);
+  }
+
+  // Record the accepted offer, if this courier was holding one
+  await Order.updateOne(
+    { _id: order._id, 'dispatch.offers': { $elemMatch: { courierId: courier._id, outcome: 'Pending' } } },
+    { $set: { 'dispatch.offers.$.outcome': 'Accepted', 'dispatch.offers.$.respondedAt': new Date() } }
+  );
+  publish(EVENTS.ORDER_ASSIGNED, {
+    orderId: order._id,
+    orderCode: order.orderCode,
+    courierId: courier._id,
+    customerId: order.userId._id,
+    deliveryVehicle: order.deliveryVehicle,
+  });
+  return order;
+};
+
+// Order left the courier pool (e.g. cancelled): withdraw the outstanding offer
+export const withdrawDispatchOffer = async (orderId) => {
+  const order = await Order.findById(orderId, 'dispatch', { bypassPaidFilter: true });
+  const courierId = order?.dispatch?.currentCourierId;
+  if (!courierId) return;
+
+  const closed = await closeOffer(orderId, courierId, 'Withdrawn');
+  const io = getIO();
+  if (closed && io) notifyDeliveryPerson(io, courierId, 'deliveryOfferWithdrawn', { orderId });
+};
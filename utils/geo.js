@@ -0,0 +1,44 @@
+// Small geometry helpers for { lat, lng } points
+
+const EARTH_RADIUS_KM = 6371;
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+// Great-circle distance in km between two { lat, lng } points
+export const haversineKm = (a, b) => {
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+};
+
+// Total length in km of a path through the points, in order
+export const pathDistanceKm = (points) =>
+  points.reduce((sum, point, i) => (i === 0 ? 0 : sum + haversineKm(points[i - 1], point)), 0);
+
+// Google encoded polyline (precision 5), as used by map SDKs and OSRM
+export const encodePolyline = (points) => {
+  let lastLat = 0;
+  let lastLng = 0;
+  let result = '';
+
+  const encodeValue = (value) => {
+    let v = value < 0 ? ~(value << 1) : value << 1;
+    let chunk = '';
+    while (v >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
+    }
+    return chunk + String.fromCharCode(v + 63);
+  };
+
+  points.forEach(({ lat, lng }) => {
+    const latE5 = Math.round(lat * 1e5);
+    const lngE5 = Math.round(lng * 1e5);
+    result += encodeValue(latE5 - lastLat) + encodeValue(lngE5 - lastLng);
+    lastLat = latE5;
+    lastLng = lngE5;
+  });
+  return result;
+};
@@ -0,0 +1,104 @@
+import Order from '../models/Order.js';
+import Restaurant from '../models/restaurantModel.js';
+import { haversineKm } from './geo.js';
+import { notifyRestaurantManager } from '../socket.js';
+
+// Detect a courier reaching the restaurant or nearing the customer from their
+// location updates, stamp it on the order timeline once and tell both sides.
+
+const RESTAURANT_RADIUS_KM = parseFloat(process.env.GEOFENCE_RESTAURANT_RADIUS_METERS || '100') / 1000;
+const CUSTOMER_RADIUS_KM = parseFloat(process.env.GEOFENCE_CUSTOMER_RADIUS_METERS || '300') / 1000;
+const RECHECK_MS = 5 * 1000;
+const STATUS_RANK = { Preparing: 0, Cooked: 0, Delivering: 1, Completed: 2, Cancelled: 2 };
+
+const FENCES = [
+  {
+    name: 'restaurant',
+    event: 'courierArrivedAtRestaurant',
+    timelineField: 'deliveryTimeline.arrivedAtRestaurantAt',
+    requiredStatuses: ['Preparing', 'Cooked'], // before pickup
+    radiusKm: RESTAURANT_RADIUS_KM,
+    center: (order) => order.restaurantLocation,
+    message: (order) => `Your courier has arrived at the restaurant for order ${order.orderCode}.`,
+  },
+  {
+    name: 'customer',
+    event: 'courierArriving',
+    timelineField: 'deliveryTimeline.arrivingAt',
+    requiredStatuses: ['Delivering'],
+    radiusKm: CUSTOMER_RADIUS_KM,
+    center: (order) => order.destinationLocation,
+    message: (order) => `Your courier is arriving with order ${order.orderCode}.`,
+  },
+];
+
+// orderId -> { order, managerId, done: Set<fence>, checkedAt: { fence: ms } }
+const watchedOrders = new Map();
+
+const loadWatch = async (orderId) => {
+  if (watchedOrders.has(orderId)) return watchedOrders.get(orderId);
+
+  const order = await Order.findById(orderId).select(
+    'orderCode userId restaurantId restaurantLocation destinationLocation deliveryTimeline'
+  );
+  if (!order) return null;
+  const restaurant = await Restaurant.findById(order.restaurantId).select('managerId');
+
+  const done = new Set(
+    FENCES.filter((fence) => order.get(fence.timelineField)).map((fence) => fence.name)
+  );
+  const watch = { order, managerId: restaurant?.managerId, done, checkedAt: {} };
+  watchedOrders.set(orderId, watch);
+  return watch;
+};
+
+export const forgetGeofences = (orderId) => {
+  watchedOrders.delete(orderId.toString());
+};
+
+/**
+ * Check a courier's location against the fences of the order they carry.
+ * The timestamp is claimed with a conditional update, so each arrival is
+ * recorded and announced once even if several updates land inside the radius.
+ */
+export const checkGeofences = async (io, activeOrder, location) => {
+  const watch = await loadWatch(activeOrder.orderId);
+  if (!watch) return;
+
+  const point = { lat: Number(location.latitude), lng: Number(location.longitude) };
+  const now = Date.now();
+
+  for (const fence of FENCES) {
+    if (watch.done.has(fence.name)) continue;
+    const center = fence.center(watch.order);
+    if (!center?.lat || !center?.lng) continue;
+    if (haversineKm(point, center) > fence.radiusKm) continue;
+    if (now - (watch.checkedAt[fence.name] || 0) < RECHECK_MS) continue;
+    watch.checkedAt[fence.name] = now;
+
+    const arrivedAt = new Date(now);
+    const { modifiedCount } = await Order.updateOne(
+      { _id: watch.order._id, orderStatus: { $in: fence.requiredStatuses }, [fence.timelineField]: null },
+      { $set: { [fence.timelineField]: arrivedAt } }
+    );
+    if (modifiedCount === 0) {
+      // Stop watching once it is stamped or the order is past this stage
+      const current = await Order.findById(watch.order._id).select(`orderStatus ${fence.timelineField}`);
+      const pastStage = STATUS_RANK[current?.orderStatus] > STATUS_RANK[fence.requiredStatuses.at(-1)];
+      if (!current || current.get(fence.timelineField) || pastStage) watch.done.add(fence.name);
+      continue;
+    }
+    watch.done.add(fence.name);
+
+    const payload = {
+      type: fence.event,
+      orderId: watch.order._id,
+      orderCode: watch.order.orderCode,
+      arrivedAt,
+      message: fence.message(watch.order),
+    };
+    io.to(`customer:${watch.order.userId}`).emit(fence.event, payload);
+    if (watch.managerId) notifyRestaurantManager(io, watch.managerId, payload, fence.event);
+    console.log(`📍 ${fence.event} for order ${watch.order._id}`);
+  }
+};
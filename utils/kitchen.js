@@ -0,0 +1,43 @@
+import Order from '../models/Order.js';
+import Food from '../models/Food.js';
+
+// Ready-time estimates for the restaurant's kitchen queue. An order takes as
+// long as its slowest dish; the kitchen works on a few orders at once, so a
+// new order starts when the next of those slots frees up.
+
+const DEFAULT_PREP_MINUTES = parseFloat(process.env.DEFAULT_PREP_MINUTES || '15');
+const KITCHEN_PARALLEL_ORDERS = parseInt(process.env.KITCHEN_PARALLEL_ORDERS || '3', 10);
+
+export const estimatePrepMinutes = async (order) => {
+  const foods = await Food.find({ _id: { $in: order.orderItems.map((item) => item.foodId) } }).select(
+    'cookingTimeMinutes'
+  );
+  const times = foods.map((food) => food.cookingTimeMinutes || DEFAULT_PREP_MINUTES);
+  return times.length > 0 ? Math.max(...times) : DEFAULT_PREP_MINUTES;
+};
+
+/**
+ * Estimate when an order accepted now will be ready, given what the
+ * restaurant is already preparing. `prepMinutes` overrides the menu estimate.
+ */
+export const estimateReadyAt = async (order, { prepMinutes, now = new Date() } = {}) => {
+  const minutes = prepMinutes ?? (await estimatePrepMinutes(order));
+
+  const inProgress = await Order.find(
+    { restaurantId: order.restaurantId, orderStatus: 'Preparing', _id: { $ne: order._id } },
+    'preparation.estimatedReadyAt',
+    { bypassPaidFilter: true }
+  ).lean();
+  // Overdue orders still occupy the kitchen right now
+  const readyTimes = inProgress
+    .map((o) => Math.max(o.preparation?.estimatedReadyAt?.getTime() || 0, now.getTime()))
+    .sort((a, b) => a - b);
+  const startAt =
+    readyTimes.length < KITCHEN_PARALLEL_ORDERS ? now.getTime() : readyTimes[readyTimes.length - KITCHEN_PARALLEL_ORDERS];
+
+  return {
+    prepMinutes: minutes,
+    queueLength: inProgress.length,
+    estimatedReadyAt: new Date(startAt + minutes * 60 * 1000),
+  };
+};
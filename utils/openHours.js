@@ -0,0 +1,84 @@
+// Restaurant opening hours are stored as local Addis Ababa wall-clock times ("08:00")
+export const RESTAURANT_TIMEZONE = 'Africa/Addis_Ababa';
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Day name, "HH:MM" time and "YYYY-MM-DD" date of a date in the restaurant timezone.
+ * @param {Date} date
+ * @returns {{ day: string, time: string, localDate: string }}
+ */
+export const getLocalDayAndTime = (date = new Date()) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: RESTAURANT_TIMEZONE,
+    weekday: 'long',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+
+  const get = (type) => parts.find((p) => p.type === type)?.value;
+  return {
+    day: get('weekday'),
+    time: `${get('hour')}:${get('minute')}`,
+    localDate: `${get('year')}-${get('month')}-${get('day')}`,
+  };
+};
+
+// Hours for one local day: a holiday entry for that date replaces the weekly schedule
+const scheduleFor = (openHours, holidays, day, localDate) => {
+  const holiday = (holidays || []).find((h) => h.date === localDate);
+  const schedule = holiday || openHours.find((s) => s.day === day);
+  if (!schedule || schedule.isClosed || !schedule.from || !schedule.to) return null;
+  return schedule;
+};
+
+const coversToday = ({ from, to }, time) => {
+  if (from === to) return true;
+  if (from < to) return time >= from && time <= to;
+  return time >= from; // overnight: the part before midnight
+};
+
+/**
+ * Whether openHours cover the given moment. A range whose `to` is earlier than
+ * its `from` runs past midnight ("18:00"–"02:00"); `from` equal to `to` means
+ * open all day.
+ * @param {Array} openHours - restaurant.openHours
+ * @param {Date} date
+ * @param {Array} [holidays] - restaurant.holidays, overriding the weekly hours on their date
+ * @returns {boolean}
+ */
+export const isOpenAt = (openHours = [], date = new Date(), holidays = []) => {
+  const { day, time, localDate } = getLocalDayAndTime(date);
+  if (!DAYS.includes(day)) return false;
+
+  // Today's hours, or the end of last night's overnight range
+  const today = scheduleFor(openHours, holidays, day, localDate);
+  if (today && coversToday(today, time)) return true;
+
+  const dayBefore = getLocalDayAndTime(new Date(date.getTime() - DAY_MS));
+  const yesterday = scheduleFor(openHours, holidays, dayBefore.day, dayBefore.localDate);
+  return Boolean(yesterday && yesterday.from > yesterday.to && time < yesterday.to);
+};
+
+/**
+ * Whether a restaurant takes orders at the given moment: its hours (with
+ * holiday overrides) cover it and orders aren't paused.
+ * @param {Object} restaurant
+ * @param {Date} date
+ * @returns {{ isOpen: boolean, reason: ?('Paused'|'Holiday'|'OutsideHours') }}
+ */
+export const getOpenStatus = (restaurant, date = new Date()) => {
+  if (restaurant.ordersPausedUntil && restaurant.ordersPausedUntil > date) {
+    return { isOpen: false, reason: 'Paused' };
+  }
+  if (isOpenAt(restaurant.openHours, date, restaurant.holidays)) return { isOpen: true, reason: null };
+
+  const { localDate } = getLocalDayAndTime(date);
+  const holiday = (restaurant.holidays || []).find((h) => h.date === localDate);
+  return { isOpen: false, reason: holiday ? 'Holiday' : 'OutsideHours' };
+};
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Checkout from '../models/Checkout.js';
+import WalletTopUp from '../models/WalletTopUp.js';
+import PaymentDiscrepancy from '../models/PaymentDiscrepancy.js';
+
+const toNumber = (value) => parseFloat(value?.toString() || '0');
+
+// What the provider should have collected; the wallet part of a checkout never goes through it
+export const checkoutAmountDue = (checkout) => toNumber(checkout.totalPrice) - toNumber(checkout.walletAmount);
+export const orderAmountDue = (order) => toNumber(order.transaction.totalPrice);
+export const topUpAmountDue = (topUp) => toNumber(topUp.amount);
+
+/**
+ * Amount due for a payment reference, with the ids a discrepancy is filed under.
+ * @param {string} txRef - checkout-<id>, topup-<id> or legacy order-<id>
+ * @returns {Promise<?{ expectedAmount: number, ids: object }>} null when nothing is paid under it
+ */
+export const findAmountDue = async (txRef) => {
+  if (txRef.startsWith('checkout-')) {
+    const checkout = await Checkout.findOne({ 'transaction.txRef': txRef });
+    return checkout && { expectedAmount: checkoutAmountDue(checkout), ids: { checkoutId: checkout._id } };
+  }
+  if (txRef.startsWith('topup-')) {
+    const topUp = await WalletTopUp.findOne({ 'transaction.txRef': txRef });
+    return topUp && { expectedAmount: topUpAmountDue(topUp), ids: { topUpId: topUp._id } };
+  }
+  const orderId = txRef.replace('order-', '');
+  if (!mongoose.isValidObjectId(orderId)) return null;
+  const order = await Order.findById(orderId, null, { bypassPaidFilter: true });
+  return order && { expectedAmount: orderAmountDue(order), ids: { orderId: order._id } };
+};
+
+/**
+ * Check a verified payment against the amount due. A mismatch is filed as an
+ * AmountMismatch discrepancy and the payment must not be applied.
+ * @param {{ txRef: string, method: string, verification: object, expectedAmount: number, ids: object }} payment
+ * @returns {Promise<boolean>} true when the amounts agree (or the provider reports none)
+ */
+export const checkPaidAmount = async ({ txRef, method, verification, expectedAmount, ids }) => {
+  if (verification.amount === null || verification.amount === undefined) return true;
+  if (Math.abs(verification.amount - expectedAmount) <= 0.01) return true;
+
+  await PaymentDiscrepancy.record({
+    txRef,
+    kind: 'AmountMismatch',
+    ...ids,
+    localStatus: 'Pending',
+    providerStatus: verification.providerStatus || verification.status,
+    expectedAmount,
+    providerAmount: verification.amount,
+    details: `${method} reports ${verification.amount}, expected ${expectedAmount}`,
+  });
+  return false;
+};
@@ -0,0 +1,96 @@
+import {
+  initializeChapaPayment,
+  verifyChapaTransaction,
+  requestChapaRefund,
+  mapChapaStatus,
+} from './chapa.js';
+import {
+  createTelebirrOrder,
+  queryTelebirrOrder,
+  refundTelebirrOrder,
+  mapTelebirrStatus,
+} from './telebirr.js';
+
+/**
+ * Payment providers, keyed by the method the customer picks at checkout.
+ *
+ * Every provider implements:
+ *   settlement  'Prepaid' (paid before the kitchen sees the order) or
+ *               'OnDelivery' (settled when the courier hands it over)
+ *   initialize({ amount, txRef, user }) → { method, checkout_url, ... }
+ *   verify(txRef) → { status, providerStatus, refId, amount, data } | null if not verifiable
+ *   refund({ txRef, amount, reason }) → { providerRef }
+ * `status` values are our transaction.status values (Pending/Paid/Failed/Expired/Refunded).
+ */
+const providers = {
+  Chapa: {
+    settlement: 'Prepaid',
+    initialize: async ({ amount, txRef, user }) => ({
+      method: 'Chapa',
+      ...(await initializeChapaPayment({ amount, currency: 'ETB', txRef, user })),
+    }),
+    verify: async (txRef) => {
+      const result = await verifyChapaTransaction(txRef);
+      return { ...result, status: mapChapaStatus(result.status), providerStatus: result.status };
+    },
+    refund: requestChapaRefund,
+  },
+
+  Telebirr: {
+    settlement: 'Prepaid',
+    initialize: async ({ amount, txRef }) => ({
+      method: 'Telebirr',
+      ...(await createTelebirrOrder({ amount, txRef })),
+    }),
+    verify: async (txRef) => {
+      const result = await queryTelebirrOrder(txRef);
+      return { ...result, status: mapTelebirrStatus(result.status), providerStatus: result.status };
+    },
+    refund: refundTelebirrOrder,
+  },
+
+  // The courier collects cash and confirms it at verifyOrderDelivery
+  CashOnDelivery: {
+    settlement: 'OnDelivery',
+    initialize: async ({ amount, txRef }) => ({
+      method: 'CashOnDelivery',
+      tx_ref: txRef,
+      checkout_url: null,
+      amountDue: parseFloat(amount.toString()),
+    }),
+    verify: async () => null,
+    refund: async () => {
+      throw new Error('Cash payments must be refunded in person.');
+    },
+  },
+};
+
+export const PAYMENT_METHODS = Object.keys(providers);
+export const DEFAULT_PAYMENT_METHOD = 'Chapa';
+
+// Methods whose orders go to the kitchen before any money moves
+export const ON_DELIVERY_METHODS = PAYMENT_METHODS.filter((m) => providers[m].settlement === 'OnDelivery');
+
+// Methods that can be switched off for new checkouts, e.g. PAYMENT_METHODS_DISABLED=Telebirr
+export const isPaymentMethodEnabled = (method) =>
+  PAYMENT_METHODS.includes(method) &&
+  !(process.env.PAYMENT_METHODS_DISABLED || '')
+    .split(',')
+    .map((m) => m.trim())
+    .includes(method);
+
+export const getEnabledPaymentMethods = () =>
+  PAYMENT_METHODS.filter(isPaymentMethodEnabled).map((method) => ({
+    method,
+    settlement: providers[method].settlement,
+  }));
+
+/**
+ * Look up the provider for a payment method (missing → default, for orders
+ * placed before methods existed).
+ */
+export const getPaymentProvider = (method = DEFAULT_PAYMENT_METHOD) => {
+  const provider = providers[method || DEFAULT_PAYMENT_METHOD];
+  if (!provider) throw new Error(`Unknown payment method: ${method}`);
+  return provider;
+};
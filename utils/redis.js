@@ -0,0 +1,31 @@
+import { createClient } from 'redis';
+
+// Shared Redis connection for the socket adapter and cross-instance state.
+// Without REDIS_URL the app runs as a single instance and keeps state in memory.
+
+let client = null;
+
+export const connectRedis = async () => {
+  if (!process.env.REDIS_URL) {
+    console.warn('REDIS_URL not set. Socket state is kept in memory (single instance only).');
+    return null;
+  }
+  if (client) return client;
+
+  client = createClient({ url: process.env.REDIS_URL });
+  client.on('error', (err) => console.error('❌ Redis error:', err.message));
+  // Commands issued while reconnecting are queued and sent once the connection is back
+  client.on('reconnecting', () => console.error('🔁 Redis connection lost, reconnecting...'));
+  await client.connect();
+  console.log('✅ Redis connection successful!');
+  return client;
+};
+
+export const getRedis = () => (client?.isOpen ? client : null);
+
+export const isRedisConfigured = () => Boolean(process.env.REDIS_URL);
+
+export const disconnectRedis = async () => {
+  if (client?.isOpen) await client.quit();
+  client = null;
+};
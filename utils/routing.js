@@ -0,0 +1,59 @@
+import axios from 'axios';
+import { haversineKm } from './geo.js';
+
+// Road distance and travel time between two { lat, lng } points. OSRM first;
+// when it is down or slow, estimate from straight-line distance instead.
+
+const OSRM_URL = process.env.OSRM_URL || 'https://router.project-osrm.org';
+const OSRM_TIMEOUT_MS = parseInt(process.env.OSRM_TIMEOUT_MS || '4000', 10);
+
+// Straight lines under-estimate city roads; average speeds are per vehicle (km/h)
+const DETOUR_FACTOR = parseFloat(process.env.ROUTE_DETOUR_FACTOR || '1.3');
+const AVERAGE_SPEED_KMH = {
+  Car: parseFloat(process.env.CAR_AVG_SPEED_KMH || '25'),
+  Motor: parseFloat(process.env.MOTOR_AVG_SPEED_KMH || '30'),
+  Bicycle: parseFloat(process.env.BICYCLE_AVG_SPEED_KMH || '15'),
+};
+
+const osrmProfile = (vehicle) => (vehicle === 'Bicycle' ? 'bike' : 'driving'); // OSRM modes: driving, bike, foot
+
+const osrmRoute = async (from, to, vehicle) => {
+  const coordinates = `${from.lng},${from.lat};${to.lng},${to.lat}`; // OSRM uses lng,lat
+  const { data } = await axios.get(
+    `${OSRM_URL}/route/v1/${osrmProfile(vehicle)}/${coordinates}?overview=false`,
+    { timeout: OSRM_TIMEOUT_MS }
+  );
+  const route = data?.routes?.[0];
+  if (!route || typeof route.distance !== 'number') {
+    throw new Error('Failed to calculate delivery distance.');
+  }
+  return {
+    distanceKm: route.distance / 1000,
+    durationSeconds: route.duration,
+    source: 'osrm',
+  };
+};
+
+export const estimateRoute = (from, to, vehicle) => {
+  const distanceKm = haversineKm(from, to) * DETOUR_FACTOR;
+  const speed = AVERAGE_SPEED_KMH[vehicle] || AVERAGE_SPEED_KMH.Car;
+  return {
+    distanceKm,
+    durationSeconds: Math.round((distanceKm / speed) * 3600),
+    source: 'haversine',
+  };
+};
+
+/**
+ * Route between two points for the given vehicle. With `fallback: false`
+ * OSRM failures are thrown (used for pricing, where a guess isn't good enough).
+ */
+export const getRoute = async ({ from, to, vehicle, fallback = true }) => {
+  try {
+    return await osrmRoute(from, to, vehicle);
+  } catch (err) {
+    if (!fallback) throw err;
+    console.warn(`⚠️ OSRM unavailable (${err.message}); using straight-line estimate`);
+    return estimateRoute(from, to, vehicle);
+  }
+};
@@ -0,0 +1,221 @@
+// Search normalization shared by the models (what gets indexed) and the search
+// controller (what gets queried). Amharic is transliterated to Latin, so "ክትፎ"
+// and "kitfo" meet; each word is also reduced to a consonant skeleton
+// ("kitfo", "ketfo", "kittfo" -> "ktf") so vowel slips and doubled letters,
+// and the many ways of spelling Amharic in Latin letters, still match.
+//
+// Other typos ("tibz", "shirp") are left to an edit-distance fallback the
+// controller runs when the text index finds nothing. It only looks at names
+// sharing the first two letters of a query word, so a typo in those letters
+// is still missed, and words under four letters must be spelled exactly.
+
+// First syllable of each Ethiopic row (U+1200–U+135F) -> Latin consonant
+const ETHIOPIC_CONSONANTS = {
+  0x1200: 'h', 0x1208: 'l', 0x1210: 'h', 0x1218: 'm', 0x1220: 's', 0x1228: 'r', 0x1230: 's', 0x1238: 'sh',
+  0x1240: 'q', 0x1248: 'qw', 0x1250: 'q', 0x1258: 'qw', 0x1260: 'b', 0x1268: 'v', 0x1270: 't', 0x1278: 'ch',
+  0x1280: 'h', 0x1288: 'hw', 0x1290: 'n', 0x1298: 'ny', 0x12a0: '', 0x12a8: 'k', 0x12b0: 'kw', 0x12b8: 'h',
+  0x12c0: 'hw', 0x12c8: 'w', 0x12d0: '', 0x12d8: 'z', 0x12e0: 'zh', 0x12e8: 'y', 0x12f0: 'd', 0x12f8: 'd',
+  0x1300: 'j', 0x1308: 'g', 0x1310: 'gw', 0x1318: 'g', 0x1320: 't', 0x1328: 'ch', 0x1330: 'p', 0x1338: 'ts',
+  0x1340: 'ts', 0x1348: 'f', 0x1350: 'p',
+};
+// Vowel of each of the eight forms in a row (the sixth carries none, the eighth adds -wa)
+const ETHIOPIC_VOWELS = ['e', 'u', 'i', 'a', 'e', '', 'o', 'wa'];
+
+const MIN_PREFIX = 2;
+const MAX_PREFIX = 15;
+
+const transliterateChar = (char) => {
+  const code = char.codePointAt(0);
+  const rowStart = code - ((code - 0x1200) % 8);
+  const consonant = ETHIOPIC_CONSONANTS[rowStart];
+  if (code < 0x1200 || code > 0x1357 || consonant === undefined) return char;
+
+  const vowel = ETHIOPIC_VOWELS[code - rowStart];
+  // Vowel-only rows: the sixth form is an "i" (እንጀራ -> injera)
+  if (consonant === '' && vowel === '') return 'i';
+  return consonant + vowel;
+};
+
+/**
+ * Latin spelling of Amharic text; other text passes through.
+ * @param {string} text
+ * @returns {string}
+ */
+export const transliterate = (text = '') => Array.from(text, transliterateChar).join('');
+
+/**
+ * Split text into words (Ethiopic word spaces and punctuation separate words).
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const tokenize = (text = '') => String(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+/**
+ * Lowercase Latin form of a word: transliterated, without accents, q spelled k.
+ * @param {string} word
+ * @returns {string}
+ */
+export const normalizeWord = (word) =>
+  transliterate(word)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .replace(/q/g, 'k')
+    .replace(/ph/g, 'f');
+
+/**
+ * Consonant skeleton of a normalized word, or null when too short to be useful.
+ * @param {string} normalized
+ * @returns {?string}
+ */
+export const skeleton = (normalized) => {
+  const consonants = normalized.replace(/[aeiou]/g, '').replace(/(.)\1+/g, '$1');
+  return consonants.length >= MIN_PREFIX ? consonants : null;
+};
+
+const prefixesOf = (normalized) => {
+  const prefixes = [];
+  for (let length = MIN_PREFIX; length <= Math.min(normalized.length, MAX_PREFIX); length += 1) {
+    prefixes.push(normalized.slice(0, length));
+  }
+  if (normalized.length > MAX_PREFIX) prefixes.push(normalized);
+  return prefixes;
+};
+
+/**
+ * Indexed search fields of a document.
+ * `keywords` feed the text index (normalized words and their skeletons);
+ * `prefixes` of the `prefixTexts` words answer autocomplete.
+ * @param {string[]} texts - everything searchable
+ * @param {string[]} prefixTexts - names worth suggesting while typing
+ * @returns {{ searchKeywords: string[], searchPrefixes: string[] }}
+ */
+export const buildSearchFields = (texts, prefixTexts) => {
+  const keywords = new Set();
+  texts.flatMap(tokenize).forEach((word) => {
+    const normalized = normalizeWord(word);
+    keywords.add(normalized);
+    const consonants = skeleton(normalized);
+    if (consonants) keywords.add(consonants);
+  });
+
+  const prefixes = new Set(prefixTexts.flatMap(tokenize).flatMap((word) => prefixesOf(normalizeWord(word))));
+  return { searchKeywords: [...keywords], searchPrefixes: [...prefixes] };
+};
+
+/**
+ * Terms to put in a $text search for what the user typed: the words as
+ * typed, normalized and as skeletons.
+ * @param {string} query
+ * @returns {string[]}
+ */
+export const buildQueryTerms = (query) => {
+  const terms = new Set();
+  tokenize(query).forEach((word) => {
+    const normalized = normalizeWord(word);
+    terms.add(word.toLowerCase());
+    terms.add(normalized);
+    const consonants = skeleton(normalized);
+    if (consonants) terms.add(consonants);
+  });
+  return [...terms];
+};
+
+/**
+ * Levenshtein distance between two words; Infinity as soon as it exceeds `max`.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [max]
+ * @returns {number}
+ */
+export const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return Infinity;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+    }
+    if (Math.min(...current) > max) return Infinity;
+    previous = current;
+  }
+  return previous[b.length] > max ? Infinity : previous[b.length];
+};
+
+// Typos tolerated in a normalized word: none in short words, where one edit is another word
+const allowedEdits = (length) => {
+  if (length >= 8) return 2;
+  if (length >= 4) return 1;
+  return 0;
+};
+
+/**
+ * Normalized query words for fuzzyScore(), and the prefixes a candidate's
+ * searchPrefixes must share with them.
+ * @param {string} query
+ * @returns {{ words: string[], prefixes: string[] }}
+ */
+export const fuzzyQuery = (query) => {
+  const words = [...new Set(tokenize(query).map(normalizeWord))].filter((word) => word.length >= MIN_PREFIX);
+  return { words, prefixes: [...new Set(words.map((word) => word.slice(0, MIN_PREFIX)))] };
+};
+
+/**
+ * How closely `texts` match every query word allowing a few typos, from 0
+ * (some word has no close match) to 1 (all exact).
+ * @param {string[]} texts
+ * @param {string[]} queryWords - from fuzzyQuery()
+ * @returns {number}
+ */
+export const fuzzyScore = (texts, queryWords) => {
+  if (queryWords.length === 0) return 0;
+  const words = texts.flatMap(tokenize).map(normalizeWord);
+  let total = 0;
+  for (const queryWord of queryWords) {
+    const max = allowedEdits(queryWord.length);
+    const best = Math.min(...words.map((word) => editDistance(queryWord, word, max)));
+    if (best === Infinity) return 0;
+    total += 1 - best / (queryWord.length + 1);
+  }
+  return total / queryWords.length;
+};
+
+const SNIPPET_RADIUS = 40;
+
+/**
+ * Text with the words matching the query wrapped in <em>, cut down to the
+ * part around the first match; null when nothing in it matches.
+ * @param {string} text
+ * @param {string} query
+ * @returns {?string}
+ */
+export const highlight = (text, query) => {
+  if (!text) return null;
+  const wanted = new Set(buildQueryTerms(query));
+  const isHit = (word) => {
+    const normalized = normalizeWord(word);
+    return wanted.has(normalized) || wanted.has(skeleton(normalized));
+  };
+
+  // Keep the separators so the snippet reads like the original
+  const parts = String(text).split(/([^\p{L}\p{N}]+)/u);
+  const firstHit = parts.findIndex((part, i) => i % 2 === 0 && part && isHit(part));
+  if (firstHit === -1) return null;
+
+  const hitOffset = parts.slice(0, firstHit).join('').length;
+  const start = Math.max(hitOffset - SNIPPET_RADIUS, 0);
+  const end = hitOffset + parts[firstHit].length + SNIPPET_RADIUS;
+
+  let offset = 0;
+  const snippet = parts
+    .map((part, i) => {
+      const partStart = offset;
+      offset += part.length;
+      if (offset <= start || partStart >= end) return '';
+      return i % 2 === 0 && part && isHit(part) ? `<em>${part}</em>` : part;
+    })
+    .join('');
+
+  return `${start > 0 ? '…' : ''}${snippet.trim()}${end < String(text).length ? '…' : ''}`;
+};
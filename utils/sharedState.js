@@ -0,0 +1,50 @@
+import { getRedis, isRedisConfigured } from './redis.js';
+
+/**
+ * Key/value map shared by every app instance through a Redis hash, with the
+ * same async API over an in-memory Map when Redis is not configured.
+ * Values are stored as JSON.
+ *
+ * With REDIS_URL set, calls made before connectRedis() (or after the client
+ * was closed) reject instead of quietly keeping per-instance state.
+ */
+export const createSharedMap = (name) => {
+  const hash = `gebeta:${name}`;
+  const local = new Map();
+
+  // Redis client, or null to use the local map
+  const backend = () => {
+    if (!isRedisConfigured()) return null;
+    const redis = getRedis();
+    if (!redis) throw new Error(`REDIS_URL is set but Redis is not connected; cannot use shared map "${name}"`);
+    return redis;
+  };
+
+  return {
+    async get(key) {
+      const redis = backend();
+      if (!redis) return local.get(key);
+      const raw = await redis.hGet(hash, key);
+      return raw ? JSON.parse(raw) : undefined;
+    },
+
+    async set(key, value) {
+      const redis = backend();
+      if (!redis) return local.set(key, value);
+      await redis.hSet(hash, key, JSON.stringify(value));
+    },
+
+    async delete(key) {
+      const redis = backend();
+      if (!redis) return local.delete(key);
+      await redis.hDel(hash, key);
+    },
+
+    async entries() {
+      const redis = backend();
+      if (!redis) return [...local.entries()];
+      const all = await redis.hGetAll(hash);
+      return Object.entries(all).map(([key, raw]) => [key, JSON.parse(raw)]);
+    },
+  };
+};
@@ -1,17 +1,8 @@
-import { Server } from 'socket.io';
+// Holds the Socket.IO server created by initSocket in ../socket.js, so
+// modules that emit don't have to import the socket server itself.
 
 let io = null;
 
-export const initSocket = (server) => {
-  io = new Server(server, {
-    cors: {
-      origin: '*', // Adjust based on your frontend URL
-      methods: ['GET', 'POST'],
-    },
-  });
-  return io;
-};
-
 export const setIO = (ioInstance) => {
   io = ioInstance;
 };
@@ -22,4 +13,4 @@ export const getIO = () => {
     return null;
   }
   return io;
-};
\ No newline at end of file
+};
@@ -0,0 +1,114 @@
+import { RESTAURANT_TIMEZONE } from './openHours.js';
+
+// Settlement statements as CSV or a plain-text PDF (no PDF library needed)
+
+const toNumber = (value) => parseFloat(value?.toString() || '0');
+const money = (value) => toNumber(value).toFixed(2);
+const dayFormat = new Intl.DateTimeFormat('en-CA', { timeZone: RESTAURANT_TIMEZONE });
+const day = (date) => (date ? dayFormat.format(new Date(date)) : '');
+// periodEnd is exclusive: show the last day actually covered
+const periodLabel = (payout) => `${day(payout.periodStart)} to ${day(new Date(payout.periodEnd.getTime() - 1))}`;
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per order, with the payout totals underneath
+const statementRows = (payout, orders) => {
+  const rate = payout.commissionRate;
+  return orders.map((order) => {
+    const food = toNumber(order.foodTotal);
+    const commission = Math.round(food * rate * 100) / 100;
+    return [order.orderCode, day(order.createdAt), money(food), money(commission), money(food - commission)];
+  });
+};
+
+export const buildStatementCsv = ({ payout, restaurant, orders }) => {
+  const lines = [
+    ['Restaurant', restaurant?.name],
+    ['Period', periodLabel(payout)],
+    ['Status', payout.status],
+    ['Commission rate', `${(payout.commissionRate * 100).toFixed(2)}%`],
+    [],
+    ['Order', 'Date', 'Food total', 'Commission', 'Net'],
+    ...statementRows(payout, orders),
+    [],
+    ['Orders', payout.orderCount],
+    ['Gross sales', money(payout.grossSales)],
+    ['Commission', money(payout.commission)],
+    ['Net payout', money(payout.netPayout)],
+    ['Paid at', payout.paidAt ? payout.paidAt.toISOString() : ''],
+    ['Payment reference', payout.paymentReference]
+  ];
+  return lines.map((row) => row.map(csvCell).join(',')).join('\n');
+};
+
+// --- Minimal PDF: monospaced text lines, paginated ---
+const LINES_PER_PAGE = 60;
+const pdfText = (text) => String(text).replace(/[\\()]/g, '\\$&').replace(/[^\x20-\x7e]/g, '?');
+
+const buildTextPdf = (lines) => {
+  const pages = [];
+  for (let i = 0; i < lines.length; i += LINES_PER_PAGE) pages.push(lines.slice(i, i + LINES_PER_PAGE));
+  if (pages.length === 0) pages.push([]);
+
+  // Objects: 1 catalog, 2 page tree, 3 font, then a page + content stream per page
+  const objects = [];
+  const pageIds = pages.map((_, i) => 4 + i * 2);
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier >>';
+  pages.forEach((pageLines, i) => {
+    const stream = [
+      'BT /F1 9 Tf 12 TL 40 800 Td',
+      ...pageLines.map((line) => `(${pdfText(line)}) Tj T*`),
+      'ET'
+    ].join('\n');
+    objects[pageIds[i]] =
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] ` +
+      `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+    objects[pageIds[i] + 1] = `<< /Length ${Buffer.byteLength(stream)} >>\nstream\n${stream}\nendstream`;
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id += 1) {
+    offsets[id] = Buffer.byteLength(pdf);
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xrefOffset = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id += 1) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(pdf, 'binary');
+};
+
+export const buildStatementPdf = ({ payout, restaurant, orders }) => {
+  const row = (cells) =>
+    cells.map((cell, i) => (i < 2 ? String(cell).padEnd(14) : String(cell).padStart(12))).join(' ');
+  const lines = [
+    'SETTLEMENT STATEMENT',
+    '',
+    `Restaurant:      ${restaurant?.name || ''}`,
+    `Period:          ${periodLabel(payout)}`,
+    `Status:          ${payout.status}`,
+    `Commission rate: ${(payout.commissionRate * 100).toFixed(2)}%`,
+    '',
+    row(['Order', 'Date', 'Food total', 'Commission', 'Net']),
+    '-'.repeat(70),
+    ...statementRows(payout, orders).map(row),
+    '-'.repeat(70),
+    `Orders:          ${payout.orderCount}`,
+    `Gross sales:     ${money(payout.grossSales)} ${payout.currency}`,
+    `Commission:      ${money(payout.commission)} ${payout.currency}`,
+    `Net payout:      ${money(payout.netPayout)} ${payout.currency}`
+  ];
+  if (payout.paidAt) {
+    lines.push(`Paid at:         ${payout.paidAt.toISOString()}`);
+    lines.push(`Reference:       ${payout.paymentReference || ''}`);
+  }
+  return buildTextPdf(lines);
+};
@@ -0,0 +1,177 @@
+import crypto from 'crypto';
+import axios from 'axios';
+
+// telebirr H5 web checkout (C2B). Credentials come from the telebirr merchant portal.
+const TELEBIRR_API_URL = (
+  process.env.TELEBIRR_API_URL || 'https://developerportal.ethiotelebirr.et:38443/apiaccess/payment/gateway'
+).replace(/\/$/, '');
+const TELEBIRR_WEB_CHECKOUT_URL =
+  process.env.TELEBIRR_WEB_CHECKOUT_URL ||
+  'https://developerportal.ethiotelebirr.et:38443/payment/web/paygate?';
+const TELEBIRR_NOTIFY_URL =
+  process.env.TELEBIRR_NOTIFY_URL || 'https://gebeta-delivery1.onrender.com/api/v1/orders/telebirr-notify';
+const TIMEOUT_MS = 35000;
+
+const getConfig = () => {
+  const config = {
+    fabricAppId: process.env.TELEBIRR_FABRIC_APP_ID,
+    appSecret: process.env.TELEBIRR_APP_SECRET,
+    merchantAppId: process.env.TELEBIRR_MERCHANT_APP_ID,
+    merchantCode: process.env.TELEBIRR_MERCHANT_CODE,
+    privateKey: process.env.TELEBIRR_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+  };
+  const missing = Object.entries(config).filter(([, v]) => !v).map(([k]) => k);
+  if (missing.length) throw new Error(`telebirr is not configured (missing ${missing.join(', ')})`);
+  return config;
+};
+
+// telebirr merchant order ids are alphanumeric: "checkout-<id>" ⇄ "checkout<id>" (also order- and topup-)
+export const toMerchOrderId = (txRef) => txRef.replace(/-/g, '');
+export const fromMerchOrderId = (merchOrderId) => merchOrderId.replace(/^(checkout|order|topup)(?=[0-9a-f]{24}$)/, '$1-');
+
+const nonce = () => crypto.randomBytes(16).toString('hex');
+const timestamp = () => Math.floor(Date.now() / 1000).toString();
+
+// Fields (with biz_content flattened in) sorted and joined as k=v&k=v, minus the signature itself
+const signingString = (request) => {
+  const fields = { ...request, ...(request.biz_content || {}) };
+  delete fields.biz_content;
+  delete fields.sign;
+  delete fields.sign_type;
+  return Object.keys(fields)
+    .sort()
+    .map((key) => `${key}=${fields[key]}`)
+    .join('&');
+};
+
+const signRequest = (request, privateKey) =>
+  crypto
+    .sign('sha256', Buffer.from(signingString(request)), {
+      key: privateKey,
+      padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+      saltLength: 32,
+    })
+    .toString('base64');
+
+const getFabricToken = async (config) => {
+  const response = await axios.post(
+    `${TELEBIRR_API_URL}/payment/v1/token`,
+    { appSecret: config.appSecret },
+    { headers: { 'X-APP-Key': config.fabricAppId }, timeout: TIMEOUT_MS }
+  );
+  if (!response.data?.token) throw new Error('telebirr token request failed');
+  return response.data.token;
+};
+
+const callMerchantApi = async (path, method, bizContent) => {
+  const config = getConfig();
+  const token = await getFabricToken(config);
+  const request = {
+    timestamp: timestamp(),
+    nonce_str: nonce(),
+    method,
+    version: '1.0',
+    biz_content: { appid: config.merchantAppId, merch_code: config.merchantCode, ...bizContent },
+  };
+  request.sign = signRequest(request, config.privateKey);
+  request.sign_type = 'SHA256WithRSA';
+
+  const response = await axios.post(`${TELEBIRR_API_URL}${path}`, request, {
+    headers: { 'X-APP-Key': config.fabricAppId, Authorization: token },
+    timeout: TIMEOUT_MS,
+  });
+  if (response.data?.result !== 'SUCCESS') {
+    throw new Error(`telebirr ${method} failed: ${response.data?.msg || 'Unknown error'}`);
+  }
+  return { config, data: response.data.biz_content || {} };
+};
+
+export const createTelebirrOrder = async ({ amount, txRef, title }) => {
+  const { config, data } = await callMerchantApi('/payment/v1/merchant/preOrder', 'payment.preorder', {
+    notify_url: TELEBIRR_NOTIFY_URL,
+    trade_type: 'Checkout',
+    title: title || `Order ${txRef}`,
+    merch_order_id: toMerchOrderId(txRef),
+    total_amount: parseFloat(amount.toString()).toFixed(2),
+    trans_currency: 'ETB',
+    timeout_express: '120m',
+  });
+
+  // The customer is sent to telebirr's web checkout with a signed raw request
+  const rawRequest = {
+    appid: config.merchantAppId,
+    merch_code: config.merchantCode,
+    nonce_str: nonce(),
+    prepay_id: data.prepay_id,
+    timestamp: timestamp(),
+  };
+  const query = new URLSearchParams({
+    ...rawRequest,
+    sign: signRequest(rawRequest, config.privateKey),
+    sign_type: 'SHA256WithRSA',
+    version: '1.0',
+    trade_type: 'Checkout',
+  });
+  return { tx_ref: txRef, checkout_url: `${TELEBIRR_WEB_CHECKOUT_URL}${query.toString()}` };
+};
+
+/**
+ * Query telebirr for the state of a merchant order.
+ * @returns {{ status: string, refId: string|null, amount: number|null, data: object }}
+ */
+export const queryTelebirrOrder = async (txRef) => {
+  const { data } = await callMerchantApi('/payment/v1/merchant/queryOrder', 'payment.queryorder', {
+    merch_order_id: toMerchOrderId(txRef),
+  });
+  return {
+    status: data.order_status || data.trade_status || 'Pending',
+    refId: data.payment_order_id || data.trans_id || null,
+    amount: data.total_amount !== undefined ? parseFloat(data.total_amount) : null,
+    data,
+  };
+};
+
+export const refundTelebirrOrder = async ({ txRef, amount, reason }) => {
+  const { data } = await callMerchantApi('/payment/v1/merchant/refund', 'payment.refund', {
+    merch_order_id: toMerchOrderId(txRef),
+    refund_request_no: `${toMerchOrderId(txRef)}R${Date.now()}`,
+    refund_reason: reason,
+    actual_amount: amount.toFixed(2),
+    trans_currency: 'ETB',
+  });
+  return { providerRef: data.refund_order_id || null };
+};
+
+// Check the RSA signature telebirr puts on payment notifications
+export const verifyTelebirrNotification = (payload = {}) => {
+  const publicKey = process.env.TELEBIRR_PUBLIC_KEY?.replace(/\\n/g, '\n');
+  if (!publicKey) throw new Error('TELEBIRR_PUBLIC_KEY is not configured');
+  if (typeof payload.sign !== 'string') return false;
+  try {
+    return crypto.verify(
+      'sha256',
+      Buffer.from(signingString(payload)),
+      { key: publicKey, padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 },
+      Buffer.from(payload.sign, 'base64')
+    );
+  } catch {
+    return false;
+  }
+};
+
+// telebirr trade status → our transaction.status
+export const mapTelebirrStatus = (tradeStatus) => {
+  switch ((tradeStatus || '').toLowerCase()) {
+    case 'completed':
+    case 'success':
+      return 'Paid';
+    case 'failure':
+    case 'failed':
+    case 'closed':
+      return 'Failed';
+    case 'expired':
+      return 'Expired';
+    default:
+      return 'Pending';
+  }
+};